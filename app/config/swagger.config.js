@@ -36,7 +36,8 @@ class SwaggerConfig {
         { name: "Auth", description: "Authentication and authorization endpoints" },
         { name: "User", description: "User profile and management endpoints" },
         { name: "Prediction", description: "Plant disease prediction endpoints" },
-        { name: "Admin", description: "Admin-only endpoints" }
+        { name: "Admin", description: "Admin-only endpoints" },
+        { name: "Review", description: "Expert review queue (moderator or admin)" }
       ]
     };
   }
@@ -266,6 +267,43 @@ class SwaggerConfig {
               type: "string",
               description: "Optional notes about the image"
             },
+            {
+              in: "formData",
+              name: "crop",
+              type: "string",
+              description: "Restrict the diagnosis to one crop's classes (e.g. Tomato); probabilities are renormalized over that crop"
+            },
+            {
+              in: "query",
+              name: "async",
+              type: "boolean",
+              description: "Queue the prediction and return 202 with a job id instead of waiting for the result"
+            },
+            {
+              in: "query",
+              name: "explain",
+              type: "boolean",
+              description: "Also render an occlusion heatmap showing which parts of the leaf drove the prediction (slower)"
+            },
+            {
+              in: "query",
+              name: "tta",
+              type: "boolean",
+              description: "Average predictions over flipped, rotated and cropped views of the image. Defaults to the server's TTA_DEFAULT"
+            },
+            {
+              in: "query",
+              name: "segment",
+              type: "boolean",
+              description: "Crop the image to the leaf (excess-green thresholding) before inference. Defaults to the server's SEGMENTATION_DEFAULT"
+            },
+            {
+              in: "query",
+              name: "tiles",
+              type: "string",
+              enum: ["grid", "regions", "off"],
+              description: "Predict a large field photo per region: overlapping grid tiles or each detected leaf. Defaults to the server's TILING_DEFAULT"
+            },
             {
               in: "header",
               name: "x-access-token",
@@ -286,8 +324,15 @@ class SwaggerConfig {
                     type: "object",
                     properties: {
                       id: { type: "string" },
+                      status: {
+                        type: "string",
+                        enum: ["ACCEPTED", "NOT_A_LEAF", "UNCERTAIN"],
+                        description: "Out-of-distribution gate decision; predictedClass is null unless ACCEPTED"
+                      },
                       predictedClass: { type: "string", example: "Tomato__healthy" },
-                      confidence: { type: "number", example: 95.5 },
+                      candidateClass: { type: "string", description: "Top class before the gate was applied" },
+                      confidence: { type: "number", example: 95.5, description: "Calibrated confidence (%)" },
+                      rawConfidence: { type: "number", example: 99.1, description: "Uncalibrated softmax confidence (%)" },
                       allPredictions: { 
                         type: "array",
                         items: {
@@ -298,6 +343,186 @@ class SwaggerConfig {
                           }
                         }
                       },
+                      hierarchy: {
+                        type: "object",
+                        description: "Crop/condition parsed from the Crop__condition label, with probabilities in %",
+                        properties: {
+                          crop: { type: "string", example: "Tomato" },
+                          condition: { type: "string", example: "late_blight" },
+                          isHealthy: { type: "boolean" },
+                          cropProbability: { type: "number" },
+                          healthyProbability: { type: "number" },
+                          diseasedProbability: { type: "number" },
+                          crops: { type: "array", items: { type: "object" } }
+                        }
+                      },
+                      cropConstraint: {
+                        type: "object",
+                        description: "Set when the crop parameter was used",
+                        properties: {
+                          applied: { type: "boolean" },
+                          crop: { type: "string", example: "Tomato" },
+                          massInCrop: { type: "number", description: "Probability (%) the model gave that crop before masking" },
+                          unconstrainedClass: { type: "string", description: "Top class without the constraint" }
+                        }
+                      },
+                      tta: {
+                        type: "object",
+                        description: "Test-time augmentation summary",
+                        properties: {
+                          enabled: { type: "boolean" },
+                          augmentations: { type: "array", items: { type: "string" } },
+                          agreement: { type: "number", example: 83.33, description: "Share (%) of augmented views that agree with the final class" },
+                          votes: { type: "array", items: { type: "object" } }
+                        }
+                      },
+                      explanation: {
+                        type: "object",
+                        description: "Occlusion heatmap, present when explain=true",
+                        properties: {
+                          method: { type: "string", example: "occlusion" },
+                          targetClass: { type: "string" },
+                          gridSize: { type: "integer", example: 8 },
+                          heatmap: { type: "array", items: { type: "array", items: { type: "number" } } },
+                          imageUrl: { type: "string", example: "/uploads/leaf-123-explanation.png" }
+                        }
+                      },
+                      quality: {
+                        type: "object",
+                        description: "Photo quality check run before inference",
+                        properties: {
+                          decision: { type: "string", enum: ["ok", "warning", "rejected"] },
+                          sharpness: { type: "number", description: "Laplacian variance (higher = sharper)" },
+                          brightness: { type: "number", description: "Mean luminance 0-255" },
+                          contrast: { type: "number", description: "Luminance standard deviation" },
+                          overexposedRatio: { type: "number" },
+                          underexposedRatio: { type: "number" },
+                          leafCoverage: { type: "number" },
+                          issues: {
+                            type: "array",
+                            items: {
+                              type: "object",
+                              properties: {
+                                code: { type: "string", example: "BLURRY" },
+                                severity: { type: "string", enum: ["warning", "reject"] },
+                                message: { type: "string" }
+                              }
+                            }
+                          }
+                        }
+                      },
+                      segmentation: {
+                        type: "object",
+                        description: "Leaf segmentation step; the model ran on the saved crop when applied",
+                        properties: {
+                          requested: { type: "boolean" },
+                          applied: { type: "boolean" },
+                          reason: { type: "string", enum: ["NO_LEAF_FOUND", "LEAF_FILLS_FRAME", "SEGMENTATION_FAILED"] },
+                          region: {
+                            type: "object",
+                            properties: {
+                              left: { type: "integer" },
+                              top: { type: "integer" },
+                              width: { type: "integer" },
+                              height: { type: "integer" }
+                            }
+                          },
+                          coverage: { type: "number", description: "Share of the image covered by the leaf" },
+                          imageUrl: { type: "string", example: "/uploads/leaf-123-leaf.png" }
+                        }
+                      },
+                      tiles: {
+                        type: "object",
+                        description: "Per-region results when tiling was requested; the top-level prediction is their leaf-coverage-weighted mean",
+                        properties: {
+                          requested: { type: "boolean" },
+                          applied: { type: "boolean" },
+                          mode: { type: "string", enum: ["grid", "regions"] },
+                          reason: { type: "string", enum: ["IMAGE_TOO_SMALL", "NO_LEAF_FOUND", "TILING_FAILED"] },
+                          imageWidth: { type: "integer" },
+                          imageHeight: { type: "integer" },
+                          regions: {
+                            type: "array",
+                            items: {
+                              type: "object",
+                              properties: {
+                                box: {
+                                  type: "object",
+                                  properties: {
+                                    left: { type: "integer" },
+                                    top: { type: "integer" },
+                                    width: { type: "integer" },
+                                    height: { type: "integer" }
+                                  }
+                                },
+                                leafCoverage: { type: "number" },
+                                predictedClass: { type: "string", example: "Tomato___Early_blight" },
+                                confidence: { type: "number", example: 91.2 },
+                                rawConfidence: { type: "number" },
+                                crop: { type: "string" },
+                                condition: { type: "string" },
+                                isHealthy: { type: "boolean" }
+                              }
+                            }
+                          },
+                          summary: {
+                            type: "object",
+                            properties: {
+                              regionCount: { type: "integer" },
+                              diseasedRegions: { type: "integer" },
+                              healthyRegions: { type: "integer" },
+                              classes: {
+                                type: "array",
+                                items: {
+                                  type: "object",
+                                  properties: {
+                                    class: { type: "string" },
+                                    regions: { type: "integer" },
+                                    maxConfidence: { type: "number" }
+                                  }
+                                }
+                              }
+                            }
+                          }
+                        }
+                      },
+                      nearDuplicate: {
+                        type: "object",
+                        description: "Closest earlier prediction of the same user with a near-identical photo (perceptual hash)",
+                        properties: {
+                          detected: { type: "boolean" },
+                          predictionId: { type: "string" },
+                          distance: { type: "integer", description: "Differing hash bits (0-64)" },
+                          similarity: { type: "number", example: 96.88 },
+                          previous: { type: "object" },
+                          differences: {
+                            type: "object",
+                            properties: {
+                              sameClass: { type: "boolean" },
+                              confidenceDelta: { type: "number", description: "New minus previous confidence (%)" }
+                            }
+                          }
+                        }
+                      },
+                      cache: {
+                        type: "object",
+                        description: "Whether the result came from the result cache (same image, model and options)",
+                        properties: {
+                          hit: { type: "boolean" },
+                          recorded: { type: "boolean", description: "Whether the hit was saved as a new history entry (id is null otherwise)" },
+                          cachedAt: { type: "string", format: "date-time" }
+                        }
+                      },
+                      gate: {
+                        type: "object",
+                        properties: {
+                          decision: { type: "string" },
+                          reasons: { type: "array", items: { type: "string" } },
+                          entropy: { type: "number" },
+                          margin: { type: "number" },
+                          leafRatio: { type: "number" }
+                        }
+                      },
                       imageName: { type: "string" },
                       processingTime: { type: "string", example: "1500ms" }
                     }
@@ -305,8 +530,144 @@ class SwaggerConfig {
                 }
               }
             },
-            400: { description: "Invalid image file" },
-            500: { description: "Prediction failed" }
+            202: { description: "Prediction job queued (async=true)" },
+            400: { description: "Invalid image file or unknown crop (INVALID_CROP, with validCrops)" },
+            500: { description: "Prediction failed" },
+            422: { description: "Photo rejected by the quality check (IMAGE_QUALITY), with scores and issues" },
+            429: { description: "Too many predictions waiting (TOO_MANY_PREDICTIONS); see Retry-After header and queuePosition" },
+            503: { description: "No model available (MODEL_UNAVAILABLE), the prediction/inference queue is full (QUEUE_FULL, INFERENCE_QUEUE_FULL), or no inference slot freed up in time (INFERENCE_WAIT_TIMEOUT, with Retry-After and queuePosition)" },
+            504: { description: "Inference timed out (INFERENCE_TIMEOUT)" }
+          }
+        }
+      },
+
+      "/api/predict/jobs/{id}": {
+        get: {
+          tags: ["Prediction"],
+          summary: "Get async prediction job status",
+          description: "Poll a job created with POST /api/predict?async=true. Status is queued, running, done or failed; finished jobs include the saved prediction.",
+          parameters: [
+            {
+              in: "path",
+              name: "id",
+              type: "string",
+              required: true,
+              description: "Job ID"
+            },
+            {
+              in: "header",
+              name: "x-access-token",
+              type: "string",
+              required: false,
+              description: "Required for jobs created by a logged-in user"
+            }
+          ],
+          responses: {
+            200: {
+              description: "Job status",
+              schema: {
+                type: "object",
+                properties: {
+                  success: { type: "boolean", example: true },
+                  data: {
+                    type: "object",
+                    properties: {
+                      jobId: { type: "string" },
+                      status: { type: "string", enum: ["queued", "running", "done", "failed"] },
+                      queuePosition: { type: "integer" },
+                      result: { type: "object" },
+                      error: { type: "string" }
+                    }
+                  }
+                }
+              }
+            },
+            404: { description: "Job not found" }
+          }
+        }
+      },
+
+      "/api/predict/batch": {
+        post: {
+          tags: ["Prediction"],
+          summary: "Predict plant disease for multiple images",
+          description: "Upload several images in one request. Images are run through the model as one batch; invalid images and images that fail the photo quality check are reported per image without failing the rest. Tiling and explanations are only available on /api/predict.",
+          consumes: ["multipart/form-data"],
+          parameters: [
+            {
+              in: "formData",
+              name: "images",
+              type: "file",
+              required: true,
+              description: "Plant leaf images (JPEG, PNG, WebP, max 5MB each, max 20 per batch)"
+            },
+            {
+              in: "formData",
+              name: "notes",
+              type: "string",
+              description: "Optional notes applied to every image"
+            },
+            {
+              in: "formData",
+              name: "crop",
+              type: "string",
+              description: "Restrict the diagnosis to one crop's classes (e.g. Tomato); probabilities are renormalized over that crop"
+            },
+            {
+              in: "query",
+              name: "segment",
+              type: "boolean",
+              description: "Crop each image to its leaf before inference"
+            },
+            {
+              in: "header",
+              name: "x-access-token",
+              type: "string",
+              required: false,
+              description: "Optional JWT token for authenticated prediction"
+            }
+          ],
+          responses: {
+            200: {
+              description: "At least one image was predicted",
+              schema: {
+                type: "object",
+                properties: {
+                  success: { type: "boolean", example: true },
+                  message: { type: "string" },
+                  data: {
+                    type: "object",
+                    properties: {
+                      batchId: { type: "string" },
+                      results: { type: "array", items: { type: "object" } },
+                      errors: {
+                        type: "array",
+                        items: {
+                          type: "object",
+                          properties: {
+                            originalName: { type: "string" },
+                            error: { type: "string", example: "PREPROCESSING_FAILED", description: "PREPROCESSING_FAILED, IMAGE_QUALITY, SAVE_FAILED or an upload error" },
+                            message: { type: "string" },
+                            quality: { type: "object", description: "Quality result for IMAGE_QUALITY rejections" }
+                          }
+                        }
+                      },
+                      summary: {
+                        type: "object",
+                        properties: {
+                          total: { type: "integer" },
+                          succeeded: { type: "integer" },
+                          failed: { type: "integer" }
+                        }
+                      }
+                    }
+                  }
+                }
+              }
+            },
+            400: { description: "No valid images in the batch, or tiles/explain was requested (UNSUPPORTED_BATCH_OPTION)" },
+            422: { description: "Every image failed the photo quality check (IMAGE_QUALITY)" },
+            500: { description: "Batch prediction failed" }
           }
         }
       },
@@ -329,6 +690,12 @@ class SwaggerConfig {
               name: "limit",
               type: "integer",
               description: "Items per page (default: 10, max: 50)"
+            },
+            {
+              in: "query",
+              name: "crop",
+              type: "string",
+              description: "Only predictions for this crop (e.g. Tomato)"
             }
           ],
           responses: {
@@ -367,11 +734,461 @@ class SwaggerConfig {
           }],
           responses: {
             200: { description: "Prediction deleted successfully" },
+            404: { description: "Prediction not found" },
+            409: { description: "Other users annotated this prediction; only an admin can delete it (PREDICTION_ANNOTATED)" }
+          }
+        }
+      },
+
+      "/api/predictions/{id}/explanation": {
+        get: {
+          tags: ["Prediction"],
+          summary: "Get prediction explanation heatmap",
+          description: "Returns the occlusion-sensitivity heatmap for the predicted class, rendering it on first request. The PNG overlay is saved next to the uploaded image.",
+          security: [{ "Bearer": [] }],
+          parameters: [{
+            in: "path",
+            name: "id",
+            type: "string",
+            required: true,
+            description: "Prediction ID"
+          }],
+          responses: {
+            200: { description: "Explanation retrieved or generated" },
+            404: { description: "Prediction or original image not found" },
+            409: { description: "The prediction was made by another model version (MODEL_VERSION_MISMATCH) or its class is not in the active model (CLASS_NOT_IN_MODEL)" },
+            503: { description: "No model loaded" }
+          }
+        }
+      },
+
+      "/api/predictions/{id}/similar": {
+        get: {
+          tags: ["Prediction"],
+          summary: "Find similar past cases",
+          description: "Nearest stored predictions by penultimate-layer embedding (cosine distance), within the same model version. Users search their own history; admins search all users unless scope=own.",
+          security: [{ "Bearer": [] }],
+          parameters: [
+            {
+              in: "path",
+              name: "id",
+              type: "string",
+              required: true,
+              description: "Prediction ID"
+            },
+            {
+              in: "query",
+              name: "k",
+              type: "integer",
+              default: 10,
+              maximum: 50,
+              description: "Number of matches"
+            },
+            {
+              in: "query",
+              name: "scope",
+              type: "string",
+              enum: ["own"],
+              description: "Admins only: restrict the search to their own predictions"
+            }
+          ],
+          responses: {
+            200: { description: "Matches with cosine distance, similarity (%) and predicted labels, plus a label summary" },
+            404: { description: "Prediction not found" },
+            409: { description: "Prediction has no stored embedding (EMBEDDING_NOT_AVAILABLE)" }
+          }
+        }
+      },
+
+      "/api/predictions/{id}/feedback": {
+        post: {
+          tags: ["Prediction"],
+          summary: "Submit feedback on a prediction",
+          description: "The owner marks the result correct or incorrect, optionally picking the true label from the model's labels.txt. Resubmitting creates a new feedback version; earlier versions are kept in history.",
+          security: [{ "Bearer": [] }],
+          parameters: [
+            {
+              in: "path",
+              name: "id",
+              type: "string",
+              required: true,
+              description: "Prediction ID"
+            },
+            {
+              in: "body",
+              name: "body",
+              required: true,
+              schema: {
+                type: "object",
+                required: ["isCorrect"],
+                properties: {
+                  isCorrect: { type: "boolean", example: false },
+                  trueLabel: { type: "string", example: "Tomato___Late_blight" },
+                  comment: { type: "string", maxLength: 1000, example: "Lesions have a pale green halo" }
+                }
+              }
+            }
+          ],
+          responses: {
+            200: { description: "Feedback updated (new version)" },
+            201: { description: "Feedback saved" },
+            400: { description: "Invalid feedback (INVALID_FEEDBACK) or unknown label (INVALID_LABEL, with validLabels)" },
             404: { description: "Prediction not found" }
           }
         }
       },
 
+      "/api/predictions/{id}/flag": {
+        post: {
+          tags: ["Prediction"],
+          summary: "Flag a prediction for expert review",
+          description: "The owner puts the prediction in the moderators' review queue. The verdict appears under review in the prediction detail.",
+          security: [{ "Bearer": [] }],
+          parameters: [
+            {
+              in: "path",
+              name: "id",
+              type: "string",
+              required: true,
+              description: "Prediction ID"
+            },
+            {
+              in: "body",
+              name: "body",
+              schema: {
+                type: "object",
+                properties: {
+                  reason: { type: "string", maxLength: 1000, example: "Spots look like insect damage" }
+                }
+              }
+            }
+          ],
+          responses: {
+            200: { description: "Queued; returns the review status" },
+            404: { description: "Prediction not found" },
+            409: { description: "Already reviewed (ALREADY_REVIEWED) or a mock prediction (MOCK_PREDICTION)" }
+          }
+        }
+      },
+
+      "/api/review/queue": {
+        get: {
+          tags: ["Review"],
+          summary: "List the review queue",
+          description: "Low-confidence, disputed and user-flagged predictions, oldest due date first, with SLA timestamps (queuedAt, dueAt, claimedAt, reviewedAt) and an overdue flag.",
+          security: [{ "Bearer": [] }],
+          parameters: [
+            {
+              in: "query",
+              name: "status",
+              type: "string",
+              enum: ["open", "resolved", "all", "pending", "claimed", "confirmed", "relabeled"],
+              default: "open"
+            },
+            { in: "query", name: "crop", type: "string", description: "e.g. Tomato" },
+            { in: "query", name: "reason", type: "string", enum: ["LOW_CONFIDENCE", "DISPUTED", "FLAGGED"] },
+            { in: "query", name: "minAgeHours", type: "number", description: "Queued at least this long ago" },
+            { in: "query", name: "maxAgeHours", type: "number", description: "Queued at most this long ago" },
+            { in: "query", name: "overdue", type: "boolean", description: "Only open items past their due date" },
+            { in: "query", name: "mine", type: "boolean", description: "Only items claimed by the caller" },
+            { in: "query", name: "page", type: "integer", default: 1 },
+            { in: "query", name: "limit", type: "integer", default: 20, maximum: 100 }
+          ],
+          responses: {
+            200: { description: "Queue items with pagination" },
+            400: { description: "Unknown status (INVALID_STATUS) or reason (INVALID_REASON)" },
+            403: { description: "Requires moderator or admin role" }
+          }
+        }
+      },
+
+      "/api/review/{id}/claim": {
+        post: {
+          tags: ["Review"],
+          summary: "Claim a review item",
+          description: "Pending items, your own claims and claims older than REVIEW_CLAIM_TIMEOUT_HOURS can be claimed.",
+          security: [{ "Bearer": [] }],
+          parameters: [
+            {
+              in: "path",
+              name: "id",
+              type: "string",
+              required: true,
+              description: "Prediction ID"
+            }
+          ],
+          responses: {
+            200: { description: "Claimed" },
+            404: { description: "Prediction not found" },
+            409: { description: "NOT_IN_QUEUE, ALREADY_CLAIMED or ALREADY_REVIEWED" }
+          }
+        }
+      },
+
+      "/api/review/{id}/release": {
+        post: {
+          tags: ["Review"],
+          summary: "Release a claimed review item",
+          security: [{ "Bearer": [] }],
+          parameters: [
+            {
+              in: "path",
+              name: "id",
+              type: "string",
+              required: true,
+              description: "Prediction ID"
+            }
+          ],
+          responses: {
+            200: { description: "Back in the queue as pending" },
+            404: { description: "Prediction not found" },
+            409: { description: "Not claimed by the caller" }
+          }
+        }
+      },
+
+      "/api/review/{id}/verdict": {
+        post: {
+          tags: ["Review"],
+          summary: "Confirm or relabel a claimed prediction",
+          security: [{ "Bearer": [] }],
+          parameters: [
+            {
+              in: "path",
+              name: "id",
+              type: "string",
+              required: true,
+              description: "Prediction ID"
+            },
+            {
+              in: "body",
+              name: "body",
+              required: true,
+              schema: {
+                type: "object",
+                required: ["verdict"],
+                properties: {
+                  verdict: { type: "string", enum: ["confirm", "relabel"] },
+                  label: { type: "string", description: "Required for relabel; a label of the model that made the prediction", example: "Tomato___Late_blight" },
+                  note: { type: "string", maxLength: 2000, example: "Concentric rings typical of early blight" }
+                }
+              }
+            }
+          ],
+          responses: {
+            200: { description: "Verdict saved" },
+            400: { description: "INVALID_VERDICT or INVALID_LABEL (with validLabels)" },
+            404: { description: "Prediction not found" },
+            409: { description: "Item not claimed by the caller (NOT_CLAIMED, ALREADY_CLAIMED, ALREADY_REVIEWED, NOT_IN_QUEUE)" }
+          }
+        }
+      },
+
+      "/api/admin/labeling/batch": {
+        get: {
+          tags: ["Admin"],
+          summary: "Active-learning labeling batch",
+          description: "Ranks stored predictions without an expert verdict, claim or user feedback by how informative a label would be. Deterministic: the same asOf, filters and strategy return the same batch.",
+          security: [{ "Bearer": [] }],
+          parameters: [
+            {
+              in: "query",
+              name: "strategy",
+              type: "string",
+              enum: ["combined", "entropy", "margin", "ttaDisagreement", "classRarity"],
+              default: "combined"
+            },
+            {
+              in: "query",
+              name: "weights",
+              type: "string",
+              description: "Signal weights for the combined strategy",
+              example: "entropy:2,margin:1,ttaDisagreement:1,classRarity:1"
+            },
+            { in: "query", name: "size", type: "integer", default: 50, maximum: 500 },
+            { in: "query", name: "asOf", type: "string", format: "date-time", description: "Only predictions created up to this time (defaults to now; returned in the response)" },
+            { in: "query", name: "crop", type: "string" },
+            { in: "query", name: "modelVersion", type: "string" }
+          ],
+          responses: {
+            200: { description: "Ranked items with score and per-signal values (entropy, margin, ttaDisagreement, classRarity)" },
+            400: { description: "INVALID_STRATEGY (with strategies), INVALID_WEIGHTS or INVALID_DATE" },
+            403: { description: "Requires admin role" }
+          }
+        }
+      },
+
+      "/api/admin/dataset/export": {
+        get: {
+          tags: ["Admin"],
+          summary: "Export a training dataset",
+          description: "Streams a zip of uploaded images with a verified label (expert verdict, else owner feedback) in ImageFolder layout (<label>/<file>, or <split>/<label>/<file> with layout=split), plus manifest.csv, manifest.jsonl and summary.json. The train/val/test split is stratified by label and reproducible for a given seed.",
+          security: [{ "Bearer": [] }],
+          produces: ["application/zip", "application/json"],
+          parameters: [
+            {
+              in: "query",
+              name: "status",
+              type: "string",
+              enum: ["any", "reviewed", "feedback", "confirmed", "relabeled"],
+              default: "any",
+              description: "reviewed = expert verdict, feedback = owner feedback"
+            },
+            { in: "query", name: "crop", type: "string", description: "Crop of the verified label, e.g. Tomato" },
+            { in: "query", name: "from", type: "string", format: "date-time" },
+            { in: "query", name: "to", type: "string", format: "date-time" },
+            { in: "query", name: "split", type: "string", default: "0.8,0.1,0.1", description: "train,val,test ratios" },
+            { in: "query", name: "seed", type: "string", default: "default", description: "Seed for the split assignment" },
+            { in: "query", name: "layout", type: "string", enum: ["label", "split"], default: "label" },
+            { in: "query", name: "dryRun", type: "boolean", description: "Return the summary as JSON instead of the zip" }
+          ],
+          responses: {
+            200: { description: "Zip stream (or JSON summary with dryRun=true)" },
+            400: { description: "INVALID_STATUS, INVALID_LAYOUT, INVALID_SPLIT or INVALID_DATE" },
+            404: { description: "No verified predictions with stored images match (NOTHING_TO_EXPORT)" }
+          }
+        }
+      },
+
+      "/api/predictions/{id}/annotations": {
+        get: {
+          tags: ["Review"],
+          summary: "List lesion annotations of a prediction",
+          description: "Visible to the prediction's owner, moderators and admins.",
+          security: [{ "Bearer": [] }],
+          parameters: [{ in: "path", name: "id", required: true, type: "string" }],
+          responses: {
+            200: { description: "Annotations with geometry, label, note and author" },
+            404: { description: "Prediction not found" }
+          }
+        },
+        post: {
+          tags: ["Review"],
+          summary: "Annotate a lesion on the prediction's image",
+          description: "Moderator or admin. Coordinates are pixels of the stored image (after EXIF rotation). bbox is [x, y, width, height]; points is a flat [x1, y1, x2, y2, ...] polygon (3 to 500 vertices). label must be a class of the model that made the prediction. Annotated images are kept by retention cleanup.",
+          security: [{ "Bearer": [] }],
+          parameters: [
+            { in: "path", name: "id", required: true, type: "string" },
+            {
+              in: "body",
+              name: "body",
+              required: true,
+              schema: {
+                type: "object",
+                required: ["type", "label"],
+                properties: {
+                  type: { type: "string", enum: ["bbox", "polygon"] },
+                  bbox: { type: "array", items: { type: "number" }, example: [120, 80, 64, 48] },
+                  points: { type: "array", items: { type: "number" }, example: [120, 80, 184, 80, 150, 128] },
+                  label: { type: "string", example: "Tomato__Early_blight" },
+                  note: { type: "string", maxLength: 1000 }
+                }
+              }
+            }
+          ],
+          responses: {
+            201: { description: "Annotation created" },
+            400: { description: "INVALID_GEOMETRY, INVALID_LABEL or INVALID_ANNOTATION" },
+            404: { description: "Prediction not found or IMAGE_NOT_FOUND" }
+          }
+        }
+      },
+
+      "/api/annotations/{annotationId}": {
+        put: {
+          tags: ["Review"],
+          summary: "Update an annotation",
+          description: "Author or admin. Any of type, bbox, points, label and note; geometry is re-checked against the image size.",
+          security: [{ "Bearer": [] }],
+          parameters: [
+            { in: "path", name: "annotationId", required: true, type: "string" },
+            {
+              in: "body",
+              name: "body",
+              required: true,
+              schema: {
+                type: "object",
+                properties: {
+                  type: { type: "string", enum: ["bbox", "polygon"] },
+                  bbox: { type: "array", items: { type: "number" } },
+                  points: { type: "array", items: { type: "number" } },
+                  label: { type: "string" },
+                  note: { type: "string", maxLength: 1000 }
+                }
+              }
+            }
+          ],
+          responses: {
+            200: { description: "Annotation updated" },
+            400: { description: "INVALID_GEOMETRY, INVALID_LABEL or INVALID_ANNOTATION" },
+            403: { description: "NOT_AUTHOR" },
+            404: { description: "Annotation not found" }
+          }
+        },
+        delete: {
+          tags: ["Review"],
+          summary: "Delete an annotation",
+          description: "Author or admin.",
+          security: [{ "Bearer": [] }],
+          parameters: [{ in: "path", name: "annotationId", required: true, type: "string" }],
+          responses: {
+            200: { description: "Annotation deleted" },
+            403: { description: "NOT_AUTHOR" },
+            404: { description: "Annotation not found" }
+          }
+        }
+      },
+
+      "/api/annotations/export/coco": {
+        get: {
+          tags: ["Review"],
+          summary: "Export annotations as COCO JSON",
+          description: "Moderator or admin. Downloads images, annotations (bbox, segmentation, area) and categories (one per label) in COCO object-detection format.",
+          security: [{ "Bearer": [] }],
+          parameters: [
+            { in: "query", name: "label", type: "string" },
+            { in: "query", name: "from", type: "string", format: "date-time" },
+            { in: "query", name: "to", type: "string", format: "date-time" }
+          ],
+          responses: {
+            200: { description: "COCO JSON attachment" },
+            400: { description: "INVALID_DATE" }
+          }
+        }
+      },
+
+      "/api/predictions/duplicates": {
+        get: {
+          tags: ["Prediction"],
+          summary: "Group near-duplicate predictions",
+          description: "Groups the user's predictions whose photos have near-identical perceptual hashes (dHash), showing whether each group got a consistent result.",
+          security: [{ "Bearer": [] }],
+          parameters: [
+            {
+              in: "query",
+              name: "threshold",
+              type: "integer",
+              minimum: 0,
+              maximum: 64,
+              description: "Max differing hash bits within a group (default NEAR_DUPLICATE_THRESHOLD)"
+            },
+            {
+              in: "query",
+              name: "limit",
+              type: "integer",
+              default: 500,
+              maximum: 2000,
+              description: "How many of the latest predictions to scan"
+            }
+          ],
+          responses: {
+            200: { description: "Near-duplicate groups with per-group classes, confidence range and hash distances" },
+            400: { description: "Invalid threshold (INVALID_THRESHOLD)" },
+            401: { description: "Authentication required" }
+          }
+        }
+      },
+
       // User endpoints
       "/api/user/profile": {
         get: {
@@ -438,11 +1255,97 @@ class SwaggerConfig {
         }
       },
 
+      "/api/admin/models": {
+        get: {
+          tags: ["Admin"],
+          summary: "List registered models (Admin only)",
+          security: [{ "Bearer": [] }],
+          responses: {
+            200: { description: "Models retrieved successfully" },
+            403: { description: "Admin access required" }
+          }
+        }
+      },
+
+      "/api/admin/models/{version}/activate": {
+        post: {
+          tags: ["Admin"],
+          summary: "Activate a model version (Admin only)",
+          description: "Load the model and swap it in without a restart. In-flight requests finish on the previous model.",
+          security: [{ "Bearer": [] }],
+          parameters: [{
+            in: "path",
+            name: "version",
+            type: "string",
+            required: true,
+            description: "Model version"
+          }],
+          responses: {
+            200: { description: "Model activated" },
+            404: { description: "Model version not found" },
+            500: { description: "Model failed to load; previous model stays active" }
+          }
+        }
+      },
+
+      "/api/admin/models/calibrate": {
+        post: {
+          tags: ["Admin"],
+          summary: "Fit confidence calibration for the active model (Admin only)",
+          description: "Fits a softmax temperature and stores it with the active model. source=folder runs a labeled validation folder (<label>/<image> inside CALIBRATION_DATA_DIR) through the model; source=feedback uses the stored raw outputs of the active model's predictions with an expert verdict or owner feedback (crop-constrained and tiled results excluded).",
+          security: [{ "Bearer": [] }],
+          parameters: [{
+            in: "body",
+            name: "body",
+            schema: {
+              type: "object",
+              properties: {
+                source: { type: "string", enum: ["folder", "feedback"], example: "folder" },
+                folder: { type: "string", example: "validation" },
+                dryRun: { type: "boolean", example: false }
+              }
+            }
+          }],
+          responses: {
+            200: { description: "Temperature fitted" },
+            400: { description: "INVALID_SOURCE, INVALID_FOLDER or NOT_ENOUGH_SAMPLES" },
+            404: { description: "FOLDER_NOT_FOUND" },
+            503: { description: "No model loaded" }
+          }
+        }
+      },
+
+      "/api/admin/models/rollback": {
+        post: {
+          tags: ["Admin"],
+          summary: "Roll back to the previous model (Admin only)",
+          security: [{ "Bearer": [] }],
+          responses: {
+            200: { description: "Rolled back" },
+            400: { description: "No previous model version" }
+          }
+        }
+      },
+
       "/api/admin/predictions": {
         get: {
           tags: ["Admin"],
           summary: "Get all predictions (Admin only)",
           security: [{ "Bearer": [] }],
+          parameters: [
+            {
+              in: "query",
+              name: "modelVersion",
+              type: "string",
+              description: "Only predictions made by this model version"
+            },
+            {
+              in: "query",
+              name: "modelHash",
+              type: "string",
+              description: "Only predictions made by weights with this SHA-256 hash"
+            }
+          ],
           responses: {
             200: { description: "All predictions retrieved successfully" },
             403: { description: "Admin access required" }
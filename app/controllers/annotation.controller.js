@@ -0,0 +1,358 @@
+// app/controllers/annotation.controller.js - Lesion annotations on prediction images
+const fs = require('fs');
+const path = require('path');
+const Annotation = require('../models/annotation.model');
+const Prediction = require('../models/prediction.model');
+const modelRegistry = require('../utils/modelRegistry');
+const { NOTE_MAX, readImageSize, normalizeGeometry, toCoco } = require('../utils/annotations');
+
+const isValidId = (id) => /^[0-9a-fA-F]{24}$/.test(id);
+
+const isPrivileged = (req) => (req.userRoles || []).some(role => role === 'admin' || role === 'moderator');
+
+const formatAnnotation = (annotation) => ({
+  id: annotation._id,
+  predictionId: annotation.predictionId,
+  type: annotation.type,
+  bbox: annotation.bbox,
+  points: annotation.type === 'polygon' ? annotation.points : null,
+  area: annotation.area,
+  label: annotation.label,
+  note: annotation.note,
+  author: annotation.author && annotation.author.username
+    ? { id: annotation.author._id, username: annotation.author.username }
+    : { id: annotation.author },
+  updatedBy: annotation.updatedBy || null,
+  image: {
+    filename: annotation.imageFilename,
+    url: `/uploads/${annotation.imageFilename}`,
+    width: annotation.imageWidth,
+    height: annotation.imageHeight
+  },
+  createdAt: annotation.createdAt,
+  updatedAt: annotation.updatedAt
+});
+
+// Labels come from the labels.txt of the model that made the prediction
+const validateLabel = (label, prediction) => {
+  const modelVersion = prediction.modelProvenance ? prediction.modelProvenance.version : null;
+  const validLabels = modelRegistry.getClassNamesFor(modelVersion);
+
+  if (!label || !validLabels.includes(label)) {
+    return {
+      success: false,
+      message: label ? `Unknown label: ${label}` : 'label is required',
+      error: 'INVALID_LABEL',
+      validLabels
+    };
+  }
+  return null;
+};
+
+const validateNote = (note) => {
+  if (note !== undefined && (typeof note !== 'string' || note.length > NOTE_MAX)) {
+    return {
+      success: false,
+      message: `note must be a string of at most ${NOTE_MAX} characters`,
+      error: 'INVALID_ANNOTATION'
+    };
+  }
+  return null;
+};
+
+// List a prediction's annotations (owner, moderator or admin)
+exports.listAnnotations = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!isValidId(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid prediction ID format'
+      });
+    }
+
+    const query = { _id: id };
+    if (!isPrivileged(req)) {
+      query.userId = req.userId;
+    }
+
+    const prediction = await Prediction.findOne(query).select('_id');
+    if (!prediction) {
+      return res.status(404).json({
+        success: false,
+        message: 'Prediction not found'
+      });
+    }
+
+    const annotations = await Annotation.find({ predictionId: id })
+      .populate('author', 'username')
+      .sort({ createdAt: 1 });
+
+    res.status(200).json({
+      success: true,
+      message: 'Annotations retrieved successfully',
+      data: {
+        predictionId: id,
+        annotations: annotations.map(formatAnnotation)
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ List annotations error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve annotations',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// Mark a lesion on a prediction's image (moderator or admin).
+// Body: { type: 'bbox' | 'polygon', bbox: [x, y, w, h] | points: [x1, y1, ...], label, note }
+exports.createAnnotation = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!isValidId(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid prediction ID format'
+      });
+    }
+
+    const prediction = await Prediction.findById(id).select('imageUrl storageType modelProvenance.version');
+    if (!prediction) {
+      return res.status(404).json({
+        success: false,
+        message: 'Prediction not found'
+      });
+    }
+
+    const label = req.body.label ? String(req.body.label).trim() : '';
+    const invalid = validateLabel(label, prediction) || validateNote(req.body.note);
+    if (invalid) {
+      return res.status(400).json(invalid);
+    }
+
+    const { uploadsDir } = require('../middleware/upload');
+    const imageFilename = path.basename(prediction.imageUrl);
+    const imagePath = path.join(uploadsDir, imageFilename);
+    if (prediction.storageType !== 'local' || !fs.existsSync(imagePath)) {
+      return res.status(404).json({
+        success: false,
+        message: 'The image of this prediction is no longer available',
+        error: 'IMAGE_NOT_FOUND'
+      });
+    }
+
+    const { width, height } = await readImageSize(imagePath);
+    const geometry = normalizeGeometry(req.body, width, height);
+    if (geometry.error) {
+      return res.status(400).json({
+        success: false,
+        message: geometry.error,
+        error: 'INVALID_GEOMETRY'
+      });
+    }
+
+    const annotation = await Annotation.create({
+      predictionId: prediction._id,
+      imageFilename,
+      imageWidth: width,
+      imageHeight: height,
+      ...geometry,
+      label,
+      note: req.body.note ? req.body.note.trim() : '',
+      author: req.userId
+    });
+
+    console.log(`✏️ Annotation ${annotation._id} (${annotation.type}, ${label}) on ${prediction._id}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Annotation created successfully',
+      data: formatAnnotation(annotation)
+    });
+
+  } catch (error) {
+    console.error('❌ Create annotation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create annotation',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// Change an annotation's geometry, label or note (its author or an admin)
+exports.updateAnnotation = async (req, res) => {
+  try {
+    const { annotationId } = req.params;
+
+    if (!isValidId(annotationId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid annotation ID format'
+      });
+    }
+
+    const annotation = await Annotation.findById(annotationId);
+    if (!annotation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Annotation not found'
+      });
+    }
+
+    if (String(annotation.author) !== String(req.userId) && !(req.userRoles || []).includes('admin')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the author or an admin can change this annotation',
+        error: 'NOT_AUTHOR'
+      });
+    }
+
+    if (req.body.label !== undefined) {
+      const label = String(req.body.label).trim();
+      const prediction = await Prediction.findById(annotation.predictionId).select('modelProvenance.version');
+      const invalid = validateLabel(label, prediction || {});
+      if (invalid) {
+        return res.status(400).json(invalid);
+      }
+      annotation.label = label;
+    }
+
+    const invalidNote = validateNote(req.body.note);
+    if (invalidNote) {
+      return res.status(400).json(invalidNote);
+    }
+    if (req.body.note !== undefined) {
+      annotation.note = req.body.note.trim();
+    }
+
+    if (req.body.type !== undefined || req.body.bbox !== undefined || req.body.points !== undefined) {
+      const geometry = normalizeGeometry(
+        { type: annotation.type, ...req.body },
+        annotation.imageWidth,
+        annotation.imageHeight
+      );
+      if (geometry.error) {
+        return res.status(400).json({
+          success: false,
+          message: geometry.error,
+          error: 'INVALID_GEOMETRY'
+        });
+      }
+      Object.assign(annotation, geometry);
+    }
+
+    annotation.updatedBy = req.userId;
+    await annotation.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Annotation updated successfully',
+      data: formatAnnotation(annotation)
+    });
+
+  } catch (error) {
+    console.error('❌ Update annotation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update annotation',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// Remove an annotation (its author or an admin). Once an image has no
+// annotations left, retention cleanup may delete it again.
+exports.deleteAnnotation = async (req, res) => {
+  try {
+    const { annotationId } = req.params;
+
+    if (!isValidId(annotationId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid annotation ID format'
+      });
+    }
+
+    const annotation = await Annotation.findById(annotationId);
+    if (!annotation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Annotation not found'
+      });
+    }
+
+    if (String(annotation.author) !== String(req.userId) && !(req.userRoles || []).includes('admin')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the author or an admin can delete this annotation',
+        error: 'NOT_AUTHOR'
+      });
+    }
+
+    await Annotation.findByIdAndDelete(annotationId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Annotation deleted successfully',
+      data: { id: annotationId, predictionId: annotation.predictionId }
+    });
+
+  } catch (error) {
+    console.error('❌ Delete annotation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete annotation',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// All annotations as a COCO JSON download, optionally filtered by label and date
+exports.exportCoco = async (req, res) => {
+  try {
+    const query = {};
+
+    if (req.query.label) {
+      query.label = req.query.label;
+    }
+
+    const from = req.query.from ? new Date(req.query.from) : null;
+    const to = req.query.to ? new Date(req.query.to) : null;
+    if ((from && isNaN(from.getTime())) || (to && isNaN(to.getTime()))) {
+      return res.status(400).json({
+        success: false,
+        message: 'from and to must be ISO dates',
+        error: 'INVALID_DATE'
+      });
+    }
+    if (from || to) {
+      query.createdAt = {};
+      if (from) query.createdAt.$gte = from;
+      if (to) query.createdAt.$lte = to;
+    }
+
+    const annotations = await Annotation.find(query).sort({ imageFilename: 1, createdAt: 1 }).lean();
+    const predictions = await Prediction.find({ _id: { $in: annotations.map(annotation => annotation.predictionId) } })
+      .select('predictedClass createdAt')
+      .lean();
+    const predictionsById = new Map(predictions.map(prediction => [String(prediction._id), prediction]));
+
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    res.attachment(`annotations-coco-${timestamp}.json`);
+    res.status(200).json(toCoco(annotations, predictionsById));
+
+  } catch (error) {
+    console.error('❌ COCO export error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to export annotations',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
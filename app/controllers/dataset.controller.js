@@ -0,0 +1,244 @@
+// app/controllers/dataset.controller.js - Training dataset export from verified predictions
+const fs = require('fs');
+const path = require('path');
+const archiver = require('archiver');
+const Prediction = require('../models/prediction.model');
+const { RESOLVED_STATUSES, REVIEW_STATUS } = require('../utils/reviewQueue');
+const {
+  resolveVerifiedLabel,
+  parseSplitRatios,
+  assignSplits,
+  summarizeSplits,
+  getArchivePath,
+  labelCrop,
+  toCsv,
+  toJsonl
+} = require('../utils/datasetExport');
+
+const STATUS_FILTERS = ['any', 'reviewed', 'feedback', REVIEW_STATUS.CONFIRMED, REVIEW_STATUS.RELABELED];
+const LAYOUTS = ['label', 'split'];
+const LABEL_SOURCE_PRIORITY = { expert: 0, feedback: 1 };
+
+// Mongo filter for predictions that can carry a verified label
+const buildExportQuery = ({ status, from, to }) => {
+  const query = { isMock: { $ne: true }, storageType: 'local' };
+
+  if (status === 'reviewed') {
+    query['review.status'] = { $in: RESOLVED_STATUSES };
+  } else if (status === 'feedback') {
+    query['feedback.isCorrect'] = { $ne: null };
+  } else if (RESOLVED_STATUSES.includes(status)) {
+    query['review.status'] = status;
+  } else {
+    query.$or = [
+      { 'review.status': { $in: RESOLVED_STATUSES } },
+      { 'feedback.isCorrect': { $ne: null } }
+    ];
+  }
+
+  if (from || to) {
+    query.createdAt = {};
+    if (from) query.createdAt.$gte = from;
+    if (to) query.createdAt.$lte = to;
+  }
+  return query;
+};
+
+// One entry per image file: several predictions can share a file (cache hits),
+// in which case the expert label, then the most recently verified one, wins
+const collectExportItems = (predictions, uploadsDir, crop) => {
+  const byFile = new Map();
+  let missingFiles = 0;
+
+  predictions.forEach(prediction => {
+    const verified = resolveVerifiedLabel(prediction);
+    if (!verified) return;
+    if (crop && (labelCrop(verified.label) || '').toLowerCase() !== crop.toLowerCase()) return;
+
+    const filename = path.basename(prediction.imageUrl);
+    const item = {
+      id: String(prediction._id),
+      filename,
+      filePath: path.join(uploadsDir, filename),
+      label: verified.label,
+      labelSource: verified.source,
+      verifiedAt: verified.verifiedAt,
+      verifiedBy: verified.verifiedBy,
+      prediction
+    };
+
+    const existing = byFile.get(filename);
+    if (!existing ||
+        LABEL_SOURCE_PRIORITY[item.labelSource] < LABEL_SOURCE_PRIORITY[existing.labelSource] ||
+        (item.labelSource === existing.labelSource && item.verifiedAt > existing.verifiedAt)) {
+      byFile.set(filename, item);
+    }
+  });
+
+  const items = [];
+  byFile.forEach(item => {
+    if (fs.existsSync(item.filePath)) {
+      items.push(item);
+    } else {
+      missingFiles++;
+    }
+  });
+
+  // Stable order so the manifest and split don't depend on query order
+  items.sort((a, b) => a.id.localeCompare(b.id));
+  return { items, missingFiles };
+};
+
+const toManifestRow = (item, layout) => {
+  const { prediction } = item;
+  const provenance = prediction.modelProvenance || {};
+
+  return {
+    path: getArchivePath(item, layout),
+    label: item.label,
+    split: item.split,
+    labelSource: item.labelSource,
+    predictionId: item.id,
+    predictedClass: prediction.predictedClass,
+    confidence: prediction.confidence,
+    modelVersion: provenance.version || null,
+    modelHash: provenance.modelHash || null,
+    crop: labelCrop(item.label),
+    sha256: prediction.imageMetadata ? prediction.imageMetadata.sha256 || null : null,
+    verifiedAt: item.verifiedAt,
+    verifiedBy: item.verifiedBy,
+    createdAt: prediction.createdAt
+  };
+};
+
+const parseDateParam = (value) => {
+  if (!value) return { date: null };
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? { error: true } : { date };
+};
+
+// Stream an ImageFolder-style zip (<label>/<file>, or <split>/<label>/<file> with
+// layout=split) of images with a verified label, plus manifest.csv/.jsonl with
+// provenance and a stratified train/val/test split. dryRun=true returns the
+// summary as JSON without building the archive.
+exports.exportDataset = async (req, res) => {
+  try {
+    const status = req.query.status || 'any';
+    const layout = req.query.layout || 'label';
+    const seed = req.query.seed || 'default';
+    const crop = req.query.crop || null;
+    const dryRun = req.query.dryRun === 'true';
+
+    if (!STATUS_FILTERS.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown status: ${status}`,
+        error: 'INVALID_STATUS',
+        validStatuses: STATUS_FILTERS
+      });
+    }
+
+    if (!LAYOUTS.includes(layout)) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown layout: ${layout}`,
+        error: 'INVALID_LAYOUT',
+        validLayouts: LAYOUTS
+      });
+    }
+
+    const ratios = parseSplitRatios(req.query.split);
+    if (!ratios) {
+      return res.status(400).json({
+        success: false,
+        message: 'split must be three non-negative ratios, e.g. 0.8,0.1,0.1',
+        error: 'INVALID_SPLIT'
+      });
+    }
+
+    const from = parseDateParam(req.query.from);
+    const to = parseDateParam(req.query.to);
+    if (from.error || to.error) {
+      return res.status(400).json({
+        success: false,
+        message: 'from and to must be ISO dates',
+        error: 'INVALID_DATE'
+      });
+    }
+
+    const predictions = await Prediction.find(buildExportQuery({ status, from: from.date, to: to.date }))
+      .select('imageUrl predictedClass confidence userId modelProvenance.version modelProvenance.modelHash imageMetadata.sha256 feedback review createdAt')
+      .lean();
+
+    const { uploadsDir } = require('../middleware/upload');
+    const { items, missingFiles } = collectExportItems(predictions, uploadsDir, crop);
+
+    if (items.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'No verified predictions with stored images match the filters',
+        error: 'NOTHING_TO_EXPORT',
+        data: { matched: predictions.length, missingFiles }
+      });
+    }
+
+    assignSplits(items, ratios, seed);
+    const manifest = items.map(item => toManifestRow(item, layout));
+    const summary = {
+      images: items.length,
+      matched: predictions.length,
+      missingFiles,
+      splitRatios: ratios,
+      seed,
+      layout,
+      filters: { status, crop, from: from.date, to: to.date },
+      splits: summarizeSplits(items)
+    };
+
+    if (dryRun) {
+      return res.status(200).json({
+        success: true,
+        message: 'Dataset export summary (dry run)',
+        data: summary
+      });
+    }
+
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    res.attachment(`dataset-${timestamp}.zip`);
+
+    const archive = archiver('zip', { zlib: { level: 6 } });
+    archive.on('warning', (error) => console.error('⚠️ Dataset export warning:', error.message));
+    archive.on('error', (error) => {
+      console.error('❌ Dataset export stream error:', error);
+      res.destroy(error);
+    });
+    archive.pipe(res);
+
+    archive.append(toCsv(manifest), { name: 'manifest.csv' });
+    archive.append(toJsonl(manifest), { name: 'manifest.jsonl' });
+    archive.append(JSON.stringify({ ...summary, exportedAt: new Date(), exportedBy: req.userId }, null, 2), {
+      name: 'summary.json'
+    });
+
+    // Images are already compressed; store them as-is. Files are read lazily as the zip streams.
+    items.forEach((item, index) => {
+      archive.file(item.filePath, { name: manifest[index].path, store: true });
+    });
+
+    console.log(`📦 Exporting ${items.length} images (${status}, seed ${seed})`);
+    await archive.finalize();
+
+  } catch (error) {
+    console.error('❌ Dataset export error:', error);
+
+    if (res.headersSent) {
+      res.destroy(error);
+      return;
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Failed to export dataset',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
@@ -0,0 +1,312 @@
+// app/controllers/model.controller.js - Admin model registry management
+const fs = require('fs');
+const path = require('path');
+const modelRegistry = require('../utils/modelRegistry');
+const { inferencePool, INFERENCE_TIMEOUT_MS, withInferenceSlot } = require('../utils/inferenceRuntime');
+const { fitTemperature } = require('../utils/calibration');
+const Prediction = require('../models/prediction.model');
+const { RESOLVED_STATUSES } = require('../utils/reviewQueue');
+const { resolveVerifiedLabel } = require('../utils/datasetExport');
+
+// Labeled validation images live under this directory as <label>/<image>
+const CALIBRATION_DATA_DIR = process.env.CALIBRATION_DATA_DIR || path.join(process.cwd(), 'calibration-data');
+const CALIBRATION_BATCH_SIZE = 16;
+const MIN_CALIBRATION_SAMPLES = 10;
+const IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.webp'];
+const CALIBRATION_SOURCES = ['folder', 'feedback'];
+// Most recent verified predictions used by source=feedback
+const FEEDBACK_CALIBRATION_LIMIT = parseInt(process.env.CALIBRATION_FEEDBACK_LIMIT) || 5000;
+
+// Run the model over a labeled folder and collect raw softmax outputs with their true label.
+// Batches go through the inference pool like predictions, so the main thread stays free.
+const collectFolderSamples = async (modelEntry, folderPath) => {
+  const samples = [];
+  const skipped = [];
+  const files = [];
+
+  fs.readdirSync(folderPath, { withFileTypes: true })
+    .filter(dirent => dirent.isDirectory())
+    .forEach(dirent => {
+      const labelIndex = modelEntry.classNames.indexOf(dirent.name);
+      if (labelIndex === -1) {
+        skipped.push({ label: dirent.name, reason: 'UNKNOWN_LABEL' });
+        return;
+      }
+
+      fs.readdirSync(path.join(folderPath, dirent.name))
+        .filter(file => IMAGE_EXTENSIONS.includes(path.extname(file).toLowerCase()))
+        .forEach(file => files.push({ path: path.join(folderPath, dirent.name, file), labelIndex }));
+    });
+
+  for (let i = 0; i < files.length; i += CALIBRATION_BATCH_SIZE) {
+    const chunk = files.slice(i, i + CALIBRATION_BATCH_SIZE);
+    const outputs = await withInferenceSlot(() => (
+      inferencePool.predict(modelEntry, chunk.map(file => file.path), { timeoutMs: INFERENCE_TIMEOUT_MS })
+    ));
+
+    outputs.forEach((output, index) => {
+      if (output.error) {
+        skipped.push({ file: path.relative(folderPath, chunk[index].path), reason: output.error });
+        return;
+      }
+      samples.push({ probabilities: output.rows[0], labelIndex: chunk[index].labelIndex });
+    });
+  }
+
+  return { samples, skipped };
+};
+
+// Stored raw outputs of this model's predictions that a person labeled: the expert
+// verdict, else the owner's feedback. Crop-constrained and tiled results are skipped
+// since their stored probabilities were renormalized or aggregated.
+const collectFeedbackSamples = async (modelEntry) => {
+  const samples = [];
+  const skipped = [];
+
+  const predictions = await Prediction.find({
+    'modelProvenance.version': modelEntry.version,
+    isMock: { $ne: true },
+    'cropConstraint.applied': { $ne: true },
+    'tiles.applied': { $ne: true },
+    $or: [
+      { 'review.status': { $in: RESOLVED_STATUSES } },
+      { 'feedback.isCorrect': { $ne: null } }
+    ]
+  })
+    .select('predictedClass allPredictions feedback review userId')
+    .sort({ createdAt: -1 })
+    .limit(FEEDBACK_CALIBRATION_LIMIT)
+    .lean();
+
+  predictions.forEach(prediction => {
+    const verified = resolveVerifiedLabel(prediction);
+    const labelIndex = verified ? modelEntry.classNames.indexOf(verified.label) : -1;
+    if (labelIndex === -1) {
+      skipped.push({ predictionId: prediction._id, reason: verified ? 'UNKNOWN_LABEL' : 'NO_VERIFIED_LABEL' });
+      return;
+    }
+
+    const rawByClass = new Map((prediction.allPredictions || []).map(entry => [entry.class, entry.rawConfidence]));
+    const probabilities = modelEntry.classNames.map(className => rawByClass.get(className));
+    if (probabilities.some(p => typeof p !== 'number')) {
+      skipped.push({ predictionId: prediction._id, reason: 'MISSING_RAW_OUTPUT' });
+      return;
+    }
+
+    samples.push({ probabilities, labelIndex });
+  });
+
+  return { samples, skipped, matched: predictions.length };
+};
+
+// List every model directory known to the registry (admin only)
+exports.listModels = async (req, res) => {
+  try {
+    await modelRegistry.initialize();
+    modelRegistry.discover();
+
+    const activeModel = modelRegistry.getActive();
+
+    res.status(200).json({
+      success: true,
+      message: 'Models retrieved successfully',
+      data: {
+        active: activeModel ? activeModel.version : null,
+        history: modelRegistry.history,
+        models: modelRegistry.list()
+      }
+    });
+  } catch (error) {
+    console.error('❌ List models error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve models',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// Activate a model version without restarting (admin only)
+exports.activateModel = async (req, res) => {
+  try {
+    const { version } = req.params;
+
+    await modelRegistry.initialize();
+    modelRegistry.discover();
+
+    if (!modelRegistry.entries.has(version)) {
+      return res.status(404).json({
+        success: false,
+        message: `Model version not found: ${version}`,
+        error: 'MODEL_NOT_FOUND',
+        availableVersions: Array.from(modelRegistry.entries.keys())
+      });
+    }
+
+    const entry = await modelRegistry.activate(version);
+
+    res.status(200).json({
+      success: true,
+      message: `Model ${entry.version} activated successfully`,
+      data: {
+        active: entry.version,
+        history: modelRegistry.history,
+        totalClasses: entry.classNames.length,
+        metadata: entry.metadata
+      }
+    });
+  } catch (error) {
+    console.error('❌ Activate model error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to activate model, previous model is still active',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'MODEL_LOAD_FAILED'
+    });
+  }
+};
+
+// Roll back to the previously active model version (admin only)
+exports.rollbackModel = async (req, res) => {
+  try {
+    await modelRegistry.initialize();
+
+    if (modelRegistry.history.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No previous model version to roll back to',
+        error: 'NO_ROLLBACK_TARGET'
+      });
+    }
+
+    const entry = await modelRegistry.rollback();
+
+    res.status(200).json({
+      success: true,
+      message: `Rolled back to model ${entry.version}`,
+      data: {
+        active: entry.version,
+        history: modelRegistry.history,
+        totalClasses: entry.classNames.length,
+        metadata: entry.metadata
+      }
+    });
+  } catch (error) {
+    console.error('❌ Rollback model error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to roll back model',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'MODEL_LOAD_FAILED'
+    });
+  }
+};
+
+// Fit a softmax temperature for the active model and store it with the model (admin only).
+// source=folder runs a labeled image folder through the model; source=feedback reuses
+// the stored raw outputs of predictions corrected or confirmed by users and experts.
+exports.calibrateModel = async (req, res) => {
+  const modelEntry = await modelRegistry.acquire();
+
+  try {
+    const { source = 'folder', folder = '' } = req.body;
+    const dryRun = req.body.dryRun === true || req.body.dryRun === 'true';
+
+    if (!CALIBRATION_SOURCES.includes(source)) {
+      return res.status(400).json({
+        success: false,
+        message: `Unsupported calibration source: ${source}`,
+        error: 'INVALID_SOURCE',
+        supportedSources: CALIBRATION_SOURCES
+      });
+    }
+
+    // Feedback only needs the stored outputs, a folder needs the model itself
+    if (source === 'folder' ? !modelEntry.ready : !modelEntry.version) {
+      return res.status(503).json({
+        success: false,
+        message: 'No model is loaded, nothing to calibrate',
+        error: 'MODEL_UNAVAILABLE'
+      });
+    }
+
+    let samples;
+    let skipped;
+    let sourceDetails;
+
+    if (source === 'feedback') {
+      console.log(`🎯 Calibrating model ${modelEntry.version} from verified predictions...`);
+      const collected = await collectFeedbackSamples(modelEntry);
+      ({ samples, skipped } = collected);
+      sourceDetails = { predictions: collected.matched };
+    } else {
+      // Keep the folder inside the calibration data directory
+      const baseDir = path.resolve(CALIBRATION_DATA_DIR);
+      const folderPath = path.resolve(baseDir, folder);
+      if (folderPath !== baseDir && !folderPath.startsWith(baseDir + path.sep)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Folder must be inside the calibration data directory',
+          error: 'INVALID_FOLDER'
+        });
+      }
+
+      if (!fs.existsSync(folderPath) || !fs.statSync(folderPath).isDirectory()) {
+        return res.status(404).json({
+          success: false,
+          message: `Calibration folder not found: ${folder || '.'}`,
+          error: 'FOLDER_NOT_FOUND'
+        });
+      }
+
+      console.log(`🎯 Calibrating model ${modelEntry.version} from ${folderPath}...`);
+      ({ samples, skipped } = await collectFolderSamples(modelEntry, folderPath));
+      sourceDetails = { folder: path.relative(baseDir, folderPath) || '.' };
+    }
+
+    if (samples.length < MIN_CALIBRATION_SAMPLES) {
+      return res.status(400).json({
+        success: false,
+        message: `At least ${MIN_CALIBRATION_SAMPLES} labeled ${source === 'feedback' ? 'predictions' : 'images'} are required, found ${samples.length}`,
+        error: 'NOT_ENOUGH_SAMPLES',
+        data: { skipped }
+      });
+    }
+
+    const fit = fitTemperature(samples);
+    const calibration = {
+      method: 'temperature_scaling',
+      ...fit,
+      source,
+      ...sourceDetails,
+      fittedAt: new Date().toISOString(),
+      fittedBy: req.userId
+    };
+
+    let persisted = false;
+    if (!dryRun) {
+      persisted = modelRegistry.setCalibration(modelEntry.version, calibration);
+    }
+
+    console.log(`✅ Fitted temperature ${fit.temperature.toFixed(3)} on ${fit.samples} samples`);
+
+    res.status(200).json({
+      success: true,
+      message: dryRun ? 'Calibration fitted (dry run, not applied)' : 'Calibration fitted and applied',
+      data: {
+        modelVersion: modelEntry.version,
+        applied: !dryRun,
+        persisted,
+        calibration,
+        skipped
+      }
+    });
+  } catch (error) {
+    console.error('❌ Calibrate model error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to calibrate model',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  } finally {
+    modelRegistry.release(modelEntry);
+  }
+};
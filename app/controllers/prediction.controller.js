@@ -3,203 +3,119 @@ const tf = require('@tensorflow/tfjs');
 require('@tensorflow/tfjs-backend-cpu');
 const fs = require('fs');
 const path = require('path');
-const sharp = require('sharp');
 const db = require("../models");
 const Prediction = db.prediction;
+const Annotation = db.annotation;
 const { deleteUploadedFile } = require('../middleware/upload');
+const { JobQueue } = require('../utils/jobQueue');
+const modelRegistry = require('../utils/modelRegistry');
+const {
+  inferencePool,
+  inferenceLimiter,
+  INFERENCE_TIMEOUT_MS,
+  EXPLANATION_TIMEOUT_MS,
+  withInferenceSlot
+} = require('../utils/inferenceRuntime');
+const { ResultCache } = require('../utils/resultCache');
+const { MOCK_CONFIG, runMockInference } = require('../utils/mockModel');
+const { applyTemperature } = require('../utils/calibration');
+const { DECISIONS, GATE_MESSAGES, evaluateGate } = require('../utils/oodGate');
+const { parseLabel, getCrops, resolveCrop, buildHierarchy, constrainToCrop } = require('../utils/labels');
+const { TTA_CONFIG, averageRows } = require('../utils/tta');
+const {
+  DUPLICATE_CONFIG,
+  HASH_BITS,
+  computeDHash,
+  hammingDistance,
+  similarity,
+  findClosest,
+  groupNearDuplicates
+} = require('../utils/perceptualHash');
+const { EMBEDDING_CONFIG, l2Normalize, nearestNeighbours } = require('../utils/embeddings');
+const { QUALITY_CONFIG, assessImageQuality } = require('../utils/imageQuality');
+const { SEGMENTATION_CONFIG, segmentLeaf } = require('../utils/segmentation');
+const { getExplanationFilename } = require('../utils/explanation');
+const {
+  REVIEW_CONFIG,
+  REVIEW_REASONS,
+  OPEN_STATUSES,
+  buildInitialReview,
+  queueForReview,
+  formatOwnerReview
+} = require('../utils/reviewQueue');
+const {
+  TILING_MODES,
+  TILING_CONFIG,
+  planTiles,
+  extractTiles,
+  removeTiles,
+  aggregateTileRows
+} = require('../utils/tiling');
 
 // Load model dan labels saat server start
-let model = null;
-let classNames = [];
-
-const MODEL_PATH = process.env.NODE_ENV === 'production' 
-  ? path.join(process.cwd(), 'models/tfjs_model/model.json')
-  : path.join(__dirname, '../../models/tfjs_model/model.json');
-
-const LABELS_PATH = process.env.NODE_ENV === 'production'
-  ? path.join(process.cwd(), 'models/labels.txt')
-  : path.join(__dirname, '../../models/labels.txt');
-
-// Initialize model
-const initializeModel = async () => {
-  try {
-    await tf.setBackend('cpu');
-    console.log('🧠 TensorFlow.js backend set to CPU');
-    
-    if (fs.existsSync(MODEL_PATH)) {
-      try {
-        console.log('📥 Loading model from:', MODEL_PATH);
-        
-        try {
-          const modelUrl = `file://${MODEL_PATH.replace(/\\/g, '/')}`;
-          console.log('🔄 Attempting to load graph model from:', modelUrl);
-          model = await tf.loadGraphModel(modelUrl);
-          console.log('✅ Graph model loaded successfully via URL');
-        } catch (urlError) {
-          console.log('⚠️  URL loading failed, trying custom IO handler...');
-          
-          const modelData = JSON.parse(fs.readFileSync(MODEL_PATH, 'utf8'));
-          console.log('📄 Model JSON loaded successfully');
-          
-          const ioHandler = {
-            load: async () => {
-              console.log('⬇️  Loading model weights...');
-              
-              const modelTopology = modelData.modelTopology;
-              const weightsManifest = modelData.weightsManifest;
-              
-              const weightData = [];
-              const modelDir = path.dirname(MODEL_PATH);
-              
-              for (const manifest of weightsManifest) {
-                for (const weightPath of manifest.paths) {
-                  const weightFilePath = path.join(modelDir, weightPath);
-                  if (fs.existsSync(weightFilePath)) {
-                    console.log(`📦 Reading weight file: ${weightPath}`);
-                    const buffer = fs.readFileSync(weightFilePath);
-                    weightData.push(buffer);
-                  } else {
-                    throw new Error(`Weight file not found: ${weightFilePath}`);
-                  }
-                }
-              }
-              
-              const totalLength = weightData.reduce((sum, buffer) => sum + buffer.length, 0);
-              const concatenated = new Uint8Array(totalLength);
-              let offset = 0;
-              
-              for (const buffer of weightData) {
-                concatenated.set(new Uint8Array(buffer), offset);
-                offset += buffer.length;
-              }
-              
-              console.log(`📊 Total weight data size: ${(totalLength / 1024 / 1024).toFixed(2)} MB`);
-              
-              return {
-                modelTopology: modelTopology,
-                weightSpecs: weightsManifest[0].weights,
-                weightData: concatenated.buffer,
-                format: modelData.format,
-                generatedBy: modelData.generatedBy,
-                convertedBy: modelData.convertedBy,
-                signature: modelData.signature
-              };
-            }
-          };
-          
-          model = await tf.loadGraphModel(ioHandler);
-          console.log('✅ Graph model loaded successfully via custom IO handler');
-        }
-        
-        console.log('📐 Model input shape:', model.inputs[0].shape);
-        console.log('🎯 Graph model loaded - output shape will be determined during inference');
-        
-        console.log('🔥 Warming up model...');
-        const dummyInput = tf.zeros([1, 224, 224, 3]);
-        const warmupPrediction = model.execute(dummyInput);
-        
-        if (Array.isArray(warmupPrediction)) {
-          console.log('🔢 Model has multiple outputs, using first output');
-          console.log('📐 Output shape:', warmupPrediction[0].shape);
-          warmupPrediction.forEach(p => p.dispose());
-        } else {
-          console.log('📐 Output shape:', warmupPrediction.shape);
-          warmupPrediction.dispose();
-        }
-        
-        dummyInput.dispose();
-        console.log('✅ Model warmed up successfully');
-        
-      } catch (modelError) {
-        console.error('❌ Failed to load model:', modelError.message);
-        console.error('📋 Full error:', modelError);
-        console.log('⚠️  Continuing with dummy predictions');
-        model = null;
-      }
-    } else {
-      console.log('⚠️  Model file not found at:', MODEL_PATH);
-      console.log('🤖 Using dummy predictions');
-    }
-
-    // Load class labels
-    if (fs.existsSync(LABELS_PATH)) {
-      const labelsContent = fs.readFileSync(LABELS_PATH, 'utf8');
-      classNames = labelsContent.split('\n').filter(line => line.trim() !== '');
-      console.log(`✅ Loaded ${classNames.length} class labels`);
-      
-      if (classNames.length > 0) {
-        const displayClasses = classNames.slice(0, 5);
-        console.log('🏷️  Classes:', displayClasses.join(', '));
-        if (classNames.length > 5) {
-          console.log(`   ... and ${classNames.length - 5} more classes`);
-        }
-      }
-    } else {
-      classNames = [
-        'Chili__healthy', 'Chili__leaf curl', 'Chili__leaf spot', 'Chili__whitefly',
-        'Corn__common_rust', 'Corn__gray_leaf_spot', 'Corn__healthy', 'Corn__northern_leaf_blight',
-        'Rice__brown_spot', 'Rice__healthy', 'Rice__leaf_blast', 'Rice__neck_blast',
-        'Tomato__early_blight', 'Tomato__healthy', 'Tomato__late_blight', 'Tomato__yellow_leaf_curl_virus'
-      ];
-      console.log('⚠️  Labels file not found, using default labels');
-      console.log(`🏷️  Using ${classNames.length} default class labels`);
-    }
-  } catch (error) {
-    console.error('❌ Error initializing model:', error);
-    model = null;
+modelRegistry.initialize();
+
+// Recent results keyed by image content and model, so a re-upload of the same
+// photo skips inference and reuses the stored file. PREDICTION_CACHE_SIZE=0 disables it.
+const resultCache = new ResultCache({
+  maxEntries: process.env.PREDICTION_CACHE_SIZE !== undefined ? parseInt(process.env.PREDICTION_CACHE_SIZE) || 0 : 500,
+  ttlMs: parseInt(process.env.PREDICTION_CACHE_TTL_MS) || 60 * 60 * 1000
+});
+// Whether a cache hit still gets its own history entry
+const CACHE_RECORD_HITS = process.env.PREDICTION_CACHE_RECORD_HITS !== 'false';
+
+// Longest free-text comment accepted with prediction feedback or a review flag
+const FEEDBACK_COMMENT_MAX = 1000;
+
+// Errors that mean "server busy", as opposed to a broken model
+const OVERLOAD_ERRORS = ['LIMIT_QUEUE_FULL', 'LIMIT_WAIT_TIMEOUT', 'POOL_QUEUE_FULL', 'INFERENCE_TIMEOUT'];
+
+// With MOCK_MODEL=true predictions come from the deterministic mock model.
+// It keeps the active labels but none of the real model's weights or calibration.
+const resolvePredictionEntry = (modelEntry) => {
+  if (!MOCK_CONFIG.enabled) {
+    return modelEntry;
   }
+  
+  return {
+    ...modelEntry,
+    version: MOCK_CONFIG.version,
+    model: null,
+    metadata: {},
+    modelHash: null,
+    isMock: true
+  };
 };
 
-// Call initialization
-initializeModel();
+const isModelAvailable = (modelEntry) => !!(modelEntry.isMock || (modelEntry.ready && !inferencePool.degraded));
 
-// Preprocessing image dari file path
-const preprocessImage = async (imagePath) => {
-  try {
-    console.log('🖼️  Preprocessing image:', imagePath);
-    
-    const imageBuffer = await sharp(imagePath)
-      .resize(224, 224)
-      .removeAlpha()
-      .toColorspace('rgb')
-      .raw()
-      .toBuffer();
-
-    const imageTensor = tf.tensor3d(
-      new Uint8Array(imageBuffer),
-      [224, 224, 3],
-      'int32'
-    );
-
-    const normalizedImage = imageTensor.cast('float32').div(255.0).expandDims(0);
-    imageTensor.dispose();
-    
-    console.log('✅ Image preprocessing complete');
-    return normalizedImage;
-  } catch (error) {
-    console.error('❌ Image preprocessing error:', error.message);
-    throw new Error(`Image preprocessing error: ${error.message}`);
-  }
+// Degraded mode: without a working model we refuse to predict instead of guessing
+const modelUnavailableError = (modelEntry, reason) => {
+  const error = new Error('Prediction model is unavailable');
+  error.code = 'MODEL_UNAVAILABLE';
+  error.reason = reason || modelEntry.loadError ||
+    (inferencePool.degraded ? inferencePool.degradedError().message : 'No model is loaded');
+  return error;
 };
 
-// Dummy prediction function
-const getDummyPrediction = () => {
-  console.log('🎭 Generating dummy prediction');
-  
-  const predictions = classNames.map((className, index) => ({
-    class: className,
-    confidence: Math.random() * 0.8 + 0.1
-  }));
-  
-  predictions.sort((a, b) => b.confidence - a.confidence);
+const predictImages = (modelEntry, imagePaths, options) => {
+  if (modelEntry.isMock) {
+    return runMockInference(modelEntry, imagePaths);
+  }
   
-  return {
-    predictedClass: predictions[0].class,
-    confidence: predictions[0].confidence,
-    allPredictions: predictions
-  };
+  return withInferenceSlot(() => (
+    inferencePool.predict(modelEntry, imagePaths, {
+      ...options,
+      embeddings: EMBEDDING_CONFIG.enabled,
+      timeoutMs: INFERENCE_TIMEOUT_MS
+    })
+  ));
 };
 
+const explainImage = (modelEntry, imagePath, targetClass) => withInferenceSlot(() => (
+  inferencePool.explain(modelEntry, imagePath, targetClass, { timeoutMs: EXPLANATION_TIMEOUT_MS })
+));
+
 // FIXED: Enhanced URL generation helper
 const generateImageUrls = (req, filename) => {
   const protocol = req.secure || req.get('x-forwarded-proto') === 'https' ? 'https' : 'http';
@@ -223,266 +139,1781 @@ const generateImageUrls = (req, filename) => {
   return urls;
 };
 
-// FIXED: Main prediction function with proper image URL handling
-exports.predictPlantDisease = async (req, res) => {
-  const startTime = Date.now();
+// Turn one raw probability array into predictedClass, confidence and the sorted class list.
+// Confidences are temperature-calibrated; the raw softmax values are kept alongside.
+// With options.crop both are masked and renormalized over that crop's classes.
+const buildPredictionResult = (modelEntry, predictionArray, options = {}) => {
+  const classNames = modelEntry.classNames;
+  let raw = predictionArray;
+  let calibrated = applyTemperature(predictionArray, getTemperature(modelEntry));
+  let cropConstraint = buildCropConstraint(null);
   
-  try {
-    console.log('🚀 Starting plant disease prediction...');
+  if (options.crop) {
+    const unconstrainedIndex = calibrated.indexOf(Math.max(...calibrated));
+    const constrained = constrainToCrop(calibrated, classNames, options.crop);
     
-    if (!req.file) {
-      console.log('❌ No image file provided in request');
-      return res.status(400).json({
+    raw = constrainToCrop(raw, classNames, options.crop).probabilities;
+    calibrated = constrained.probabilities;
+    cropConstraint = buildCropConstraint(options.crop, {
+      massInCrop: constrained.massInCrop,
+      unconstrainedClass: classNames[unconstrainedIndex] || 'Unknown'
+    });
+  }
+  
+  const predictedIndex = calibrated.indexOf(Math.max(...calibrated));
+  
+  const allPredictions = classNames.map((className, index) => ({
+    class: className,
+    confidence: calibrated[index] || 0,
+    rawConfidence: raw[index] || 0
+  })).sort((a, b) => b.confidence - a.confidence);
+
+  return {
+    predictedClass: classNames[predictedIndex] || 'Unknown',
+    confidence: calibrated[predictedIndex],
+    rawConfidence: raw[predictedIndex],
+    allPredictions: allPredictions,
+    cropConstraint
+  };
+};
+
+// Build a prediction result from one image's inference output (see runInference).
+// Test-time augmentation outputs carry one row per augmented view: their
+// probabilities are averaged and their agreement with the final class is reported.
+const buildResultFromOutput = (modelEntry, output, options = {}) => {
+  if (!output.augmentations) {
+    const predictionResult = buildPredictionResult(modelEntry, output.rows[0], options);
+    predictionResult.embedding = output.embedding || null;
+    return predictionResult;
+  }
+  
+  const predictionResult = buildPredictionResult(modelEntry, averageRows(output.rows), options);
+  predictionResult.embedding = output.embedding || null;
+  const votes = output.rows.map(row => buildPredictionResult(modelEntry, row, options).predictedClass);
+  
+  predictionResult.tta = {
+    enabled: true,
+    augmentations: output.augmentations,
+    agreement: votes.filter(vote => vote === predictionResult.predictedClass).length / votes.length,
+    votes: output.augmentations.map((augmentation, index) => ({ augmentation, predictedClass: votes[index] }))
+  };
+  return predictionResult;
+};
+
+// Record whether the output was restricted to one crop's classes
+const buildCropConstraint = (crop, details) => ({
+  applied: !!crop,
+  crop: crop || null,
+  massInCrop: details ? details.massInCrop : null,
+  unconstrainedClass: details ? details.unconstrainedClass : null
+});
+
+// Read and validate per-request prediction options from the form body or query string.
+// Returns { options } or { error } with a ready-to-send 400 payload.
+const parsePredictionOptions = (req, classNames) => {
+  const options = {};
+  const cropParam = req.body.crop || req.query.crop;
+  
+  if (cropParam) {
+    const crop = resolveCrop(cropParam, classNames);
+    if (!crop) {
+      return {
+        error: {
+          success: false,
+          message: `Unknown crop: ${cropParam}`,
+          error: 'INVALID_CROP',
+          validCrops: getCrops(classNames)
+        }
+      };
+    }
+    options.crop = crop;
+  }
+  
+  options.explain = req.query.explain === 'true' || req.body.explain === 'true';
+  
+  const ttaParam = req.query.tta !== undefined ? req.query.tta : req.body.tta;
+  options.tta = ttaParam !== undefined ? ttaParam === 'true' : TTA_CONFIG.enabledByDefault;
+  
+  const segmentParam = req.query.segment !== undefined ? req.query.segment : req.body.segment;
+  options.segment = segmentParam !== undefined ? segmentParam === 'true' : SEGMENTATION_CONFIG.enabledByDefault;
+  
+  // tiles=grid|regions (true means grid); anything off predicts the whole image
+  let tilesParam = req.query.tiles !== undefined ? req.query.tiles : req.body.tiles;
+  if (tilesParam === undefined) tilesParam = TILING_CONFIG.defaultMode;
+  if (tilesParam === 'true') tilesParam = 'grid';
+  
+  if (TILING_MODES.includes(tilesParam)) {
+    options.tiles = tilesParam;
+  } else if (!['false', 'off'].includes(tilesParam)) {
+    return {
+      error: {
         success: false,
-        message: 'No image file provided',
-        error: 'NO_FILE'
-      });
+        message: `Unknown tiling mode: ${tilesParam}`,
+        error: 'INVALID_TILING_MODE',
+        validModes: TILING_MODES
+      }
+    };
+  }
+  
+  return { options };
+};
+
+const getTemperature = (modelEntry) => (
+  modelEntry.metadata && modelEntry.metadata.calibration
+    ? modelEntry.metadata.calibration.temperature
+    : 1
+);
+
+// Add the OOD gate decision and the crop/condition breakdown to a prediction result
+const finalizePredictionResult = async (predictionResult, imagePath) => {
+  predictionResult.gate = await evaluateGate(
+    predictionResult.allPredictions.map(p => p.confidence),
+    imagePath,
+    { massInCrop: predictionResult.cropConstraint.massInCrop }
+  );
+  predictionResult.hierarchy = buildHierarchy(predictionResult.allPredictions, predictionResult.predictedClass);
+  return predictionResult;
+};
+
+// Which model, labels and preprocessing produced a prediction
+const buildProvenance = (modelEntry) => ({
+  version: modelEntry.version,
+  modelHash: modelEntry.modelHash,
+  labelsHash: modelEntry.labelsHash,
+  preprocessing: modelEntry.preprocessing,
+  temperature: getTemperature(modelEntry),
+  tfBackend: tf.getBackend(),
+  modelLoaded: !!modelEntry.ready
+});
+
+// Build the Prediction document for one uploaded file
+const buildPredictionData = (req, file, imageUrls, predictionResult, processingTime, modelEntry) => {
+  const predictionData = {
+    imageName: file.originalname,
+    imageUrl: imageUrls.relative,           // Store relative URL in database
+    imageFullUrl: imageUrls.full,           // Store full URL for reference
+    imagePublicUrl: imageUrls.public,       // Store public accessible URL
+    predictedClass: predictionResult.predictedClass,
+    confidence: predictionResult.confidence,
+    rawConfidence: predictionResult.rawConfidence,
+    allPredictions: predictionResult.allPredictions,
+    crop: predictionResult.hierarchy.crop,
+    condition: predictionResult.hierarchy.condition,
+    isHealthy: predictionResult.hierarchy.isHealthy,
+    cropProbability: predictionResult.hierarchy.cropProbability,
+    healthyProbability: predictionResult.hierarchy.healthyProbability,
+    cropConstraint: predictionResult.cropConstraint,
+    explanation: predictionResult.explanation || null,
+    isMock: !!modelEntry.isMock,
+    tta: predictionResult.tta || { enabled: false },
+    tiles: predictionResult.tiles || { requested: false },
+    quality: file.quality || null,
+    segmentation: buildSegmentationData(file.segmentation),
+    predictionType: req.userId ? 'authenticated' : 'anonymous',
+    storageType: 'local',
+    deviceInfo: {
+      userAgent: req.get('User-Agent'),
+      ip: req.ip || req.connection.remoteAddress
+    },
+    processingTime: processingTime,
+    modelProvenance: buildProvenance(modelEntry),
+    gate: predictionResult.gate,
+    notes: req.body.notes || '',
+    imageMetadata: {
+      filename: file.filename,
+      originalName: file.originalname,
+      size: file.size,
+      mimetype: file.mimetype,
+      detectedFormat: file.detectedFormat || 'unknown',
+      sha256: file.sha256 || null,
+      perceptualHash: file.perceptualHash || null
     }
+  };
 
-    console.log('📁 File received:', {
-      filename: req.file.filename,
-      originalname: req.file.originalname,
-      size: req.file.size,
-      path: req.file.path,
-      url: req.file.url,
-      storageType: req.file.storageType,
-      verified: req.file.verified
+  if (req.userId) {
+    predictionData.userId = req.userId;
+  }
+  
+  const review = buildInitialReview(predictionResult, modelEntry.isMock);
+  if (review) {
+    predictionData.review = review;
+  }
+  
+  if (predictionResult.embedding) {
+    predictionData.embedding = {
+      vector: predictionResult.embedding,
+      modelVersion: modelEntry.version,
+      dimensions: predictionResult.embedding.length
+    };
+  }
+  
+  return predictionData;
+};
+
+const toPercent = (value) => (value === null || value === undefined ? null : Math.round(value * 10000) / 100);
+
+// Shape a saved prediction for the API response.
+// Results rejected by the OOD gate carry no predictedClass; the argmax is kept as candidateClass.
+const formatPredictionResponse = (savedPrediction, predictionResult, file, imageUrls, processingTime, modelEntry) => ({
+  id: savedPrediction._id,
+  status: predictionResult.gate.decision,
+  predictedClass: predictionResult.gate.decision === DECISIONS.ACCEPTED ? predictionResult.predictedClass : null,
+  candidateClass: predictionResult.predictedClass,
+  confidence: Math.round(predictionResult.confidence * 10000) / 100,
+  rawConfidence: Math.round(predictionResult.rawConfidence * 10000) / 100,
+  allPredictions: predictionResult.allPredictions.slice(0, 5).map(p => ({
+    class: p.class,
+    confidence: Math.round(p.confidence * 10000) / 100,
+    rawConfidence: Math.round(p.rawConfidence * 10000) / 100
+  })),
+  image: {
+    name: file.originalname,
+    filename: file.filename,
+    url: imageUrls.relative,           // Relative URL for frontend
+    fullUrl: imageUrls.full,           // Full URL with domain
+    publicUrl: imageUrls.public,       // Best public URL (Railway or full)
+    size: file.size,
+    sizeFormatted: `${(file.size / 1024).toFixed(2)} KB`,
+    format: file.detectedFormat || path.extname(file.originalname).substring(1).toUpperCase()
+  },
+  hierarchy: {
+    crop: predictionResult.hierarchy.crop,
+    condition: predictionResult.hierarchy.condition,
+    isHealthy: predictionResult.hierarchy.isHealthy,
+    cropProbability: toPercent(predictionResult.hierarchy.cropProbability),
+    healthyProbability: toPercent(predictionResult.hierarchy.healthyProbability),
+    diseasedProbability: toPercent(predictionResult.hierarchy.diseasedProbability),
+    crops: predictionResult.hierarchy.crops.map(c => ({
+      crop: c.crop,
+      probability: toPercent(c.probability)
+    }))
+  },
+  cropConstraint: {
+    applied: predictionResult.cropConstraint.applied,
+    crop: predictionResult.cropConstraint.crop,
+    massInCrop: toPercent(predictionResult.cropConstraint.massInCrop),
+    unconstrainedClass: predictionResult.cropConstraint.unconstrainedClass
+  },
+  explanation: formatExplanation(predictionResult.explanation),
+  quality: file.quality || null,
+  segmentation: buildSegmentationData(file.segmentation),
+  tiles: formatTiles(predictionResult.tiles),
+  tta: predictionResult.tta
+    ? { ...predictionResult.tta, agreement: toPercent(predictionResult.tta.agreement) }
+    : { enabled: false },
+  gate: {
+    decision: predictionResult.gate.decision,
+    reasons: predictionResult.gate.reasons,
+    entropy: Math.round(predictionResult.gate.entropy * 1000) / 1000,
+    margin: Math.round(predictionResult.gate.margin * 10000) / 100,
+    leafRatio: predictionResult.gate.leafRatio,
+    massInCrop: toPercent(predictionResult.gate.massInCrop)
+  },
+  processingTime: `${processingTime}ms`,
+  timestamp: savedPrediction.createdAt,
+  modelStatus: modelEntry.isMock ? 'mock' : 'loaded',
+  isMock: !!modelEntry.isMock,
+  modelVersion: modelEntry.version,
+  storageType: 'local'
+});
+
+// Stored and returned view of the leaf segmentation step (without local paths).
+// requested=false records that the step was switched off, for A/B comparisons.
+const buildSegmentationData = (segmentation) => {
+  if (!segmentation) return { requested: false, applied: false };
+  
+  return {
+    requested: true,
+    applied: segmentation.applied,
+    reason: segmentation.reason,
+    region: segmentation.region,
+    coverage: segmentation.coverage,
+    threshold: segmentation.threshold,
+    filename: segmentation.filename,
+    imageUrl: segmentation.imageUrl,
+    processingTime: segmentation.processingTime
+  };
+};
+
+// Public view of tiled inference results, confidences in %
+const formatTiles = (tiles) => {
+  if (!tiles) return { requested: false };
+  
+  return {
+    ...tiles,
+    regions: tiles.regions.map(region => ({
+      ...region,
+      confidence: toPercent(region.confidence),
+      rawConfidence: toPercent(region.rawConfidence)
+    })),
+    summary: {
+      ...tiles.summary,
+      classes: tiles.summary.classes.map(entry => ({ ...entry, maxConfidence: toPercent(entry.maxConfidence) }))
+    }
+  };
+};
+
+// Public view of a near-duplicate match and how its result differs from the new one
+const formatNearDuplicate = (nearDuplicate) => {
+  if (!nearDuplicate) return { detected: false };
+  
+  return {
+    detected: true,
+    predictionId: nearDuplicate.predictionId,
+    distance: nearDuplicate.distance,
+    similarity: toPercent(nearDuplicate.similarity),
+    imageUrl: nearDuplicate.imageUrl,
+    createdAt: nearDuplicate.createdAt,
+    previous: {
+      predictedClass: nearDuplicate.previousClass,
+      confidence: toPercent(nearDuplicate.previousConfidence)
+    },
+    differences: {
+      sameClass: nearDuplicate.sameClass,
+      confidenceDelta: toPercent(nearDuplicate.confidenceDelta)
+    }
+  };
+};
+
+// Public view of a stored explanation: overlay URL plus the raw heatmap grid
+const formatExplanation = (explanation) => {
+  if (!explanation) return null;
+  
+  return {
+    method: explanation.method,
+    targetClass: explanation.targetClass,
+    gridSize: explanation.gridSize,
+    heatmap: explanation.heatmap,
+    modelVersion: explanation.modelVersion,
+    imageUrl: explanation.imageUrl,
+    publicUrl: process.env.RAILWAY_PUBLIC_DOMAIN
+      ? `https://${process.env.RAILWAY_PUBLIC_DOMAIN}${explanation.imageUrl}`
+      : null,
+    createdAt: explanation.createdAt
+  };
+};
+
+// Occlusion heatmaps need a real model; failures never fail the prediction
+const tryExplainPrediction = async (modelEntry, imagePath, targetClass) => {
+  if (!modelEntry.ready) {
+    console.log('⚠️ Explanation skipped, model not loaded');
+    return null;
+  }
+  
+  try {
+    console.log('🔍 Computing occlusion heatmap for', targetClass);
+    const explanation = await explainImage(modelEntry, imagePath, targetClass);
+    console.log(`✅ Explanation rendered in ${explanation.processingTime}ms`);
+    return explanation;
+  } catch (error) {
+    console.error('❌ Explanation failed:', error.message);
+    return null;
+  }
+};
+
+// Perceptual hashes are best effort; a failure never fails the prediction
+const tryComputePerceptualHash = async (imagePath) => {
+  try {
+    return await computeDHash(imagePath);
+  } catch (error) {
+    console.error('❌ Perceptual hash failed:', error.message);
+    return null;
+  }
+};
+
+// Compare a new upload with the user's latest predictions. Returns the closest
+// near-duplicate and how its result differs from `predictionResult`, or null.
+const findNearDuplicate = async (req, file, predictionResult) => {
+  if (!req.userId || !file.perceptualHash) return null;
+  
+  const previous = await Prediction.find({ userId: req.userId, 'imageMetadata.perceptualHash': { $ne: null } })
+    .sort({ createdAt: -1 })
+    .limit(DUPLICATE_CONFIG.lookback)
+    .select('predictedClass confidence imageUrl createdAt imageMetadata.perceptualHash');
+  
+  const match = findClosest(
+    file.perceptualHash,
+    previous.map(prediction => ({ hash: prediction.imageMetadata.perceptualHash, prediction }))
+  );
+  if (!match) return null;
+  
+  const other = match.candidate.prediction;
+  return {
+    predictionId: other._id,
+    distance: match.distance,
+    similarity: similarity(match.distance),
+    imageUrl: other.imageUrl,
+    createdAt: other.createdAt,
+    previousClass: other.predictedClass,
+    previousConfidence: other.confidence,
+    sameClass: other.predictedClass === predictionResult.predictedClass,
+    confidenceDelta: predictionResult.confidence - other.confidence
+  };
+};
+
+// Cache hits recorded before uploads were kept per prediction share the image
+// (and heatmap) of an earlier one, so a file is only removed once no other
+// prediction refers to it
+const isSharedFile = async (prediction, field, value) => (
+  !!value && !!(await Prediction.exists({ _id: { $ne: prediction._id }, [field]: value }))
+);
+
+// Remove the heatmap overlay and leaf crop rendered next to a prediction's image
+const deleteDerivedFiles = async (prediction) => {
+  const { uploadsDir } = require('../middleware/upload');
+  const derived = [
+    ['explanation.filename', prediction.explanation && prediction.explanation.filename],
+    ['segmentation.filename', prediction.segmentation && prediction.segmentation.filename]
+  ];
+  
+  for (const [field, filename] of derived) {
+    if (filename && !(await isSharedFile(prediction, field, filename))) {
+      deleteUploadedFile(path.join(uploadsDir, filename));
+    }
+  }
+};
+
+// Remove an upload that didn't become a prediction, with its leaf crop if one was saved
+const deleteUploadArtifacts = (file) => {
+  if (file.path && fs.existsSync(file.path)) {
+    deleteUploadedFile(file.path);
+  }
+  if (file.segmentation && file.segmentation.applied) {
+    deleteUploadedFile(file.segmentation.path);
+  }
+};
+
+// Leaf segmentation is best effort; on failure the full image is used
+const trySegmentLeaf = async (imagePath) => {
+  try {
+    const segmentation = await segmentLeaf(imagePath);
+    console.log('🍃 Leaf segmentation:', segmentation.applied ? segmentation.region : segmentation.reason);
+    return segmentation;
+  } catch (error) {
+    console.error('❌ Leaf segmentation failed:', error.message);
+    return { applied: false, reason: 'SEGMENTATION_FAILED', region: null };
+  }
+};
+
+// Same check as the checkImageQuality middleware, for batch files; a failed
+// check never blocks the prediction
+const tryAssessQuality = async (imagePath) => {
+  try {
+    return await assessImageQuality(imagePath);
+  } catch (error) {
+    console.error('⚠️ Image quality check failed, skipping:', error.message);
+    return null;
+  }
+};
+
+// Tiling is best effort; on failure the image is predicted whole
+const tryPlanTiles = async (imagePath, mode) => {
+  try {
+    const plan = await planTiles(imagePath, mode);
+    console.log(`🧩 Tiling (${mode}):`, plan.applied ? `${plan.regions.length} regions` : plan.reason);
+    return plan;
+  } catch (error) {
+    console.error('❌ Tiling failed:', error.message);
+    return { applied: false, mode, reason: 'TILING_FAILED', regions: [] };
+  }
+};
+
+// Stored view of a tiling plan and its per-region results, with a per-class summary
+const buildTilesData = (plan, regions = []) => {
+  const classes = {};
+  regions.forEach(region => {
+    const entry = classes[region.predictedClass] || { class: region.predictedClass, regions: 0, maxConfidence: 0 };
+    entry.regions++;
+    entry.maxConfidence = Math.max(entry.maxConfidence, region.confidence);
+    classes[region.predictedClass] = entry;
+  });
+  
+  return {
+    requested: true,
+    applied: plan.applied,
+    mode: plan.mode,
+    reason: plan.reason,
+    imageWidth: plan.imageWidth || null,
+    imageHeight: plan.imageHeight || null,
+    regions,
+    summary: {
+      regionCount: regions.length,
+      diseasedRegions: regions.filter(region => !region.isHealthy).length,
+      healthyRegions: regions.filter(region => region.isHealthy).length,
+      classes: Object.values(classes).sort((a, b) => b.regions - a.regions || b.maxConfidence - a.maxConfidence)
+    }
+  };
+};
+
+// Predict every planned region in one batch. The regions' probabilities are
+// combined (weighted by leaf coverage) into a single output for the diagnosis.
+const predictTiles = async (modelEntry, imagePath, plan, options) => {
+  const tilePaths = await extractTiles(imagePath, plan.regions);
+  
+  let outputs;
+  try {
+    outputs = await predictImages(modelEntry, tilePaths, options);
+  } finally {
+    removeTiles(tilePaths);
+  }
+  
+  const regions = [];
+  const rows = [];
+  const weights = [];
+  const embeddings = [];
+  
+  outputs.forEach((output, index) => {
+    if (output.error) {
+      console.error(`❌ Tile ${index} failed:`, output.error);
+      return;
+    }
+    
+    const { left, top, width, height, leafCoverage } = plan.regions[index];
+    const result = buildResultFromOutput(modelEntry, output, options);
+    const label = parseLabel(result.predictedClass);
+    
+    rows.push(output.augmentations ? averageRows(output.rows) : output.rows[0]);
+    weights.push(leafCoverage);
+    if (output.embedding) embeddings.push(output.embedding);
+    
+    regions.push({
+      box: { left, top, width, height },
+      leafCoverage,
+      predictedClass: result.predictedClass,
+      confidence: result.confidence,
+      rawConfidence: result.rawConfidence,
+      crop: label.crop,
+      condition: label.condition,
+      isHealthy: label.isHealthy
     });
+  });
+  
+  if (rows.length === 0) {
+    return { output: { error: 'None of the image regions could be processed' }, tiles: null };
+  }
+  
+  return {
+    output: {
+      rows: [aggregateTileRows(rows, weights)],
+      augmentations: null,
+      embedding: embeddings.length === rows.length ? l2Normalize(averageRows(embeddings)) : null
+    },
+    tiles: buildTilesData(plan, regions)
+  };
+};
 
-    // FIXED: Generate comprehensive image URLs
-    const imageUrls = generateImageUrls(req, req.file.filename);
-    console.log('🔗 Generated image URLs:', imageUrls);
+// The image the model actually sees: the leaf crop when segmentation found one
+const getInferencePath = (file) => (
+  file.segmentation && file.segmentation.applied ? file.segmentation.path : file.path
+);
 
-    let predictionResult;
+// Same image bytes, same model and calibration, same options -> same result
+const getCacheKey = (file, modelEntry, options) => {
+  if (!file.sha256) return null;
+  
+  return [
+    file.sha256,
+    modelEntry.version,
+    getTemperature(modelEntry),
+    options.crop || '',
+    options.tta ? 'tta' : '',
+    options.explain ? 'explain' : '',
+    options.segment ? 'segment' : '',
+    options.tiles || ''
+  ].join(':');
+};
 
-    // Run model prediction
-    if (model) {
-      try {
-        console.log('🧠 Running AI model prediction...');
-        
-        const imageTensor = await preprocessImage(req.file.path);
-        
-        const predictions = model.execute(imageTensor);
-        
-        let predictionData;
-        if (Array.isArray(predictions)) {
-          predictionData = await predictions[0].data();
-          predictions.forEach(p => p.dispose());
-        } else {
-          predictionData = await predictions.data();
-          predictions.dispose();
-        }
-        
-        const predictionArray = Array.from(predictionData);
-        const predictedIndex = predictionArray.indexOf(Math.max(...predictionArray));
-        const confidence = predictionArray[predictedIndex];
-        
-        const allPredictions = classNames.map((className, index) => ({
-          class: className,
-          confidence: predictionArray[index] || 0
-        })).sort((a, b) => b.confidence - a.confidence);
-
-        predictionResult = {
-          predictedClass: classNames[predictedIndex] || 'Unknown',
-          confidence: confidence,
-          allPredictions: allPredictions
-        };
+// Answer a re-upload from the result cache. Only the inference output is reused:
+// the upload stays the uploader's own file, and a leaf crop or heatmap is
+// rendered for it again (the heatmap is copied, it would come out identical).
+// Returns null on a miss.
+const predictFromCache = async (req, file, startTime, modelEntry, cacheKey) => {
+  const cached = resultCache.get(cacheKey);
+  if (!cached) return null;
+  
+  const predictionResult = { ...cached.predictionResult };
+  
+  if (cached.segmented) {
+    file.segmentation = await trySegmentLeaf(file.path);
+  }
+  
+  if (predictionResult.explanation) {
+    const { uploadsDir } = require('../middleware/upload');
+    const sourcePath = path.join(uploadsDir, predictionResult.explanation.filename);
+    
+    // The earlier prediction may have been deleted or its heatmap cleaned up since
+    if (!fs.existsSync(sourcePath)) {
+      resultCache.invalidate(cacheKey);
+      return null;
+    }
+    
+    const filename = getExplanationFilename(path.basename(getInferencePath(file)));
+    await fs.promises.copyFile(sourcePath, path.join(uploadsDir, filename));
+    predictionResult.explanation = {
+      ...predictionResult.explanation,
+      filename,
+      imageUrl: `/uploads/${filename}`
+    };
+  }
+  
+  console.log('♻️ Result cache hit, reusing inference output');
+  
+  const imageUrls = generateImageUrls(req, file.filename);
+  const processingTime = Date.now() - startTime;
+  const nearDuplicate = await findNearDuplicate(req, file, predictionResult);
+  
+  // Without recording, the hit has no prediction of its own and no id
+  let savedPrediction = { _id: null, createdAt: new Date() };
+  if (CACHE_RECORD_HITS) {
+    const predictionData = buildPredictionData(req, file, imageUrls, predictionResult, processingTime, modelEntry);
+    predictionData.cache = { hit: true, sourcePredictionId: cached.predictionId };
+    predictionData.nearDuplicateOf = nearDuplicate
+      ? { predictionId: nearDuplicate.predictionId, distance: nearDuplicate.distance }
+      : null;
+    savedPrediction = await new Prediction(predictionData).save();
+    console.log('✅ Cached prediction recorded with ID:', savedPrediction._id);
+  }
+  
+  const response = formatPredictionResponse(savedPrediction, predictionResult, file, imageUrls, processingTime, modelEntry);
+  response.cache = { hit: true, recorded: CACHE_RECORD_HITS, cachedAt: cached.cachedAt };
+  response.nearDuplicate = formatNearDuplicate(nearDuplicate);
+  return response;
+};
 
-        imageTensor.dispose();
-        console.log('✅ AI model prediction complete');
-        
-      } catch (modelError) {
-        console.error('❌ Model prediction error:', modelError);
-        console.log('🎭 Falling back to dummy prediction');
-        predictionResult = getDummyPrediction();
-      }
+// Run inference for one uploaded file and save the Prediction.
+// Shared by the synchronous endpoint and queued async jobs.
+const processPrediction = async (req, file, startTime, options = {}) => {
+  // Pin the active model so a hot-swap can't dispose it mid-request
+  const modelEntry = await modelRegistry.acquire();
+  
+  try {
+    return await predictWithModel(req, file, startTime, resolvePredictionEntry(modelEntry), options);
+  } finally {
+    modelRegistry.release(modelEntry);
+  }
+};
+
+const predictWithModel = async (req, file, startTime, modelEntry, options) => {
+  // FIXED: Generate comprehensive image URLs
+  const imageUrls = generateImageUrls(req, file.filename);
+  console.log('🔗 Generated image URLs:', imageUrls);
+
+  if (!isModelAvailable(modelEntry)) {
+    throw modelUnavailableError(modelEntry);
+  }
+
+  file.perceptualHash = await tryComputePerceptualHash(file.path);
+
+  const cacheKey = getCacheKey(file, modelEntry, options);
+  if (cacheKey) {
+    const cachedResponse = await predictFromCache(req, file, startTime, modelEntry, cacheKey);
+    if (cachedResponse) {
+      return cachedResponse;
+    }
+  }
+
+  const tilePlan = options.tiles ? await tryPlanTiles(file.path, options.tiles) : null;
+  const tiled = !!(tilePlan && tilePlan.applied);
+
+  // Tiles already isolate the leaves, so the single-leaf crop only runs without them
+  if (options.segment && !tiled) {
+    file.segmentation = await trySegmentLeaf(file.path);
+  }
+  const inferencePath = getInferencePath(file);
+
+  let output;
+  let tiles = null;
+
+  // Run model prediction
+  try {
+    console.log(modelEntry.isMock ? '🎭 Running mock model prediction...' : '🧠 Running AI model prediction...');
+    if (tiled) {
+      ({ output, tiles } = await predictTiles(modelEntry, inferencePath, tilePlan, options));
     } else {
-      console.log('🤖 Using dummy prediction (model not loaded)');
-      predictionResult = getDummyPrediction();
+      [output] = await predictImages(modelEntry, [inferencePath], options);
+    }
+  } catch (modelError) {
+    // An overloaded server is not a model failure
+    if (OVERLOAD_ERRORS.includes(modelError.code)) {
+      throw modelError;
+    }
+    
+    console.error('❌ Model prediction error:', modelError);
+    throw modelUnavailableError(modelEntry, modelError.message);
+  }
+
+  if (output.error) {
+    const error = new Error(output.error);
+    error.code = 'PREPROCESSING_FAILED';
+    throw error;
+  }
+
+  const predictionResult = buildResultFromOutput(modelEntry, output, options);
+  if (tilePlan) {
+    predictionResult.tiles = tiles || buildTilesData(tilePlan);
+  }
+  console.log('✅ Model prediction complete');
+
+  await finalizePredictionResult(predictionResult, inferencePath);
+  console.log('🚦 OOD gate decision:', predictionResult.gate.decision, predictionResult.gate.reasons);
+
+  if (options.explain) {
+    predictionResult.explanation = await tryExplainPrediction(modelEntry, inferencePath, predictionResult.predictedClass);
+  }
+
+  const nearDuplicate = await findNearDuplicate(req, file, predictionResult);
+  if (nearDuplicate) {
+    console.log(`👯 Near-duplicate of prediction ${nearDuplicate.predictionId} (distance ${nearDuplicate.distance})`);
+  }
+
+  const processingTime = Date.now() - startTime;
+
+  console.log('💾 Saving prediction to database...');
+
+  // FIXED: Save prediction with proper image URLs
+  const predictionData = buildPredictionData(req, file, imageUrls, predictionResult, processingTime, modelEntry);
+  predictionData.nearDuplicateOf = nearDuplicate
+    ? { predictionId: nearDuplicate.predictionId, distance: nearDuplicate.distance }
+    : null;
+  const savedPrediction = await new Prediction(predictionData).save();
+  
+  console.log('✅ Prediction saved with ID:', savedPrediction._id);
+  console.log('🔗 Image accessible at:', imageUrls.public);
+
+  if (cacheKey) {
+    resultCache.set(cacheKey, {
+      predictionId: savedPrediction._id,
+      segmented: !!file.segmentation,
+      predictionResult,
+      cachedAt: new Date()
+    });
+  }
+
+  const response = formatPredictionResponse(savedPrediction, predictionResult, file, imageUrls, processingTime, modelEntry);
+  response.cache = { hit: false };
+  response.nearDuplicate = formatNearDuplicate(nearDuplicate);
+  return response;
+};
+
+// Async prediction jobs (POST /api/predict?async=true)
+const predictionQueue = new JobQueue({
+  concurrency: parseInt(process.env.PREDICTION_QUEUE_WORKERS) || 2,
+  maxQueued: parseInt(process.env.PREDICTION_QUEUE_MAX) || 100
+});
+
+// Answer overload and degraded-mode errors. Returns false for any other error.
+const sendServiceErrorResponse = (res, error) => {
+  if (error.code === 'MODEL_UNAVAILABLE') {
+    res.status(503).json({
+      success: false,
+      message: 'The prediction model is unavailable, please try again later',
+      error: 'MODEL_UNAVAILABLE',
+      reason: process.env.NODE_ENV === 'development' ? error.reason : undefined
+    });
+    return true;
+  }
+  
+  if (error.code === 'PREPROCESSING_FAILED') {
+    res.status(400).json({
+      success: false,
+      message: 'The image could not be processed, please upload a different photo',
+      error: 'PREPROCESSING_FAILED'
+    });
+    return true;
+  }
+  
+
+  if (error.code === 'LIMIT_QUEUE_FULL') {
+    res.set('Retry-After', String(error.retryAfter));
+    res.status(429).json({
+      success: false,
+      message: 'Too many predictions in progress, please try again later',
+      error: 'TOO_MANY_PREDICTIONS',
+      queuePosition: error.queuePosition,
+      queueLength: error.queueLength,
+      retryAfter: error.retryAfter
+    });
+    return true;
+  }
+  
+  if (error.code === 'LIMIT_WAIT_TIMEOUT') {
+    res.set('Retry-After', String(error.retryAfter));
+    res.status(503).json({
+      success: false,
+      message: 'No inference slot became free in time, please try again later',
+      error: 'INFERENCE_WAIT_TIMEOUT',
+      queuePosition: error.queuePosition,
+      queueLength: error.queueLength,
+      retryAfter: error.retryAfter
+    });
+    return true;
+  }
+  
+  if (error.code === 'POOL_QUEUE_FULL') {
+    const retryAfter = inferenceLimiter.estimateWaitSeconds(inferencePool.getStats().queued + 1);
+    res.set('Retry-After', String(retryAfter));
+    res.status(503).json({
+      success: false,
+      message: 'All inference workers are busy, please try again later',
+      error: 'INFERENCE_QUEUE_FULL',
+      retryAfter
+    });
+    return true;
+  }
+  
+  if (error.code === 'INFERENCE_TIMEOUT') {
+    res.status(504).json({
+      success: false,
+      message: `Inference did not finish within ${error.timeoutMs}ms`,
+      error: 'INFERENCE_TIMEOUT'
+    });
+    return true;
+  }
+  
+  return false;
+};
+
+// Shape a queued job for the API response
+const formatJob = (job) => ({
+  jobId: job.id,
+  status: job.status,
+  queuePosition: job.status === 'queued' ? predictionQueue.position(job.id) : 0,
+  createdAt: job.createdAt,
+  startedAt: job.startedAt,
+  finishedAt: job.finishedAt,
+  statusUrl: `/api/predict/jobs/${job.id}`,
+  result: job.result,
+  error: job.error
+});
+
+// FIXED: Main prediction function with proper image URL handling
+exports.predictPlantDisease = async (req, res) => {
+  const startTime = Date.now();
+  
+  try {
+    console.log('🚀 Starting plant disease prediction...');
+    
+    if (!req.file) {
+      console.log('❌ No image file provided in request');
+      return res.status(400).json({
+        success: false,
+        message: 'No image file provided',
+        error: 'NO_FILE'
+      });
+    }
+
+    console.log('📁 File received:', {
+      filename: req.file.filename,
+      originalname: req.file.originalname,
+      size: req.file.size,
+      path: req.file.path,
+      url: req.file.url,
+      storageType: req.file.storageType,
+      verified: req.file.verified
+    });
+
+    const { options, error: optionsError } = parsePredictionOptions(req, modelRegistry.getClassNames());
+    
+    if (optionsError) {
+      deleteUploadedFile(req.file.path);
+      return res.status(400).json(optionsError);
+    }
+
+    // Fail fast in degraded mode, before a job is queued for nothing
+    await modelRegistry.initialize();
+    const activeModel = modelRegistry.getActive();
+    if (!MOCK_CONFIG.enabled && !isModelAvailable(activeModel || {})) {
+      throw modelUnavailableError(activeModel || {});
+    }
+
+    // Job mode: queue the inference and answer right away
+    if (req.query.async === 'true') {
+      const file = req.file;
+      const job = predictionQueue.enqueue(async () => {
+        try {
+          return await processPrediction(req, file, Date.now(), options);
+        } catch (error) {
+          deleteUploadArtifacts(file);
+          throw error;
+        }
+      }, { userId: req.userId || null });
+
+      if (!job) {
+        deleteUploadedFile(file.path);
+        return res.status(503).json({
+          success: false,
+          message: 'Prediction queue is full, please try again later',
+          error: 'QUEUE_FULL'
+        });
+      }
+
+      console.log(`📬 Prediction queued as job ${job.id}`);
+
+      return res.status(202).json({
+        success: true,
+        message: 'Prediction job queued',
+        data: formatJob(job)
+      });
+    }
+
+    const data = await processPrediction(req, req.file, startTime, options);
+
+    console.log('🎉 Prediction completed successfully in', Date.now() - startTime, 'ms');
+    
+    // FIXED: Enhanced response with proper image URLs
+    res.status(200).json({
+      success: true,
+      message: GATE_MESSAGES[data.status],
+      data
+    });
+
+  } catch (error) {
+    console.error('💥 Prediction error:', error);
+    
+    // Cleanup uploaded file if error occurs
+    if (req.file && req.file.path && fs.existsSync(req.file.path)) {
+      console.log('🧹 Cleaning up uploaded file due to error...');
+      deleteUploadArtifacts(req.file);
+    }
+
+    if (sendServiceErrorResponse(res, error)) {
+      return;
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Prediction failed',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// Get the status of an async prediction job
+exports.getPredictionJob = async (req, res) => {
+  try {
+    const job = predictionQueue.get(req.params.id);
+
+    // Jobs created by a logged-in user are only visible to that user
+    if (!job || (job.meta.userId && job.meta.userId !== req.userId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Prediction job not found',
+        error: 'JOB_NOT_FOUND'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `Prediction job is ${job.status}`,
+      data: formatJob(job)
+    });
+  } catch (error) {
+    console.error('❌ Get prediction job error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve prediction job',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// Batch prediction: many images, one batched model call, per-image results and errors
+exports.predictBatch = async (req, res) => {
+  const startTime = Date.now();
+  let files = req.files || [];
+  const errors = (req.fileErrors || []).slice();
+  let modelEntry = null;
+  
+  try {
+    console.log(`🚀 Starting batch prediction for ${files.length} images...`);
+    
+    if (files.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No valid image files provided',
+        error: 'NO_FILES',
+        data: { errors }
+      });
+    }
+
+    // The whole batch runs on the model that was active when it started
+    modelEntry = await modelRegistry.acquire();
+
+    const { options, error: optionsError } = parsePredictionOptions(req, modelEntry.classNames);
+    if (optionsError) {
+      files.forEach(file => deleteUploadedFile(file.path));
+      return res.status(400).json(optionsError);
+    }
+
+    // Tiling and explanations run per image on top of the batch inference,
+    // which /api/predict/batch does not do; ask for them on /api/predict
+    const tilesParam = req.query.tiles !== undefined ? req.query.tiles : req.body.tiles;
+    const explicitTiles = tilesParam !== undefined && !['false', 'off'].includes(tilesParam);
+    if (explicitTiles || options.explain) {
+      files.forEach(file => deleteUploadedFile(file.path));
+      return res.status(400).json({
+        success: false,
+        message: `${explicitTiles ? 'tiles' : 'explain'} is only supported on POST /api/predict`,
+        error: 'UNSUPPORTED_BATCH_OPTION'
+      });
+    }
+    // TILING_DEFAULT only applies to single predictions
+    delete options.tiles;
+
+    const predictionEntry = resolvePredictionEntry(modelEntry);
+    if (!isModelAvailable(predictionEntry)) {
+      throw modelUnavailableError(predictionEntry);
+    }
+
+    if (QUALITY_CONFIG.enabled) {
+      const rejected = [];
+      for (const file of files) {
+        file.quality = await tryAssessQuality(file.path);
+        
+        if (file.quality && file.quality.decision === 'rejected') {
+          console.log(`🔎 Batch image rejected for quality: ${file.originalname}`);
+          deleteUploadedFile(file.path);
+          rejected.push(file);
+          errors.push({
+            originalName: file.originalname,
+            error: 'IMAGE_QUALITY',
+            message: 'The photo quality is too low for a reliable diagnosis, please retake it',
+            quality: file.quality
+          });
+        }
+      }
+      files = files.filter(file => !rejected.includes(file));
+      
+      if (files.length === 0) {
+        return res.status(422).json({
+          success: false,
+          message: 'The photo quality of every image is too low for a reliable diagnosis',
+          error: 'IMAGE_QUALITY',
+          data: { errors }
+        });
+      }
+    }
+
+    if (options.segment) {
+      for (const file of files) {
+        file.segmentation = await trySegmentLeaf(file.path);
+      }
+    }
+
+    let outputs;
+    try {
+      console.log(`🧠 Running model on batch of ${files.length} images...`);
+      
+      // Images are preprocessed one by one, so a corrupted file only fails itself
+      outputs = await predictImages(predictionEntry, files.map(getInferencePath), options);
+    } catch (modelError) {
+      if (OVERLOAD_ERRORS.includes(modelError.code)) {
+        throw modelError;
+      }
+      
+      console.error('❌ Batch model prediction error:', modelError);
+      throw modelUnavailableError(predictionEntry, modelError.message);
+    }
+
+    const prepared = [];
+    const predictionResults = [];
+    
+    outputs.forEach((output, index) => {
+      const file = files[index];
+      
+      if (output.error) {
+        console.error(`❌ Batch preprocessing failed for ${file.originalname}:`, output.error);
+        deleteUploadArtifacts(file);
+        errors.push({
+          originalName: file.originalname,
+          error: 'PREPROCESSING_FAILED',
+          message: output.error
+        });
+        return;
+      }
+      
+      prepared.push({ file });
+      predictionResults.push(buildResultFromOutput(predictionEntry, output, options));
+    });
+    
+    console.log('✅ Batch model prediction complete');
+
+    const processingTime = Date.now() - startTime;
+    const batchId = `batch-${startTime}-${Math.random().toString(36).substring(2, 10)}`;
+    const results = [];
+
+    for (let i = 0; i < prepared.length; i++) {
+      const { file } = prepared[i];
+      const predictionResult = predictionResults[i];
+      
+      try {
+        await finalizePredictionResult(predictionResult, getInferencePath(file));
+        file.perceptualHash = await tryComputePerceptualHash(file.path);
+        
+        const imageUrls = generateImageUrls(req, file.filename);
+        const predictionData = buildPredictionData(req, file, imageUrls, predictionResult, processingTime, predictionEntry);
+        predictionData.batchId = batchId;
+        
+        const savedPrediction = await new Prediction(predictionData).save();
+        results.push(formatPredictionResponse(savedPrediction, predictionResult, file, imageUrls, processingTime, predictionEntry));
+      } catch (saveError) {
+        console.error(`❌ Failed to save batch prediction for ${file.originalname}:`, saveError.message);
+        deleteUploadArtifacts(file);
+        errors.push({
+          originalName: file.originalname,
+          error: 'SAVE_FAILED',
+          message: process.env.NODE_ENV === 'development' ? saveError.message : 'Failed to save prediction'
+        });
+      }
+    }
+
+    console.log(`🎉 Batch prediction finished in ${processingTime}ms: ${results.length} succeeded, ${errors.length} failed`);
+
+    const summary = {
+      total: results.length + errors.length,
+      succeeded: results.length,
+      failed: errors.length
+    };
+
+    res.status(results.length > 0 ? 200 : 400).json({
+      success: results.length > 0,
+      message: results.length > 0
+        ? 'Batch prediction completed'
+        : 'Batch prediction failed for all images',
+      data: {
+        batchId,
+        results,
+        errors,
+        summary,
+        processingTime: `${processingTime}ms`
+      }
+    });
+
+  } catch (error) {
+    console.error('💥 Batch prediction error:', error);
+    
+    files.forEach(deleteUploadArtifacts);
+
+    if (sendServiceErrorResponse(res, error)) {
+      return;
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Batch prediction failed',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  } finally {
+    modelRegistry.release(modelEntry);
+  }
+};
+
+// FIXED: Get prediction history with proper image URL reconstruction
+exports.getPredictionHistory = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 10, 50);
+    const skip = (page - 1) * limit;
+
+    let query = {};
+    
+    if (req.userId) {
+      query.userId = req.userId;
+    } else {
+      return res.status(401).json({
+        success: false,
+        message: 'Authentication required to view prediction history'
+      });
+    }
+
+    // Add filters
+    if (req.query.predictedClass) {
+      query.predictedClass = { $regex: req.query.predictedClass, $options: 'i' };
+    }
+
+    if (req.query.crop) {
+      query.crop = req.query.crop;
+    }
+
+    if (req.query.startDate && req.query.endDate) {
+      query.createdAt = {
+        $gte: new Date(req.query.startDate),
+        $lte: new Date(req.query.endDate)
+      };
+    }
+
+    const total = await Prediction.countDocuments(query);
+    const predictions = await Prediction.find(query)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .populate('userId', 'username email')
+      .select('-deviceInfo');
+
+    // FIXED: Reconstruct image URLs for each prediction
+    const protocol = req.secure || req.get('x-forwarded-proto') === 'https' ? 'https' : 'http';
+    const host = req.get('host');
+    const baseUrl = `${protocol}://${host}`;
+
+    const enhancedPredictions = predictions.map(prediction => {
+      const predictionObj = prediction.toObject();
+      
+      // Reconstruct image URLs if they exist
+      if (predictionObj.imageUrl) {
+        const filename = path.basename(predictionObj.imageUrl);
+        
+        predictionObj.image = {
+          name: predictionObj.imageName,
+          filename: filename,
+          url: predictionObj.imageUrl,                    // Original relative URL
+          fullUrl: `${baseUrl}${predictionObj.imageUrl}`, // Full URL
+          publicUrl: process.env.RAILWAY_PUBLIC_DOMAIN 
+            ? `https://${process.env.RAILWAY_PUBLIC_DOMAIN}${predictionObj.imageUrl}`
+            : `${baseUrl}${predictionObj.imageUrl}`,       // Best public URL
+          metadata: predictionObj.imageMetadata || {}
+        };
+      }
+      
+      return predictionObj;
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Prediction history retrieved successfully',
+      data: {
+        predictions: enhancedPredictions,
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(total / limit),
+          totalItems: total,
+          itemsPerPage: limit,
+          hasNextPage: page < Math.ceil(total / limit),
+          hasPrevPage: page > 1
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Get history error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve prediction history',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// Group the user's predictions whose photos are near-duplicates (burst shots of
+// the same leaf) and show whether the model gave them the same answer
+exports.getNearDuplicateGroups = async (req, res) => {
+  try {
+    const threshold = req.query.threshold !== undefined
+      ? parseInt(req.query.threshold)
+      : DUPLICATE_CONFIG.threshold;
+    
+    if (isNaN(threshold) || threshold < 0 || threshold > HASH_BITS) {
+      return res.status(400).json({
+        success: false,
+        message: `threshold must be between 0 and ${HASH_BITS}`,
+        error: 'INVALID_THRESHOLD'
+      });
+    }
+    
+    const limit = Math.min(parseInt(req.query.limit) || 500, 2000);
+    
+    const predictions = await Prediction.find({ userId: req.userId, 'imageMetadata.perceptualHash': { $ne: null } })
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .select('imageName imageUrl predictedClass confidence crop gate.decision createdAt imageMetadata.perceptualHash');
+    
+    const items = predictions.map(prediction => ({ hash: prediction.imageMetadata.perceptualHash, prediction }));
+    
+    const groups = groupNearDuplicates(items, threshold).map(group => {
+      // Newest first, distances are measured from the newest photo
+      const [latest] = group;
+      const classes = [...new Set(group.map(item => item.prediction.predictedClass))];
+      const confidences = group.map(item => item.prediction.confidence);
+      
+      return {
+        size: group.length,
+        consistent: classes.length === 1,
+        classes,
+        confidenceRange: {
+          min: toPercent(Math.min(...confidences)),
+          max: toPercent(Math.max(...confidences))
+        },
+        firstAt: group[group.length - 1].prediction.createdAt,
+        latestAt: latest.prediction.createdAt,
+        predictions: group.map(item => ({
+          id: item.prediction._id,
+          imageName: item.prediction.imageName,
+          imageUrl: item.prediction.imageUrl,
+          predictedClass: item.prediction.predictedClass,
+          confidence: toPercent(item.prediction.confidence),
+          status: item.prediction.gate ? item.prediction.gate.decision : null,
+          distance: hammingDistance(latest.hash, item.hash),
+          createdAt: item.prediction.createdAt
+        }))
+      };
+    }).sort((a, b) => b.size - a.size);
+    
+    res.status(200).json({
+      success: true,
+      message: 'Near-duplicate predictions retrieved successfully',
+      data: {
+        groups,
+        summary: {
+          scanned: predictions.length,
+          groups: groups.length,
+          duplicatePredictions: groups.reduce((total, group) => total + group.size, 0),
+          inconsistentGroups: groups.filter(group => !group.consistent).length
+        },
+        threshold
+      }
+    });
+    
+  } catch (error) {
+    console.error('❌ Get near-duplicates error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve near-duplicate predictions',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// FIXED: Get prediction detail with proper image URL reconstruction
+exports.getPredictionDetail = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid prediction ID format'
+      });
+    }
+
+    let query = { _id: id };
+    
+    if (req.userId) {
+      query.userId = req.userId;
+    } else {
+      return res.status(401).json({
+        success: false,
+        message: 'Authentication required to view prediction details'
+      });
+    }
+
+    const prediction = await Prediction.findOne(query)
+      .populate('userId', 'username email');
+
+    if (!prediction) {
+      return res.status(404).json({
+        success: false,
+        message: 'Prediction not found'
+      });
+    }
+
+    // FIXED: Reconstruct image URLs for the prediction detail
+    const predictionObj = prediction.toObject();
+    
+    if (predictionObj.imageUrl) {
+      const protocol = req.secure || req.get('x-forwarded-proto') === 'https' ? 'https' : 'http';
+      const host = req.get('host');
+      const baseUrl = `${protocol}://${host}`;
+      const filename = path.basename(predictionObj.imageUrl);
+      
+      predictionObj.image = {
+        name: predictionObj.imageName,
+        filename: filename,
+        url: predictionObj.imageUrl,                    // Original relative URL
+        fullUrl: `${baseUrl}${predictionObj.imageUrl}`, // Full URL
+        publicUrl: process.env.RAILWAY_PUBLIC_DOMAIN 
+          ? `https://${process.env.RAILWAY_PUBLIC_DOMAIN}${predictionObj.imageUrl}`
+          : `${baseUrl}${predictionObj.imageUrl}`,       // Best public URL
+        metadata: predictionObj.imageMetadata || {}
+      };
+    }
+
+    // Older predictions were saved before provenance was recorded
+    predictionObj.modelProvenance = predictionObj.modelProvenance || null;
+    
+    // Expert verdict, without moderator identities
+    predictionObj.review = formatOwnerReview(predictionObj.review);
+
+    res.status(200).json({
+      success: true,
+      message: 'Prediction detail retrieved successfully',
+      data: predictionObj
+    });
+
+  } catch (error) {
+    console.error('❌ Get prediction detail error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve prediction details',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// Get (or compute on first request) the occlusion heatmap for a prediction
+exports.getPredictionExplanation = async (req, res) => {
+  let modelEntry = null;
+  
+  try {
+    const { id } = req.params;
+
+    if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid prediction ID format'
+      });
+    }
+
+    const prediction = await Prediction.findOne({ _id: id, userId: req.userId });
+    if (!prediction) {
+      return res.status(404).json({
+        success: false,
+        message: 'Prediction not found'
+      });
+    }
+
+    const { uploadsDir } = require('../middleware/upload');
+    
+    if (prediction.explanation && prediction.explanation.filename &&
+        fs.existsSync(path.join(uploadsDir, prediction.explanation.filename))) {
+      return res.status(200).json({
+        success: true,
+        message: 'Explanation retrieved successfully',
+        data: formatExplanation(prediction.explanation)
+      });
+    }
+
+    // Explain the image the model actually saw
+    const segmentation = prediction.segmentation;
+    const imagePath = segmentation && segmentation.applied && segmentation.filename &&
+        fs.existsSync(path.join(uploadsDir, segmentation.filename))
+      ? path.join(uploadsDir, segmentation.filename)
+      : path.join(uploadsDir, path.basename(prediction.imageUrl));
+    if (prediction.storageType !== 'local' || !fs.existsSync(imagePath)) {
+      return res.status(404).json({
+        success: false,
+        message: 'The original image is no longer available, an explanation cannot be generated',
+        error: 'IMAGE_NOT_FOUND'
+      });
+    }
+
+    modelEntry = await modelRegistry.acquire();
+    
+    if (!modelEntry.ready) {
+      return res.status(503).json({
+        success: false,
+        message: 'No model is loaded, explanations are unavailable',
+        error: 'MODEL_UNAVAILABLE'
+      });
+    }
+    
+    // A heatmap from another model would not explain this prediction
+    const predictionVersion = prediction.modelProvenance ? prediction.modelProvenance.version : null;
+    if (predictionVersion && predictionVersion !== modelEntry.version) {
+      return res.status(409).json({
+        success: false,
+        message: `This prediction was made by model ${predictionVersion}, but the active model is ${modelEntry.version}`,
+        error: 'MODEL_VERSION_MISMATCH',
+        predictionModelVersion: predictionVersion,
+        activeModelVersion: modelEntry.version
+      });
+    }
+    
+    if (!modelEntry.classNames.includes(prediction.predictedClass)) {
+      return res.status(409).json({
+        success: false,
+        message: `Class ${prediction.predictedClass} is not in the active model ${modelEntry.version}`,
+        error: 'CLASS_NOT_IN_MODEL'
+      });
+    }
+
+    prediction.explanation = await explainImage(modelEntry, imagePath, prediction.predictedClass);
+    await prediction.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Explanation generated successfully',
+      data: formatExplanation(prediction.explanation)
+    });
+
+  } catch (error) {
+    console.error('❌ Get prediction explanation error:', error);
+    
+    if (sendServiceErrorResponse(res, error)) {
+      return;
+    }
+    
+    res.status(500).json({
+      success: false,
+      message: 'Failed to generate explanation',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  } finally {
+    if (modelEntry) {
+      modelRegistry.release(modelEntry);
+    }
+  }
+};
+
+// Nearest stored predictions to this one by embedding (cosine distance).
+// Users search their own history; admins search everyone's unless scope=own.
+exports.getSimilarPredictions = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid prediction ID format'
+      });
     }
 
-    const processingTime = Date.now() - startTime;
-
-    console.log('💾 Saving prediction to database...');
-
-    // FIXED: Save prediction with proper image URLs
-    const predictionData = {
-      imageName: req.file.originalname,
-      imageUrl: imageUrls.relative,           // Store relative URL in database
-      imageFullUrl: imageUrls.full,           // Store full URL for reference
-      imagePublicUrl: imageUrls.public,       // Store public accessible URL
-      predictedClass: predictionResult.predictedClass,
-      confidence: predictionResult.confidence,
-      allPredictions: predictionResult.allPredictions,
-      predictionType: req.userId ? 'authenticated' : 'anonymous',
-      storageType: 'local',
-      deviceInfo: {
-        userAgent: req.get('User-Agent'),
-        ip: req.ip || req.connection.remoteAddress
-      },
-      processingTime: processingTime,
-      notes: req.body.notes || '',
-      imageMetadata: {
-        filename: req.file.filename,
-        originalName: req.file.originalname,
-        size: req.file.size,
-        mimetype: req.file.mimetype,
-        detectedFormat: req.file.detectedFormat || 'unknown'
-      }
-    };
+    const isAdmin = (req.userRoles || []).includes('admin');
+    const searchAll = isAdmin && req.query.scope !== 'own';
+    
+    const prediction = await Prediction.findOne(isAdmin ? { _id: id } : { _id: id, userId: req.userId })
+      .select('+embedding.vector');
+    
+    if (!prediction) {
+      return res.status(404).json({
+        success: false,
+        message: 'Prediction not found'
+      });
+    }
 
-    if (req.userId) {
-      predictionData.userId = req.userId;
+    if (!prediction.embedding || !prediction.embedding.dimensions) {
+      return res.status(409).json({
+        success: false,
+        message: 'This prediction has no stored embedding',
+        error: 'EMBEDDING_NOT_AVAILABLE'
+      });
     }
 
-    const savedPrediction = await new Prediction(predictionData).save();
+    const k = Math.min(parseInt(req.query.k) || 10, 50);
     
-    console.log('✅ Prediction saved with ID:', savedPrediction._id);
+    // Embeddings are only comparable within one model version
+    const query = {
+      _id: { $ne: prediction._id },
+      imageUrl: { $ne: prediction.imageUrl },
+      isMock: { $ne: true },
+      'embedding.modelVersion': prediction.embedding.modelVersion,
+      'embedding.dimensions': prediction.embedding.dimensions
+    };
+    if (!searchAll) {
+      query.userId = req.userId;
+    }
 
-    // FIXED: Enhanced response with proper image URLs
-    const response = {
+    const candidates = await Prediction.find(query)
+      .sort({ createdAt: -1 })
+      .limit(EMBEDDING_CONFIG.searchLimit)
+      .select('+embedding.vector imageName imageUrl predictedClass confidence crop condition isHealthy userId createdAt');
+
+    // Cache hits share their source's image; keep one candidate per stored image
+    const seenImages = new Set();
+    const uniqueCandidates = candidates.filter(candidate => {
+      if (seenImages.has(candidate.imageUrl)) return false;
+      seenImages.add(candidate.imageUrl);
+      return true;
+    }).map(candidate => ({ vector: candidate.embedding.vector, prediction: candidate }));
+
+    const matches = nearestNeighbours(prediction.embedding.vector, uniqueCandidates, k).map(({ candidate, distance }) => ({
+      id: candidate.prediction._id,
+      distance: Math.round(distance * 10000) / 10000,
+      similarity: toPercent(1 - distance),
+      predictedClass: candidate.prediction.predictedClass,
+      confidence: toPercent(candidate.prediction.confidence),
+      crop: candidate.prediction.crop,
+      condition: candidate.prediction.condition,
+      isHealthy: candidate.prediction.isHealthy,
+      imageName: candidate.prediction.imageName,
+      imageUrl: candidate.prediction.imageUrl,
+      userId: searchAll ? candidate.prediction.userId : undefined,
+      createdAt: candidate.prediction.createdAt
+    }));
+
+    const labelCounts = {};
+    matches.forEach(match => {
+      labelCounts[match.predictedClass] = (labelCounts[match.predictedClass] || 0) + 1;
+    });
+
+    res.status(200).json({
       success: true,
-      message: 'Prediction completed successfully',
+      message: 'Similar predictions retrieved successfully',
       data: {
-        id: savedPrediction._id,
-        predictedClass: predictionResult.predictedClass,
-        confidence: Math.round(predictionResult.confidence * 10000) / 100,
-        allPredictions: predictionResult.allPredictions.slice(0, 5).map(p => ({
-          class: p.class,
-          confidence: Math.round(p.confidence * 10000) / 100
-        })),
-        image: {
-          name: req.file.originalname,
-          filename: req.file.filename,
-          url: imageUrls.relative,           // Relative URL for frontend
-          fullUrl: imageUrls.full,           // Full URL with domain
-          publicUrl: imageUrls.public,       // Best public URL (Railway or full)
-          size: req.file.size,
-          sizeFormatted: `${(req.file.size / 1024).toFixed(2)} KB`,
-          format: req.file.detectedFormat || path.extname(req.file.originalname).substring(1).toUpperCase()
-        },
-        processingTime: `${processingTime}ms`,
-        timestamp: savedPrediction.createdAt,
-        modelStatus: model ? 'loaded' : 'dummy',
-        storageType: 'local'
+        predictionId: prediction._id,
+        predictedClass: prediction.predictedClass,
+        modelVersion: prediction.embedding.modelVersion,
+        scope: searchAll ? 'all' : 'own',
+        searched: uniqueCandidates.length,
+        matches,
+        labels: Object.entries(labelCounts)
+          .map(([label, count]) => ({ label, count }))
+          .sort((a, b) => b.count - a.count)
       }
-    };
-
-    console.log('🎉 Prediction completed successfully in', processingTime, 'ms');
-    console.log('🔗 Image accessible at:', imageUrls.public);
-    
-    res.status(200).json(response);
+    });
 
   } catch (error) {
-    console.error('💥 Prediction error:', error);
-    
-    // Cleanup uploaded file if error occurs
-    if (req.file && req.file.path && fs.existsSync(req.file.path)) {
-      console.log('🧹 Cleaning up uploaded file due to error...');
-      deleteUploadedFile(req.file.path);
-    }
-
+    console.error('❌ Get similar predictions error:', error);
     res.status(500).json({
       success: false,
-      message: 'Prediction failed',
+      message: 'Failed to retrieve similar predictions',
       error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
     });
   }
 };
 
-// FIXED: Get prediction history with proper image URL reconstruction
-exports.getPredictionHistory = async (req, res) => {
+// Form fields arrive as strings, JSON bodies as booleans
+const parseBooleanField = (value) => {
+  if (value === true || value === 'true') return true;
+  if (value === false || value === 'false') return false;
+  return null;
+};
+
+const formatFeedback = (feedback) => ({
+  version: feedback.version,
+  isCorrect: feedback.isCorrect,
+  trueLabel: feedback.trueLabel,
+  comment: feedback.comment,
+  submittedAt: feedback.submittedAt,
+  history: (feedback.history || []).map(entry => ({
+    version: entry.version,
+    isCorrect: entry.isCorrect,
+    trueLabel: entry.trueLabel,
+    comment: entry.comment,
+    submittedAt: entry.submittedAt
+  }))
+});
+
+// Owner marks a prediction correct or incorrect, optionally with the true label
+// (from the labels of the model that made it) and a comment. Resubmitting
+// creates a new feedback version; earlier ones stay in feedback.history.
+exports.submitPredictionFeedback = async (req, res) => {
   try {
-    const page = parseInt(req.query.page) || 1;
-    const limit = Math.min(parseInt(req.query.limit) || 10, 50);
-    const skip = (page - 1) * limit;
+    const { id } = req.params;
 
-    let query = {};
-    
-    if (req.userId) {
-      query.userId = req.userId;
-    } else {
-      return res.status(401).json({
+    if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
         success: false,
-        message: 'Authentication required to view prediction history'
+        message: 'Invalid prediction ID format'
       });
     }
 
-    // Add filters
-    if (req.query.predictedClass) {
-      query.predictedClass = { $regex: req.query.predictedClass, $options: 'i' };
+    const isCorrect = parseBooleanField(req.body.isCorrect);
+    if (isCorrect === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'isCorrect must be true or false',
+        error: 'INVALID_FEEDBACK'
+      });
     }
 
-    if (req.query.startDate && req.query.endDate) {
-      query.createdAt = {
-        $gte: new Date(req.query.startDate),
-        $lte: new Date(req.query.endDate)
-      };
+    const comment = typeof req.body.comment === 'string' ? req.body.comment.trim() : '';
+    if (comment.length > FEEDBACK_COMMENT_MAX) {
+      return res.status(400).json({
+        success: false,
+        message: `comment must be at most ${FEEDBACK_COMMENT_MAX} characters`,
+        error: 'INVALID_FEEDBACK'
+      });
     }
 
-    const total = await Prediction.countDocuments(query);
-    const predictions = await Prediction.find(query)
-      .sort({ createdAt: -1 })
-      .skip(skip)
-      .limit(limit)
-      .populate('userId', 'username email')
-      .select('-deviceInfo');
-
-    // FIXED: Reconstruct image URLs for each prediction
-    const protocol = req.secure || req.get('x-forwarded-proto') === 'https' ? 'https' : 'http';
-    const host = req.get('host');
-    const baseUrl = `${protocol}://${host}`;
+    const prediction = await Prediction.findOne({ _id: id, userId: req.userId });
+    if (!prediction) {
+      return res.status(404).json({
+        success: false,
+        message: 'Prediction not found'
+      });
+    }
 
-    const enhancedPredictions = predictions.map(prediction => {
-      const predictionObj = prediction.toObject();
-      
-      // Reconstruct image URLs if they exist
-      if (predictionObj.imageUrl) {
-        const filename = path.basename(predictionObj.imageUrl);
-        
-        predictionObj.image = {
-          name: predictionObj.imageName,
-          filename: filename,
-          url: predictionObj.imageUrl,                    // Original relative URL
-          fullUrl: `${baseUrl}${predictionObj.imageUrl}`, // Full URL
-          publicUrl: process.env.RAILWAY_PUBLIC_DOMAIN 
-            ? `https://${process.env.RAILWAY_PUBLIC_DOMAIN}${predictionObj.imageUrl}`
-            : `${baseUrl}${predictionObj.imageUrl}`,       // Best public URL
-          metadata: predictionObj.imageMetadata || {}
-        };
+    let trueLabel = req.body.trueLabel ? String(req.body.trueLabel).trim() : null;
+    
+    if (isCorrect) {
+      if (trueLabel && trueLabel !== prediction.predictedClass) {
+        return res.status(400).json({
+          success: false,
+          message: 'trueLabel must be the predicted class when the prediction is marked correct',
+          error: 'INVALID_FEEDBACK'
+        });
       }
+      trueLabel = prediction.predictedClass;
+    } else if (trueLabel) {
+      const modelVersion = prediction.modelProvenance ? prediction.modelProvenance.version : null;
+      const validLabels = modelRegistry.getClassNamesFor(modelVersion);
       
-      return predictionObj;
-    });
+      if (!validLabels.includes(trueLabel)) {
+        return res.status(400).json({
+          success: false,
+          message: `Unknown label: ${trueLabel}`,
+          error: 'INVALID_LABEL',
+          validLabels
+        });
+      }
+      if (trueLabel === prediction.predictedClass) {
+        return res.status(400).json({
+          success: false,
+          message: 'trueLabel is the predicted class; mark the prediction correct instead',
+          error: 'INVALID_FEEDBACK'
+        });
+      }
+    }
 
-    res.status(200).json({
+    const { feedback } = prediction;
+    const isUpdate = !!feedback.version;
+    
+    if (isUpdate) {
+      feedback.history.push({
+        version: feedback.version,
+        isCorrect: feedback.isCorrect,
+        trueLabel: feedback.trueLabel,
+        comment: feedback.comment,
+        submittedAt: feedback.submittedAt
+      });
+    }
+    
+    feedback.version = (feedback.version || 0) + 1;
+    feedback.isCorrect = isCorrect;
+    feedback.trueLabel = trueLabel;
+    feedback.comment = comment;
+    feedback.submittedAt = new Date();
+    
+    // A disputed result goes to the expert review queue
+    if (!isCorrect) {
+      queueForReview(prediction, REVIEW_REASONS.DISPUTED);
+    }
+    
+    await prediction.save();
+    console.log(`📝 Feedback v${feedback.version} on ${prediction._id}: ${isCorrect ? 'correct' : `incorrect (${trueLabel || 'no label'})`}`);
+
+    res.status(isUpdate ? 200 : 201).json({
       success: true,
-      message: 'Prediction history retrieved successfully',
+      message: isUpdate ? 'Feedback updated successfully' : 'Feedback saved successfully',
       data: {
-        predictions: enhancedPredictions,
-        pagination: {
-          currentPage: page,
-          totalPages: Math.ceil(total / limit),
-          totalItems: total,
-          itemsPerPage: limit,
-          hasNextPage: page < Math.ceil(total / limit),
-          hasPrevPage: page > 1
-        }
+        predictionId: prediction._id,
+        predictedClass: prediction.predictedClass,
+        feedback: formatFeedback(feedback),
+        review: formatOwnerReview(prediction.review)
       }
     });
 
   } catch (error) {
-    console.error('❌ Get history error:', error);
+    console.error('❌ Submit feedback error:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to retrieve prediction history',
+      message: 'Failed to save feedback',
       error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
     });
   }
 };
 
-// FIXED: Get prediction detail with proper image URL reconstruction
-exports.getPredictionDetail = async (req, res) => {
+// Owner asks for an expert to look at a prediction
+exports.flagPredictionForReview = async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -493,20 +1924,16 @@ exports.getPredictionDetail = async (req, res) => {
       });
     }
 
-    let query = { _id: id };
-    
-    if (req.userId) {
-      query.userId = req.userId;
-    } else {
-      return res.status(401).json({
+    const note = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+    if (note.length > FEEDBACK_COMMENT_MAX) {
+      return res.status(400).json({
         success: false,
-        message: 'Authentication required to view prediction details'
+        message: `reason must be at most ${FEEDBACK_COMMENT_MAX} characters`,
+        error: 'INVALID_FLAG'
       });
     }
 
-    const prediction = await Prediction.findOne(query)
-      .populate('userId', 'username email');
-
+    const prediction = await Prediction.findOne({ _id: id, userId: req.userId });
     if (!prediction) {
       return res.status(404).json({
         success: false,
@@ -514,38 +1941,34 @@ exports.getPredictionDetail = async (req, res) => {
       });
     }
 
-    // FIXED: Reconstruct image URLs for the prediction detail
-    const predictionObj = prediction.toObject();
-    
-    if (predictionObj.imageUrl) {
-      const protocol = req.secure || req.get('x-forwarded-proto') === 'https' ? 'https' : 'http';
-      const host = req.get('host');
-      const baseUrl = `${protocol}://${host}`;
-      const filename = path.basename(predictionObj.imageUrl);
-      
-      predictionObj.image = {
-        name: predictionObj.imageName,
-        filename: filename,
-        url: predictionObj.imageUrl,                    // Original relative URL
-        fullUrl: `${baseUrl}${predictionObj.imageUrl}`, // Full URL
-        publicUrl: process.env.RAILWAY_PUBLIC_DOMAIN 
-          ? `https://${process.env.RAILWAY_PUBLIC_DOMAIN}${predictionObj.imageUrl}`
-          : `${baseUrl}${predictionObj.imageUrl}`,       // Best public URL
-        metadata: predictionObj.imageMetadata || {}
-      };
+    if (!queueForReview(prediction, REVIEW_REASONS.FLAGGED, note || null)) {
+      return res.status(409).json({
+        success: false,
+        message: prediction.isMock
+          ? 'Mock predictions cannot be reviewed'
+          : 'This prediction has already been reviewed',
+        error: prediction.isMock ? 'MOCK_PREDICTION' : 'ALREADY_REVIEWED',
+        data: { review: formatOwnerReview(prediction.review) }
+      });
     }
 
+    await prediction.save();
+    console.log(`🚩 Prediction ${prediction._id} flagged for review`);
+
     res.status(200).json({
       success: true,
-      message: 'Prediction detail retrieved successfully',
-      data: predictionObj
+      message: 'Prediction queued for expert review',
+      data: {
+        predictionId: prediction._id,
+        review: formatOwnerReview(prediction.review)
+      }
     });
 
   } catch (error) {
-    console.error('❌ Get prediction detail error:', error);
+    console.error('❌ Flag prediction error:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to retrieve prediction details',
+      message: 'Failed to flag prediction',
       error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
     });
   }
@@ -582,8 +2005,25 @@ exports.deletePrediction = async (req, res) => {
       });
     }
 
+    // Lesion annotations are moderators' work; only an admin may delete them
+    // along with the prediction (see adminDeletePrediction)
+    const foreignAnnotations = await Annotation.countDocuments({
+      predictionId: prediction._id,
+      author: { $ne: req.userId }
+    });
+    if (foreignAnnotations > 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'This prediction has annotations from reviewers and cannot be deleted',
+        error: 'PREDICTION_ANNOTATED',
+        annotations: foreignAnnotations
+      });
+    }
+
     // FIXED: Delete associated image file with better path resolution
-    if (prediction.imageUrl && prediction.storageType === 'local') {
+    if (await isSharedFile(prediction, 'imageUrl', prediction.imageUrl)) {
+      console.log('ℹ️ Image is still used by another prediction, keeping file:', prediction.imageUrl);
+    } else if (prediction.imageUrl && prediction.storageType === 'local') {
       const filename = path.basename(prediction.imageUrl);
       const { uploadsDir } = require('../middleware/upload');
       const imagePath = path.join(uploadsDir, filename);
@@ -601,7 +2041,10 @@ exports.deletePrediction = async (req, res) => {
         console.log('⚠️ Image file not found for deletion:', filename);
       }
     }
+    
+    await deleteDerivedFiles(prediction);
 
+    await Annotation.deleteMany({ predictionId: prediction._id });
     await Prediction.findByIdAndDelete(id);
 
     res.status(200).json({
@@ -633,6 +2076,10 @@ exports.getAllPredictions = async (req, res) => {
       query.predictedClass = { $regex: req.query.predictedClass, $options: 'i' };
     }
 
+    if (req.query.crop) {
+      query.crop = req.query.crop;
+    }
+
     if (req.query.predictionType) {
       query.predictionType = req.query.predictionType;
     }
@@ -645,6 +2092,22 @@ exports.getAllPredictions = async (req, res) => {
       query.userId = req.query.userId;
     }
 
+    if (req.query.modelVersion) {
+      query['modelProvenance.version'] = req.query.modelVersion;
+    }
+
+    if (req.query.modelHash) {
+      query['modelProvenance.modelHash'] = req.query.modelHash;
+    }
+
+    if (req.query.gateDecision) {
+      query['gate.decision'] = req.query.gateDecision;
+    }
+
+    if (req.query.isMock !== undefined) {
+      query.isMock = req.query.isMock === 'true' ? true : { $ne: true };
+    }
+
     if (req.query.startDate && req.query.endDate) {
       query.createdAt = {
         $gte: new Date(req.query.startDate),
@@ -732,7 +2195,9 @@ exports.adminDeletePrediction = async (req, res) => {
     }
 
     // FIXED: Delete associated image file with better path resolution
-    if (prediction.imageUrl && prediction.storageType === 'local') {
+    if (await isSharedFile(prediction, 'imageUrl', prediction.imageUrl)) {
+      console.log('ℹ️ Image is still used by another prediction, keeping file:', prediction.imageUrl);
+    } else if (prediction.imageUrl && prediction.storageType === 'local') {
       const filename = path.basename(prediction.imageUrl);
       const { uploadsDir } = require('../middleware/upload');
       const imagePath = path.join(uploadsDir, filename);
@@ -750,7 +2215,10 @@ exports.adminDeletePrediction = async (req, res) => {
         console.log('⚠️ Image file not found for admin deletion:', filename);
       }
     }
+    
+    await deleteDerivedFiles(prediction);
 
+    await Annotation.deleteMany({ predictionId: prediction._id });
     await Prediction.findByIdAndDelete(id);
 
     res.status(200).json({
@@ -771,15 +2239,25 @@ exports.adminDeletePrediction = async (req, res) => {
 // Get prediction statistics (admin only)
 exports.getPredictionStats = async (req, res) => {
   try {
-    const totalPredictions = await Prediction.countDocuments();
-    const authenticatedPredictions = await Prediction.countDocuments({ predictionType: 'authenticated' });
-    const anonymousPredictions = await Prediction.countDocuments({ predictionType: 'anonymous' });
+    // Mock model output is never part of the statistics
+    const realOnly = { isMock: { $ne: true } };
+    
+    const totalPredictions = await Prediction.countDocuments(realOnly);
+    const authenticatedPredictions = await Prediction.countDocuments({ ...realOnly, predictionType: 'authenticated' });
+    const anonymousPredictions = await Prediction.countDocuments({ ...realOnly, predictionType: 'anonymous' });
+    const mockPredictions = await Prediction.countDocuments({ isMock: true });
+    const cachedPredictions = await Prediction.countDocuments({ ...realOnly, 'cache.hit': true });
     
     // Storage type statistics
-    const localPredictions = await Prediction.countDocuments({ storageType: 'local' });
+    const localPredictions = await Prediction.countDocuments({ ...realOnly, storageType: 'local' });
+
+    // Class and crop counts only include diagnoses the OOD gate accepted
+    // (predictions from before the gate have no decision and count too)
+    const acceptedOnly = { ...realOnly, 'gate.decision': { $in: ['ACCEPTED', null] } };
 
     // Get predictions by class
     const predictionsByClass = await Prediction.aggregate([
+      { $match: acceptedOnly },
       {
         $group: {
           _id: '$predictedClass',
@@ -791,6 +2269,109 @@ exports.getPredictionStats = async (req, res) => {
       { $limit: 20 }
     ]);
 
+    // Get predictions by crop with healthy/diseased split
+    const predictionsByCrop = await Prediction.aggregate([
+      { $match: { ...acceptedOnly, crop: { $ne: null } } },
+      {
+        $group: {
+          _id: '$crop',
+          count: { $sum: 1 },
+          healthy: { $sum: { $cond: ['$isHealthy', 1, 0] } },
+          avgConfidence: { $avg: '$confidence' },
+          avgCropProbability: { $avg: '$cropProbability' }
+        }
+      },
+      {
+        $addFields: {
+          diseased: { $subtract: ['$count', '$healthy'] }
+        }
+      },
+      { $sort: { count: -1 } }
+    ]);
+
+    // Confidence and gate outcome per photo quality decision
+    const predictionsByQuality = await Prediction.aggregate([
+      { $match: { ...realOnly, 'quality.decision': { $ne: null } } },
+      {
+        $group: {
+          _id: '$quality.decision',
+          count: { $sum: 1 },
+          avgConfidence: { $avg: '$confidence' },
+          accepted: { $sum: { $cond: [{ $eq: ['$gate.decision', 'ACCEPTED'] }, 1, 0] } },
+          avgSharpness: { $avg: '$quality.sharpness' },
+          avgBrightness: { $avg: '$quality.brightness' }
+        }
+      },
+      { $sort: { count: -1 } }
+    ]);
+
+    // Leaf segmentation on vs off, for A/B comparison
+    const predictionsBySegmentation = await Prediction.aggregate([
+      { $match: realOnly },
+      {
+        $group: {
+          _id: { $ifNull: ['$segmentation.requested', false] },
+          count: { $sum: 1 },
+          applied: { $sum: { $cond: ['$segmentation.applied', 1, 0] } },
+          avgConfidence: { $avg: '$confidence' },
+          accepted: { $sum: { $cond: [{ $eq: ['$gate.decision', 'ACCEPTED'] }, 1, 0] } }
+        }
+      }
+    ]);
+
+    // Accuracy from user feedback: per predicted class (precision) and per true class (recall)
+    const withFeedback = { ...realOnly, 'feedback.isCorrect': { $ne: null } };
+    const accuracyByPredictedClass = await Prediction.aggregate([
+      { $match: withFeedback },
+      {
+        $group: {
+          _id: '$predictedClass',
+          reviewed: { $sum: 1 },
+          correct: { $sum: { $cond: ['$feedback.isCorrect', 1, 0] } }
+        }
+      },
+      {
+        $addFields: {
+          accuracy: { $divide: ['$correct', '$reviewed'] }
+        }
+      },
+      { $sort: { reviewed: -1 } }
+    ]);
+    const accuracyByTrueClass = await Prediction.aggregate([
+      { $match: { ...withFeedback, 'feedback.trueLabel': { $ne: null } } },
+      {
+        $group: {
+          _id: '$feedback.trueLabel',
+          reviewed: { $sum: 1 },
+          correct: { $sum: { $cond: ['$feedback.isCorrect', 1, 0] } }
+        }
+      },
+      {
+        $addFields: {
+          recall: { $divide: ['$correct', '$reviewed'] }
+        }
+      },
+      { $sort: { reviewed: -1 } }
+    ]);
+    // Expert review queue size per status, and open items past their SLA
+    const reviewByStatus = await Prediction.aggregate([
+      { $match: { ...realOnly, 'review.status': { $ne: null } } },
+      {
+        $group: {
+          _id: '$review.status',
+          count: { $sum: 1 }
+        }
+      }
+    ]);
+    const overdueReviews = await Prediction.countDocuments({
+      ...realOnly,
+      'review.status': { $in: OPEN_STATUSES },
+      'review.dueAt': { $lt: new Date() }
+    });
+    
+    const reviewedPredictions = accuracyByPredictedClass.reduce((sum, entry) => sum + entry.reviewed, 0);
+    const correctPredictions = accuracyByPredictedClass.reduce((sum, entry) => sum + entry.correct, 0);
+
     // Get predictions by date (last 30 days)
     const thirtyDaysAgo = new Date();
     thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
@@ -798,6 +2379,7 @@ exports.getPredictionStats = async (req, res) => {
     const predictionsByDate = await Prediction.aggregate([
       {
         $match: {
+          ...realOnly,
           createdAt: { $gte: thirtyDaysAgo }
         }
       },
@@ -815,6 +2397,7 @@ exports.getPredictionStats = async (req, res) => {
 
     // Get predictions by storage type
     const predictionsByStorage = await Prediction.aggregate([
+      { $match: realOnly },
       {
         $group: {
           _id: '$storageType',
@@ -825,6 +2408,7 @@ exports.getPredictionStats = async (req, res) => {
 
     // Get average processing time
     const avgProcessingTime = await Prediction.aggregate([
+      { $match: realOnly },
       {
         $group: {
           _id: null,
@@ -836,6 +2420,7 @@ exports.getPredictionStats = async (req, res) => {
     // FIXED: Get storage statistics
     const { getUploadStats } = require('../middleware/upload');
     const storageStats = getUploadStats();
+    const activeModel = modelRegistry.getActive();
 
     res.status(200).json({
       success: true,
@@ -846,9 +2431,25 @@ exports.getPredictionStats = async (req, res) => {
           authenticatedPredictions,
           anonymousPredictions,
           localPredictions,
+          mockPredictions,
+          cachedPredictions,
           avgProcessingTime: avgProcessingTime[0]?.avgTime || 0
         },
         predictionsByClass,
+        predictionsByCrop,
+        predictionsByQuality,
+        predictionsBySegmentation,
+        feedback: {
+          reviewed: reviewedPredictions,
+          correct: correctPredictions,
+          accuracy: reviewedPredictions > 0 ? correctPredictions / reviewedPredictions : null,
+          byPredictedClass: accuracyByPredictedClass,
+          byTrueClass: accuracyByTrueClass
+        },
+        reviewQueue: {
+          byStatus: reviewByStatus,
+          overdue: overdueReviews
+        },
         predictionsByDate,
         predictionsByStorage,
         storage: {
@@ -859,8 +2460,9 @@ exports.getPredictionStats = async (req, res) => {
           health: storageStats.storageHealth
         },
         systemInfo: {
-          modelLoaded: !!model,
-          totalClasses: classNames.length,
+          modelLoaded: !!(activeModel && activeModel.ready),
+          modelVersion: activeModel ? activeModel.version : null,
+          totalClasses: activeModel ? activeModel.classNames.length : 0,
           tfBackend: tf.getBackend(),
           storageTypes: ['local']
         }
@@ -879,20 +2481,50 @@ exports.getPredictionStats = async (req, res) => {
 
 // Health check endpoint untuk model
 exports.getModelHealth = async (req, res) => {
+  let modelEntry = null;
+  
   try {
     const { getUploadStats } = require('../middleware/upload');
     const storageStats = getUploadStats();
     
-    let modelInfo = {
-      modelLoaded: !!model,
-      modelPath: MODEL_PATH,
-      labelsPath: LABELS_PATH,
-      totalClasses: classNames.length,
+    modelEntry = await modelRegistry.acquire();
+    const loaded = !!modelEntry.ready;
+    
+    // Shapes were captured when the model was loaded; the health check never
+    // runs the model itself
+    const modelInfo = {
+      modelLoaded: loaded,
+      modelVersion: modelEntry.version,
+      modelPath: modelEntry.modelPath || null,
+      labelsPath: modelEntry.labelsPath || null,
+      metadata: modelEntry.metadata,
+      preprocessing: modelEntry.preprocessing,
+      totalClasses: modelEntry.classNames.length,
       tfBackend: tf.getBackend(),
       memoryInfo: tf.memory(),
-      modelExists: fs.existsSync(MODEL_PATH),
-      labelsExists: fs.existsSync(LABELS_PATH),
-      modelType: model ? 'GraphModel' : 'Not loaded',
+      modelExists: !!modelEntry.modelPath && fs.existsSync(modelEntry.modelPath),
+      labelsExists: !!modelEntry.labelsPath && fs.existsSync(modelEntry.labelsPath),
+      modelType: loaded ? 'GraphModel' : 'Not loaded',
+      // With inference workers the weights are only held by the workers
+      weightsOnMainThread: !!modelEntry.model,
+      inputShape: modelEntry.inputShape || null,
+      outputShape: modelEntry.outputShape || null,
+      numOutputs: modelEntry.numOutputs || null,
+      mockModel: MOCK_CONFIG.enabled,
+      // No model (or no inference worker left) and no mock: predictions answer 503 MODEL_UNAVAILABLE
+      degraded: !MOCK_CONFIG.enabled && !isModelAvailable(modelEntry),
+      loadError: modelEntry.loadError || null,
+      availableModels: modelRegistry.list().map(m => m.version),
+      predictionQueue: predictionQueue.getStats(),
+      inferencePool: inferencePool.getStats(),
+      inferenceLimiter: { ...inferenceLimiter.getStats(), timeoutMs: INFERENCE_TIMEOUT_MS, explanationTimeoutMs: EXPLANATION_TIMEOUT_MS },
+      resultCache: { ...resultCache.getStats(), recordHits: CACHE_RECORD_HITS },
+      embeddings: { ...EMBEDDING_CONFIG, node: modelEntry.embeddingNode || null },
+      tta: TTA_CONFIG,
+      imageQuality: QUALITY_CONFIG,
+      segmentation: SEGMENTATION_CONFIG,
+      tiling: TILING_CONFIG,
+      reviewQueue: REVIEW_CONFIG,
       storageConfig: {
         localStorage: storageStats.exists,
         uploadsDirectory: storageStats.directory,
@@ -901,29 +2533,6 @@ exports.getModelHealth = async (req, res) => {
       }
     };
     
-    if (model) {
-      try {
-        modelInfo.inputShape = model.inputs[0].shape;
-        
-        const testInput = tf.zeros([1, 224, 224, 3]);
-        const testOutput = model.execute(testInput);
-        
-        if (Array.isArray(testOutput)) {
-          modelInfo.outputShape = testOutput[0].shape;
-          modelInfo.numOutputs = testOutput.length;
-          testOutput.forEach(p => p.dispose());
-        } else {
-          modelInfo.outputShape = testOutput.shape;
-          modelInfo.numOutputs = 1;
-          testOutput.dispose();
-        }
-        
-        testInput.dispose();
-      } catch (error) {
-        modelInfo.shapeError = error.message;
-      }
-    }
-    
     res.status(200).json({
       success: true,
       message: 'Model health check',
@@ -935,5 +2544,7 @@ exports.getModelHealth = async (req, res) => {
       message: 'Health check failed',
       error: error.message
     });
+  } finally {
+    modelRegistry.release(modelEntry);
   }
-};
\ No newline at end of file
+};
@@ -0,0 +1,498 @@
+// app/controllers/review.controller.js - Expert review queue and labeling priority
+const Prediction = require('../models/prediction.model');
+const modelRegistry = require('../utils/modelRegistry');
+const {
+  REVIEW_STATUS,
+  REVIEW_REASONS,
+  OPEN_STATUSES,
+  RESOLVED_STATUSES,
+  staleClaimCutoff,
+  getSlaStatus
+} = require('../utils/reviewQueue');
+const {
+  ACTIVE_LEARNING_CONFIG,
+  DEFAULT_WEIGHTS,
+  getStrategy,
+  listStrategies,
+  parseWeights,
+  rankCandidates
+} = require('../utils/activeLearning');
+
+const REVIEW_NOTE_MAX = 2000;
+const HOUR_MS = 60 * 60 * 1000;
+
+// status filter values beyond the stored statuses
+const STATUS_GROUPS = {
+  open: OPEN_STATUSES,
+  resolved: RESOLVED_STATUSES,
+  all: [...OPEN_STATUSES, ...RESOLVED_STATUSES]
+};
+
+const isValidId = (id) => /^[0-9a-fA-F]{24}$/.test(id);
+
+const toPercent = (value) => (value === null || value === undefined ? null : Math.round(value * 10000) / 100);
+
+const formatUser = (user) => {
+  if (!user) return null;
+  return user.username ? { id: user._id, username: user.username } : { id: user };
+};
+
+// Moderator view of a queue item
+const formatQueueItem = (prediction, now = new Date()) => {
+  const review = prediction.review;
+  const feedback = prediction.feedback && prediction.feedback.version ? prediction.feedback : null;
+
+  return {
+    predictionId: prediction._id,
+    imageUrl: prediction.imageUrl,
+    predictedClass: prediction.predictedClass,
+    confidence: toPercent(prediction.confidence),
+    crop: prediction.crop,
+    isHealthy: prediction.isHealthy,
+    modelVersion: prediction.modelProvenance ? prediction.modelProvenance.version : null,
+    gateDecision: prediction.gate ? prediction.gate.decision : null,
+    createdAt: prediction.createdAt,
+    feedback: feedback ? {
+      isCorrect: feedback.isCorrect,
+      trueLabel: feedback.trueLabel,
+      comment: feedback.comment,
+      submittedAt: feedback.submittedAt
+    } : null,
+    review: {
+      status: review.status,
+      reasons: review.reasons,
+      flagNote: review.flagNote || null,
+      claimedBy: formatUser(review.claimedBy),
+      claimedAt: review.claimedAt || null,
+      reviewedBy: formatUser(review.reviewedBy),
+      reviewedAt: review.reviewedAt || null,
+      verdictLabel: review.verdictLabel || null,
+      note: review.note || null
+    },
+    sla: getSlaStatus(review, now)
+  };
+};
+
+// Explain why a claim or verdict can't proceed on this item
+const queueConflict = (prediction, userId) => {
+  const review = prediction.review || {};
+
+  if (!review.status) {
+    return { message: 'This prediction is not in the review queue', error: 'NOT_IN_QUEUE' };
+  }
+  if (RESOLVED_STATUSES.includes(review.status)) {
+    return { message: 'This prediction has already been reviewed', error: 'ALREADY_REVIEWED' };
+  }
+  if (review.status === REVIEW_STATUS.CLAIMED && String(review.claimedBy) !== String(userId)) {
+    return { message: 'This item is claimed by another moderator', error: 'ALREADY_CLAIMED' };
+  }
+  return { message: 'Claim this item before submitting a verdict', error: 'NOT_CLAIMED' };
+};
+
+// List queue items, oldest due date first.
+// Filters: status (pending|claimed|confirmed|relabeled|open|resolved|all), crop,
+// reason, minAgeHours/maxAgeHours (since queued), overdue=true, mine=true.
+exports.getReviewQueue = async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    const status = req.query.status || 'open';
+    const now = new Date();
+
+    const statuses = STATUS_GROUPS[status] || (Object.values(REVIEW_STATUS).includes(status) ? [status] : null);
+    if (!statuses) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown status: ${status}`,
+        error: 'INVALID_STATUS',
+        validStatuses: [...Object.values(REVIEW_STATUS), ...Object.keys(STATUS_GROUPS)]
+      });
+    }
+
+    const query = { 'review.status': { $in: statuses } };
+
+    if (req.query.crop) {
+      query.crop = req.query.crop;
+    }
+
+    if (req.query.reason) {
+      if (!Object.values(REVIEW_REASONS).includes(req.query.reason)) {
+        return res.status(400).json({
+          success: false,
+          message: `Unknown reason: ${req.query.reason}`,
+          error: 'INVALID_REASON',
+          validReasons: Object.values(REVIEW_REASONS)
+        });
+      }
+      query['review.reasons'] = req.query.reason;
+    }
+
+    const minAgeHours = parseFloat(req.query.minAgeHours);
+    const maxAgeHours = parseFloat(req.query.maxAgeHours);
+    if (!isNaN(minAgeHours) || !isNaN(maxAgeHours)) {
+      query['review.queuedAt'] = {};
+      if (!isNaN(minAgeHours)) query['review.queuedAt'].$lte = new Date(now.getTime() - minAgeHours * HOUR_MS);
+      if (!isNaN(maxAgeHours)) query['review.queuedAt'].$gte = new Date(now.getTime() - maxAgeHours * HOUR_MS);
+    }
+
+    if (req.query.overdue === 'true') {
+      query['review.status'] = { $in: statuses.filter(value => OPEN_STATUSES.includes(value)) };
+      query['review.dueAt'] = { $lt: now };
+    }
+
+    if (req.query.mine === 'true') {
+      query['review.claimedBy'] = req.userId;
+    }
+
+    const onlyResolved = statuses.every(value => RESOLVED_STATUSES.includes(value));
+    const sort = onlyResolved ? { 'review.reviewedAt': -1 } : { 'review.dueAt': 1 };
+
+    const [items, total] = await Promise.all([
+      Prediction.find(query)
+        .select('imageUrl predictedClass confidence crop isHealthy modelProvenance.version gate.decision feedback review createdAt')
+        .populate('review.claimedBy', 'username')
+        .populate('review.reviewedBy', 'username')
+        .sort(sort)
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Prediction.countDocuments(query)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      message: 'Review queue retrieved successfully',
+      data: {
+        items: items.map(item => formatQueueItem(item, now)),
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(total / limit),
+          totalItems: total,
+          itemsPerPage: limit
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Get review queue error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve review queue',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// Take an item. Pending items, the moderator's own claims and claims older
+// than REVIEW_CLAIM_TIMEOUT_HOURS can be claimed.
+exports.claimReviewItem = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!isValidId(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid prediction ID format'
+      });
+    }
+
+    const now = new Date();
+    const prediction = await Prediction.findOneAndUpdate(
+      {
+        _id: id,
+        $or: [
+          { 'review.status': REVIEW_STATUS.PENDING },
+          { 'review.status': REVIEW_STATUS.CLAIMED, 'review.claimedBy': req.userId },
+          { 'review.status': REVIEW_STATUS.CLAIMED, 'review.claimedAt': { $lt: staleClaimCutoff(now) } }
+        ]
+      },
+      {
+        $set: {
+          'review.status': REVIEW_STATUS.CLAIMED,
+          'review.claimedBy': req.userId,
+          'review.claimedAt': now
+        }
+      },
+      { new: true }
+    );
+
+    if (!prediction) {
+      const existing = await Prediction.findById(id).select('review');
+      if (!existing) {
+        return res.status(404).json({
+          success: false,
+          message: 'Prediction not found'
+        });
+      }
+      return res.status(409).json({
+        success: false,
+        ...queueConflict(existing, req.userId)
+      });
+    }
+
+    console.log(`🔒 Review item ${id} claimed by ${req.userId}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Review item claimed',
+      data: formatQueueItem(prediction, now)
+    });
+
+  } catch (error) {
+    console.error('❌ Claim review item error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to claim review item',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// Give a claimed item back to the queue
+exports.releaseReviewItem = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!isValidId(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid prediction ID format'
+      });
+    }
+
+    const prediction = await Prediction.findOneAndUpdate(
+      { _id: id, 'review.status': REVIEW_STATUS.CLAIMED, 'review.claimedBy': req.userId },
+      {
+        $set: { 'review.status': REVIEW_STATUS.PENDING },
+        $unset: { 'review.claimedBy': '', 'review.claimedAt': '' }
+      },
+      { new: true }
+    );
+
+    if (!prediction) {
+      const existing = await Prediction.findById(id).select('review');
+      if (!existing) {
+        return res.status(404).json({
+          success: false,
+          message: 'Prediction not found'
+        });
+      }
+      return res.status(409).json({
+        success: false,
+        ...queueConflict(existing, req.userId)
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Review item released',
+      data: formatQueueItem(prediction)
+    });
+
+  } catch (error) {
+    console.error('❌ Release review item error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to release review item',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// Confirm the model's class or relabel it, with an optional expert note.
+// Body: { verdict: 'confirm' | 'relabel', label, note }
+exports.submitReviewVerdict = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { verdict } = req.body;
+
+    if (!isValidId(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid prediction ID format'
+      });
+    }
+
+    if (!['confirm', 'relabel'].includes(verdict)) {
+      return res.status(400).json({
+        success: false,
+        message: "verdict must be 'confirm' or 'relabel'",
+        error: 'INVALID_VERDICT'
+      });
+    }
+
+    const note = typeof req.body.note === 'string' ? req.body.note.trim() : '';
+    if (note.length > REVIEW_NOTE_MAX) {
+      return res.status(400).json({
+        success: false,
+        message: `note must be at most ${REVIEW_NOTE_MAX} characters`,
+        error: 'INVALID_VERDICT'
+      });
+    }
+
+    const prediction = await Prediction.findById(id);
+    if (!prediction) {
+      return res.status(404).json({
+        success: false,
+        message: 'Prediction not found'
+      });
+    }
+
+    const review = prediction.review;
+    if (review.status !== REVIEW_STATUS.CLAIMED || String(review.claimedBy) !== String(req.userId)) {
+      return res.status(409).json({
+        success: false,
+        ...queueConflict(prediction, req.userId)
+      });
+    }
+
+    let verdictLabel = prediction.predictedClass;
+    if (verdict === 'relabel') {
+      const label = req.body.label ? String(req.body.label).trim() : '';
+      const modelVersion = prediction.modelProvenance ? prediction.modelProvenance.version : null;
+      const validLabels = modelRegistry.getClassNamesFor(modelVersion);
+
+      if (!validLabels.includes(label)) {
+        return res.status(400).json({
+          success: false,
+          message: label ? `Unknown label: ${label}` : 'label is required to relabel a prediction',
+          error: 'INVALID_LABEL',
+          validLabels
+        });
+      }
+      if (label === prediction.predictedClass) {
+        return res.status(400).json({
+          success: false,
+          message: 'label is the predicted class; confirm the prediction instead',
+          error: 'INVALID_VERDICT'
+        });
+      }
+      verdictLabel = label;
+    }
+
+    review.status = verdict === 'confirm' ? REVIEW_STATUS.CONFIRMED : REVIEW_STATUS.RELABELED;
+    review.verdictLabel = verdictLabel;
+    review.note = note;
+    review.reviewedBy = req.userId;
+    review.reviewedAt = new Date();
+
+    await prediction.save();
+    console.log(`✅ Review of ${id}: ${review.status} as ${verdictLabel}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Review verdict saved',
+      data: formatQueueItem(prediction)
+    });
+
+  } catch (error) {
+    console.error('❌ Submit review verdict error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to save review verdict',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// Prioritized batch of stored predictions to label next (admin). The pool is every
+// real prediction created up to asOf that has no expert verdict, no claim and no
+// user feedback; the same asOf, filters and strategy give the same batch.
+exports.getLabelingBatch = async (req, res) => {
+  try {
+    const strategy = req.query.strategy || ACTIVE_LEARNING_CONFIG.defaultStrategy;
+    if (!getStrategy(strategy)) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown strategy: ${strategy}`,
+        error: 'INVALID_STRATEGY',
+        strategies: listStrategies()
+      });
+    }
+
+    const weights = req.query.weights ? parseWeights(req.query.weights) : null;
+    if (req.query.weights && !weights) {
+      return res.status(400).json({
+        success: false,
+        message: 'weights must look like entropy:2,margin:1 using entropy, margin, ttaDisagreement or classRarity',
+        error: 'INVALID_WEIGHTS'
+      });
+    }
+
+    const asOf = req.query.asOf ? new Date(req.query.asOf) : new Date();
+    if (isNaN(asOf.getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: 'asOf must be an ISO date',
+        error: 'INVALID_DATE'
+      });
+    }
+
+    const size = Math.min(
+      Math.max(parseInt(req.query.size) || ACTIVE_LEARNING_CONFIG.defaultBatchSize, 1),
+      ACTIVE_LEARNING_CONFIG.maxBatchSize
+    );
+
+    const query = {
+      isMock: { $ne: true },
+      createdAt: { $lte: asOf },
+      'allPredictions.0': { $exists: true },
+      'review.status': { $nin: [REVIEW_STATUS.CLAIMED, ...RESOLVED_STATUSES] },
+      'feedback.isCorrect': null
+    };
+    if (req.query.crop) {
+      query.crop = req.query.crop;
+    }
+    if (req.query.modelVersion) {
+      query['modelProvenance.version'] = req.query.modelVersion;
+    }
+
+    const pool = await Prediction.find(query)
+      .select('imageUrl predictedClass confidence allPredictions tta.enabled tta.agreement crop modelProvenance.version review.status createdAt')
+      .sort({ createdAt: -1, _id: -1 })
+      .limit(ACTIVE_LEARNING_CONFIG.poolLimit)
+      .lean();
+
+    const candidates = pool.map(prediction => ({
+      id: String(prediction._id),
+      predictedClass: prediction.predictedClass,
+      probabilities: prediction.allPredictions.map(entry => entry.confidence),
+      ttaAgreement: prediction.tta && prediction.tta.enabled ? prediction.tta.agreement : null,
+      prediction
+    }));
+
+    const ranked = rankCandidates(candidates, strategy, { size, weights });
+
+    res.status(200).json({
+      success: true,
+      message: 'Labeling batch generated successfully',
+      data: {
+        strategy,
+        weights: strategy === 'combined' ? weights || DEFAULT_WEIGHTS : null,
+        asOf: asOf.toISOString(),
+        poolSize: candidates.length,
+        poolTruncated: candidates.length === ACTIVE_LEARNING_CONFIG.poolLimit,
+        items: ranked.map(({ rank, candidate, signals, score }) => ({
+          rank,
+          predictionId: candidate.prediction._id,
+          imageUrl: candidate.prediction.imageUrl,
+          predictedClass: candidate.prediction.predictedClass,
+          confidence: toPercent(candidate.prediction.confidence),
+          crop: candidate.prediction.crop,
+          modelVersion: candidate.prediction.modelProvenance ? candidate.prediction.modelProvenance.version : null,
+          inReviewQueue: !!(candidate.prediction.review && candidate.prediction.review.status),
+          createdAt: candidate.prediction.createdAt,
+          score,
+          signals
+        }))
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Get labeling batch error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to generate labeling batch',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
@@ -113,6 +113,20 @@ isModeratorOrAdmin = async (req, res, next) => {
     }
 };
 
+// Load the user's role names into req.userRoles without rejecting anyone,
+// for handlers whose behaviour (not access) depends on the role
+attachRoles = async (req, res, next) => {
+    try {
+        const user = await User.findById(req.userId);
+        const roles = user ? await Role.find({ _id: { $in: user.roles } }) : [];
+        
+        req.userRoles = roles.map(role => role.name);
+        next();
+    } catch (err) {
+        res.status(500).send({ message: err.message });
+    }
+};
+
 checkOwnership = (req, res, next) => {
     const resourceUserId = req.params.userId || req.body.userId;
     
@@ -130,6 +144,7 @@ const authJwt = {
     isAdmin,
     isModerator,
     isModeratorOrAdmin,
+    attachRoles,
     checkOwnership
 };
 
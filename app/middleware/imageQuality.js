@@ -0,0 +1,35 @@
+// app/middleware/imageQuality.js - Photo quality check on uploads before inference
+const { QUALITY_CONFIG, assessImageQuality } = require('../utils/imageQuality');
+const { deleteUploadedFile } = require('./upload');
+
+// Runs after uploadSingle: scores the uploaded photo and attaches the result as
+// req.file.quality. Photos with a hard problem are removed and answered with 422.
+const checkImageQuality = async (req, res, next) => {
+  if (!QUALITY_CONFIG.enabled || !req.file) {
+    return next();
+  }
+  
+  try {
+    const quality = await assessImageQuality(req.file.path);
+    req.file.quality = quality;
+    
+    console.log('🔎 Image quality:', quality.decision, quality.issues.map(issue => issue.code));
+    
+    if (quality.decision === 'rejected') {
+      deleteUploadedFile(req.file.path);
+      return res.status(422).json({
+        success: false,
+        message: 'The photo quality is too low for a reliable diagnosis, please retake it',
+        error: 'IMAGE_QUALITY',
+        quality
+      });
+    }
+  } catch (error) {
+    // A failed check never blocks the prediction itself
+    console.error('⚠️ Image quality check failed, skipping:', error.message);
+  }
+  
+  next();
+};
+
+module.exports = { checkImageQuality };
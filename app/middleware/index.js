@@ -1,11 +1,15 @@
 const authJwt = require("./authJwt");
 const verifySignUp = require("./verifySignUp");
 const { optionalAuth } = require("./optionalAuth");
+const { checkImageQuality } = require("./imageQuality");
 const { 
   uploadSingle, 
+  uploadMultiple,
   handleUploadErrors, 
   deleteUploadedFile,
   cleanOldFiles,
+  runRetentionCleanup,
+  setRetentionGuard,
   startPeriodicCleanup,
   uploadsDir 
 } = require("./upload");
@@ -15,9 +19,13 @@ module.exports = {
     verifySignUp,
     optionalAuth,
     uploadSingle,
+    uploadMultiple,
     handleUploadErrors,
+    checkImageQuality,
     deleteUploadedFile,
     cleanOldFiles,
+    runRetentionCleanup,
+    setRetentionGuard,
     startPeriodicCleanup,
     uploadsDir
 };
\ No newline at end of file
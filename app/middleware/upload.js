@@ -1,6 +1,7 @@
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
+const crypto = require('crypto');
 
 // FIXED: Enhanced uploads directory detection and creation
 const getUploadsDirectory = () => {
@@ -164,6 +165,137 @@ const upload = multer({
   }
 });
 
+// Batch uploads share the same storage and validation, but allow more files per request
+const MAX_BATCH_FILES = parseInt(process.env.MAX_BATCH_FILES) || 20;
+
+// Batch file filter: a rejected file is recorded instead of aborting the whole batch
+const batchFileFilter = (req, file, cb) => {
+  fileFilter(req, file, (err, accepted) => {
+    if (err) {
+      req.fileErrors = req.fileErrors || [];
+      req.fileErrors.push({
+        originalName: file.originalname,
+        error: 'INVALID_FILE',
+        message: err.message
+      });
+      return cb(null, false);
+    }
+    cb(null, accepted);
+  });
+};
+
+const batchUpload = multer({
+  storage: storage,
+  fileFilter: batchFileFilter,
+  limits: {
+    fileSize: 5 * 1024 * 1024,   // 5MB max file size per image
+    files: MAX_BATCH_FILES,      // Max images per batch
+    fieldSize: 10 * 1024 * 1024, // 10MB max field size
+    fields: 10,                  // Max 10 fields
+    parts: MAX_BATCH_FILES + 20  // Images plus regular fields
+  },
+  onError: function(err, next) {
+    console.error('💥 Multer configuration error:', err.message);
+    next(err);
+  }
+});
+
+// Verify a file multer wrote to disk and attach URL/format info and its SHA-256 to it.
+// Throws (after removing the file) when the file is incomplete or not a real image.
+const verifyUploadedFile = (req, file) => {
+  const filePath = file.path;
+  const filename = file.filename;
+  
+  // Verify file was actually saved
+  if (!fs.existsSync(filePath)) {
+    throw new Error('File was not saved to disk');
+  }
+  
+  // Get actual file size and verify it matches uploaded size
+  const actualStats = fs.statSync(filePath);
+  const actualSize = actualStats.size;
+  
+  if (actualSize !== file.size) {
+    console.error('❌ File size mismatch:', { 
+      expected: file.size, 
+      actual: actualSize 
+    });
+    deleteUploadedFile(filePath);
+    throw new Error('File upload incomplete: size mismatch');
+  }
+  
+  // FIXED: Generate proper URLs for accessing the image
+  const baseUrl = req.protocol + '://' + req.get('host');
+  const relativeUrl = `/uploads/${filename}`;
+  const fullUrl = `${baseUrl}${relativeUrl}`;
+  
+  // Add comprehensive file information to request
+  file.url = relativeUrl;           // Relative URL for API responses
+  file.fullUrl = fullUrl;          // Full URL for external access
+  file.storageType = 'local';      // Storage type indicator
+  file.uploadTimestamp = new Date().toISOString();
+  file.uploadsDirectory = uploadsDir;
+  file.verified = true;            // Mark as verified
+  
+  // Railway-specific URL if deployed
+  if (process.env.RAILWAY_PUBLIC_DOMAIN) {
+    file.railwayUrl = `https://${process.env.RAILWAY_PUBLIC_DOMAIN}${relativeUrl}`;
+  }
+  
+  console.log('✅ File uploaded and verified successfully:', {
+    filename: filename,
+    originalname: file.originalname,
+    size: actualSize,
+    sizeFormatted: `${(actualSize / 1024).toFixed(2)} KB`,
+    path: filePath,
+    url: relativeUrl,
+    fullUrl: fullUrl,
+    mimetype: file.mimetype,
+    storageType: file.storageType
+  });
+  
+  // Additional verification: try to read file header to ensure it's valid
+  try {
+    const buffer = fs.readFileSync(filePath, { flag: 'r' });
+    const header = buffer.slice(0, 10);
+    
+    // Basic image format validation by checking file headers
+    let isValidImage = false;
+    
+    // PNG: 89 50 4E 47
+    if (header[0] === 0x89 && header[1] === 0x50 && header[2] === 0x4E && header[3] === 0x47) {
+      isValidImage = true;
+      file.detectedFormat = 'PNG';
+    }
+    // JPEG: FF D8 FF
+    else if (header[0] === 0xFF && header[1] === 0xD8 && header[2] === 0xFF) {
+      isValidImage = true;
+      file.detectedFormat = 'JPEG';
+    }
+    // WebP: 52 49 46 46 ... 57 45 42 50
+    else if (header.slice(0, 4).toString() === 'RIFF' && buffer.slice(8, 12).toString() === 'WEBP') {
+      isValidImage = true;
+      file.detectedFormat = 'WebP';
+    }
+    
+    if (!isValidImage) {
+      console.error('❌ File header validation failed - not a valid image');
+      deleteUploadedFile(filePath);
+      throw new Error('Invalid image file: corrupted or wrong format');
+    }
+    
+    console.log(`✅ Image format verified: ${file.detectedFormat}`);
+    
+    // Content hash, used to recognise re-uploads of the same photo
+    file.sha256 = crypto.createHash('sha256').update(buffer).digest('hex');
+    
+  } catch (verificationError) {
+    console.error('❌ File verification failed:', verificationError.message);
+    deleteUploadedFile(filePath);
+    throw new Error('File verification failed: ' + verificationError.message);
+  }
+};
+
 // FIXED: Enhanced upload single middleware with comprehensive error handling
 const uploadSingle = (req, res, next) => {
   const uploadHandler = upload.single('image');
@@ -180,96 +312,7 @@ const uploadSingle = (req, res, next) => {
     }
     
     try {
-      // FIXED: Enhanced file processing and validation
-      const filePath = req.file.path;
-      const filename = req.file.filename;
-      
-      // Verify file was actually saved
-      if (!fs.existsSync(filePath)) {
-        throw new Error('File was not saved to disk');
-      }
-      
-      // Get actual file size and verify it matches uploaded size
-      const actualStats = fs.statSync(filePath);
-      const actualSize = actualStats.size;
-      
-      if (actualSize !== req.file.size) {
-        console.error('❌ File size mismatch:', { 
-          expected: req.file.size, 
-          actual: actualSize 
-        });
-        deleteUploadedFile(filePath);
-        throw new Error('File upload incomplete: size mismatch');
-      }
-      
-      // FIXED: Generate proper URLs for accessing the image
-      const baseUrl = req.protocol + '://' + req.get('host');
-      const relativeUrl = `/uploads/${filename}`;
-      const fullUrl = `${baseUrl}${relativeUrl}`;
-      
-      // Add comprehensive file information to request
-      req.file.url = relativeUrl;           // Relative URL for API responses
-      req.file.fullUrl = fullUrl;          // Full URL for external access
-      req.file.storageType = 'local';      // Storage type indicator
-      req.file.uploadTimestamp = new Date().toISOString();
-      req.file.uploadsDirectory = uploadsDir;
-      req.file.verified = true;            // Mark as verified
-      
-      // Railway-specific URL if deployed
-      if (process.env.RAILWAY_PUBLIC_DOMAIN) {
-        req.file.railwayUrl = `https://${process.env.RAILWAY_PUBLIC_DOMAIN}${relativeUrl}`;
-      }
-      
-      console.log('✅ File uploaded and verified successfully:', {
-        filename: filename,
-        originalname: req.file.originalname,
-        size: actualSize,
-        sizeFormatted: `${(actualSize / 1024).toFixed(2)} KB`,
-        path: filePath,
-        url: relativeUrl,
-        fullUrl: fullUrl,
-        mimetype: req.file.mimetype,
-        storageType: req.file.storageType
-      });
-      
-      // Additional verification: try to read file header to ensure it's valid
-      try {
-        const buffer = fs.readFileSync(filePath, { flag: 'r' });
-        const header = buffer.slice(0, 10);
-        
-        // Basic image format validation by checking file headers
-        let isValidImage = false;
-        
-        // PNG: 89 50 4E 47
-        if (header[0] === 0x89 && header[1] === 0x50 && header[2] === 0x4E && header[3] === 0x47) {
-          isValidImage = true;
-          req.file.detectedFormat = 'PNG';
-        }
-        // JPEG: FF D8 FF
-        else if (header[0] === 0xFF && header[1] === 0xD8 && header[2] === 0xFF) {
-          isValidImage = true;
-          req.file.detectedFormat = 'JPEG';
-        }
-        // WebP: 52 49 46 46 ... 57 45 42 50
-        else if (header.slice(0, 4).toString() === 'RIFF' && buffer.slice(8, 12).toString() === 'WEBP') {
-          isValidImage = true;
-          req.file.detectedFormat = 'WebP';
-        }
-        
-        if (!isValidImage) {
-          console.error('❌ File header validation failed - not a valid image');
-          deleteUploadedFile(filePath);
-          throw new Error('Invalid image file: corrupted or wrong format');
-        }
-        
-        console.log(`✅ Image format verified: ${req.file.detectedFormat}`);
-        
-      } catch (verificationError) {
-        console.error('❌ File verification failed:', verificationError.message);
-        deleteUploadedFile(filePath);
-        throw new Error('File verification failed: ' + verificationError.message);
-      }
-      
+      verifyUploadedFile(req, req.file);
     } catch (processingError) {
       console.error('❌ File processing error:', processingError.message);
       
@@ -285,6 +328,47 @@ const uploadSingle = (req, res, next) => {
   });
 };
 
+// Upload multiple images for batch prediction. Files that fail verification are
+// removed from req.files and reported in req.fileErrors instead of failing the request.
+const uploadMultiple = (req, res, next) => {
+  const uploadHandler = batchUpload.array('images', MAX_BATCH_FILES);
+  req.maxUploadFiles = MAX_BATCH_FILES;
+  
+  uploadHandler(req, res, (err) => {
+    if (err) {
+      console.error('💥 Batch upload handler error:', err.message);
+      return next(err);
+    }
+    
+    req.fileErrors = req.fileErrors || [];
+    const verifiedFiles = [];
+    
+    (req.files || []).forEach(file => {
+      try {
+        verifyUploadedFile(req, file);
+        verifiedFiles.push(file);
+      } catch (processingError) {
+        console.error(`❌ Batch file processing error (${file.originalname}):`, processingError.message);
+        
+        if (file.path && fs.existsSync(file.path)) {
+          deleteUploadedFile(file.path);
+        }
+        
+        req.fileErrors.push({
+          originalName: file.originalname,
+          error: 'FILE_VERIFICATION_FAILED',
+          message: processingError.message
+        });
+      }
+    });
+    
+    req.files = verifiedFiles;
+    console.log(`📦 Batch upload: ${verifiedFiles.length} verified, ${req.fileErrors.length} rejected`);
+    
+    next();
+  });
+};
+
 // FIXED: Enhanced error handling with detailed error messages
 const handleUploadErrors = (err, req, res, next) => {
   console.error('🚨 Upload error handler triggered:', err.message);
@@ -295,6 +379,15 @@ const handleUploadErrors = (err, req, res, next) => {
     deleteUploadedFile(req.file.path);
   }
   
+  if (Array.isArray(req.files)) {
+    req.files.forEach(file => {
+      if (file.path && fs.existsSync(file.path)) {
+        console.log('🧹 Cleaning up file due to error:', file.path);
+        deleteUploadedFile(file.path);
+      }
+    });
+  }
+  
   // Handle Multer-specific errors
   if (err instanceof multer.MulterError) {
     switch (err.code) {
@@ -313,17 +406,21 @@ const handleUploadErrors = (err, req, res, next) => {
       case 'LIMIT_FILE_COUNT':
         return res.status(400).json({
           success: false,
-          message: 'Too many files. Only one file is allowed.',
+          message: req.maxUploadFiles
+            ? `Too many files. Maximum ${req.maxUploadFiles} files per batch.`
+            : 'Too many files. Only one file is allowed.',
           error: 'TOO_MANY_FILES',
-          maxFiles: 1
+          maxFiles: req.maxUploadFiles || 1
         });
         
       case 'LIMIT_UNEXPECTED_FILE':
         return res.status(400).json({
           success: false,
-          message: 'Unexpected file field. Use "image" field name.',
+          message: req.maxUploadFiles
+            ? 'Unexpected file field. Use "images" field name.'
+            : 'Unexpected file field. Use "image" field name.',
           error: 'UNEXPECTED_FIELD',
-          expectedField: 'image'
+          expectedField: req.maxUploadFiles ? 'images' : 'image'
         });
         
       case 'LIMIT_PART_COUNT':
@@ -461,8 +558,16 @@ const deleteUploadedFile = (filePath) => {
   }
 };
 
+// Optional async function returning a Set of filenames cleanup must keep
+// (e.g. annotated images); see setRetentionGuard
+let retentionGuard = null;
+
+const setRetentionGuard = (guard) => {
+  retentionGuard = guard;
+};
+
 // FIXED: Enhanced cleanup function with better statistics
-const cleanOldFiles = (maxAgeHours = 24) => {
+const cleanOldFiles = (maxAgeHours = 24, protectedFiles = new Set()) => {
   try {
     if (!fs.existsSync(uploadsDir)) {
       console.log('⚠️ Uploads directory does not exist for cleanup');
@@ -481,6 +586,7 @@ const cleanOldFiles = (maxAgeHours = 24) => {
     
     let deletedCount = 0;
     let totalFiles = 0;
+    let keptCount = 0;
     let errors = 0;
     let totalSize = 0;
     let freedSpace = 0;
@@ -508,7 +614,9 @@ const cleanOldFiles = (maxAgeHours = 24) => {
         const age = now - stats.mtime.getTime();
         const ageHours = age / (1000 * 60 * 60);
         
-        if (age > maxAge) {
+        if (age > maxAge && protectedFiles.has(file)) {
+          keptCount++;
+        } else if (age > maxAge) {
           const fileSize = stats.size;
           fs.unlinkSync(filePath);
           deletedCount++;
@@ -524,11 +632,16 @@ const cleanOldFiles = (maxAgeHours = 24) => {
     const result = {
       deleted: deletedCount,
       total: totalFiles,
+      protected: keptCount,
       errors: errors,
       totalSize: totalSize,
       freedSpace: freedSpace
     };
     
+    if (keptCount > 0) {
+      console.log(`🔒 Kept ${keptCount} old file(s) protected from retention cleanup`);
+    }
+    
     if (deletedCount > 0 || errors > 0) {
       console.log(`✅ Cleanup completed: ${deletedCount}/${totalFiles} files deleted, ${(freedSpace / 1024).toFixed(2)} KB freed, ${errors} errors`);
     } else {
@@ -549,18 +662,44 @@ const cleanOldFiles = (maxAgeHours = 24) => {
   }
 };
 
+// Cleanup that honours the retention guard. If the guard can't say which files
+// to keep, nothing is deleted this round.
+const runRetentionCleanup = async (maxAgeHours = 24) => {
+  let protectedFiles = new Set();
+  
+  if (retentionGuard) {
+    try {
+      protectedFiles = await retentionGuard();
+    } catch (error) {
+      console.error('⚠️ Retention guard failed, skipping cleanup:', error.message);
+      return {
+        deleted: 0,
+        total: 0,
+        protected: 0,
+        errors: 1,
+        totalSize: 0,
+        freedSpace: 0,
+        skipped: true,
+        error: error.message
+      };
+    }
+  }
+  
+  return cleanOldFiles(maxAgeHours, protectedFiles);
+};
+
 const startPeriodicCleanup = () => {
   console.log('🧹 Starting periodic file cleanup service...');
   
   setTimeout(() => {
     console.log('🧹 Running initial cleanup...');
-    cleanOldFiles(24);
+    runRetentionCleanup(24);
   }, 30000);
   
-  const cleanupInterval = setInterval(() => {
+  const cleanupInterval = setInterval(async () => {
     try {
       console.log('🧹 Running scheduled cleanup...');
-      const result = cleanOldFiles(24);
+      await runRetentionCleanup(24);
       
       // Log storage statistics
       if (fs.existsSync(uploadsDir)) {
@@ -684,10 +823,14 @@ const getUploadStats = () => {
 
 module.exports = {
   uploadSingle,
+  uploadMultiple,
   handleUploadErrors,
   deleteUploadedFile,
   cleanOldFiles,
+  runRetentionCleanup,
+  setRetentionGuard,
   startPeriodicCleanup,
   getUploadStats,
-  uploadsDir
+  uploadsDir,
+  MAX_BATCH_FILES
 };
\ No newline at end of file
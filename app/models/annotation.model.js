@@ -0,0 +1,67 @@
+// app/models/annotation.model.js - Lesion regions marked on a prediction's image
+const mongoose = require('mongoose');
+
+const AnnotationSchema = new mongoose.Schema({
+  predictionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Prediction',
+    required: true,
+    index: true
+  },
+  // File in the uploads directory; retention cleanup keeps annotated files
+  imageFilename: {
+    type: String,
+    required: true,
+    index: true
+  },
+  // Size of the (EXIF-rotated) image the coordinates refer to
+  imageWidth: {
+    type: Number,
+    required: true
+  },
+  imageHeight: {
+    type: Number,
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['bbox', 'polygon'],
+    required: true
+  },
+  // [x, y, width, height] in image pixels; for polygons, their bounding box
+  bbox: {
+    type: [Number],
+    required: true
+  },
+  // Flat [x1, y1, x2, y2, ...] polygon vertices (polygons only)
+  points: {
+    type: [Number],
+    default: undefined
+  },
+  area: Number,
+  label: {
+    type: String,
+    required: true,
+    index: true
+  },
+  note: {
+    type: String,
+    default: ''
+  },
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+const Annotation = mongoose.model('Annotation', AnnotationSchema);
+
+module.exports = Annotation;
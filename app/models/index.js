@@ -9,6 +9,7 @@ db.user = require("./user.model");
 db.role = require("./role.model");
 db.prediction = require("./prediction.model");
 db.blacklistedToken = require("./blacklistedToken.model");
+db.annotation = require("./annotation.model");
 
 db.ROLES = ["user", "admin", "moderator"];
 
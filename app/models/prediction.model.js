@@ -31,7 +31,13 @@ const PredictionSchema = new mongoose.Schema({
     originalName: String,
     size: Number,
     mimetype: String,
-    detectedFormat: String
+    detectedFormat: String,
+    sha256: {
+      type: String,
+      index: true
+    },
+    // dHash (16 hex chars) used to find near-duplicate photos
+    perceptualHash: String
   },
   predictedClass: {
     type: String,
@@ -44,10 +50,39 @@ const PredictionSchema = new mongoose.Schema({
     min: 0,
     max: 1
   },
+  rawConfidence: {
+    type: Number,
+    min: 0,
+    max: 1
+  },
   allPredictions: [{
     class: String,
-    confidence: Number
+    confidence: Number,
+    rawConfidence: Number
   }],
+  crop: {
+    type: String,
+    default: null,
+    index: true
+  },
+  condition: {
+    type: String,
+    default: null
+  },
+  isHealthy: {
+    type: Boolean,
+    default: null
+  },
+  cropProbability: {
+    type: Number,
+    min: 0,
+    max: 1
+  },
+  healthyProbability: {
+    type: Number,
+    min: 0,
+    max: 1
+  },
   predictionType: {
     type: String,
     enum: ['authenticated', 'anonymous'],
@@ -71,6 +106,247 @@ const PredictionSchema = new mongoose.Schema({
   notes: {
     type: String,
     default: ''
+  },
+  modelProvenance: {
+    version: {
+      type: String,
+      index: true
+    },
+    modelHash: String,
+    labelsHash: String,
+    preprocessing: {
+      inputSize: [Number],
+      resizeMode: String,
+      normalization: String,
+      mean: [Number],
+      std: [Number],
+      channelOrder: String
+    },
+    temperature: Number,
+    tfBackend: String,
+    modelLoaded: Boolean
+  },
+  cropConstraint: {
+    applied: {
+      type: Boolean,
+      default: false
+    },
+    crop: String,
+    massInCrop: Number,
+    unconstrainedClass: String
+  },
+  tta: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    augmentations: [String],
+    agreement: Number,
+    votes: [{
+      augmentation: String,
+      predictedClass: String
+    }]
+  },
+  explanation: {
+    method: String,
+    filename: String,
+    imageUrl: String,
+    targetClass: String,
+    gridSize: Number,
+    heatmap: [[Number]],
+    baseProbability: Number,
+    maxDrop: Number,
+    modelVersion: String,
+    processingTime: Number,
+    createdAt: Date
+  },
+  gate: {
+    decision: {
+      type: String,
+      enum: ['ACCEPTED', 'NOT_A_LEAF', 'UNCERTAIN'],
+      index: true
+    },
+    reasons: [String],
+    entropy: Number,
+    margin: Number,
+    leafRatio: Number,
+    massInCrop: Number,
+    thresholds: {
+      maxEntropy: Number,
+      minMargin: Number,
+      minLeafRatio: Number,
+      minMassInCrop: Number
+    }
+  },
+  // Produced by the development mock model, excluded from statistics
+  isMock: {
+    type: Boolean,
+    default: false,
+    index: true
+  },
+  batchId: {
+    type: String,
+    default: null,
+    index: true
+  },
+  // Photo quality scores from the upload check, kept to correlate quality with accuracy
+  quality: {
+    decision: {
+      type: String,
+      enum: ['ok', 'warning', 'rejected'],
+      index: true
+    },
+    sharpness: Number,
+    brightness: Number,
+    contrast: Number,
+    overexposedRatio: Number,
+    underexposedRatio: Number,
+    leafCoverage: Number,
+    issues: [{
+      code: String,
+      severity: String,
+      message: String
+    }]
+  },
+  // Leaf crop the model was run on; requested=false when the step was switched off
+  segmentation: {
+    requested: {
+      type: Boolean,
+      default: false,
+      index: true
+    },
+    applied: Boolean,
+    reason: String,
+    region: {
+      left: Number,
+      top: Number,
+      width: Number,
+      height: Number
+    },
+    coverage: Number,
+    threshold: Number,
+    filename: String,
+    imageUrl: String,
+    processingTime: Number
+  },
+  // Per-region results when a large photo was predicted as tiles or leaf regions
+  tiles: {
+    requested: {
+      type: Boolean,
+      default: false
+    },
+    applied: Boolean,
+    mode: {
+      type: String,
+      enum: ['grid', 'regions']
+    },
+    reason: String,
+    imageWidth: Number,
+    imageHeight: Number,
+    regions: [{
+      box: {
+        left: Number,
+        top: Number,
+        width: Number,
+        height: Number
+      },
+      leafCoverage: Number,
+      predictedClass: String,
+      confidence: Number,
+      rawConfidence: Number,
+      crop: String,
+      condition: String,
+      isHealthy: Boolean
+    }],
+    summary: {
+      regionCount: Number,
+      diseasedRegions: Number,
+      healthyRegions: Number,
+      classes: [{
+        class: String,
+        regions: Number,
+        maxConfidence: Number
+      }]
+    }
+  },
+  // Penultimate-layer activations (L2-normalized), comparable within one model version
+  embedding: {
+    vector: {
+      type: [Number],
+      select: false
+    },
+    modelVersion: {
+      type: String,
+      index: true
+    },
+    dimensions: Number
+  },
+  // Closest earlier prediction of the same user with a near-identical photo
+  nearDuplicateOf: {
+    predictionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Prediction',
+      default: null
+    },
+    distance: Number
+  },
+  // Owner's verdict on the result; every resubmission bumps the version and
+  // keeps the previous verdict in history
+  feedback: {
+    version: Number,
+    isCorrect: {
+      type: Boolean,
+      index: true
+    },
+    trueLabel: String,
+    comment: String,
+    submittedAt: Date,
+    history: [{
+      version: Number,
+      isCorrect: Boolean,
+      trueLabel: String,
+      comment: String,
+      submittedAt: Date
+    }]
+  },
+  // Expert review queue: low-confidence, disputed or flagged predictions
+  review: {
+    status: {
+      type: String,
+      enum: ['pending', 'claimed', 'confirmed', 'relabeled'],
+      index: true
+    },
+    reasons: [{
+      type: String,
+      enum: ['LOW_CONFIDENCE', 'DISPUTED', 'FLAGGED']
+    }],
+    flagNote: String,
+    queuedAt: Date,
+    dueAt: Date,
+    claimedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    claimedAt: Date,
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reviewedAt: Date,
+    verdictLabel: String,
+    note: String
+  },
+  // Set when the result was served from the result cache instead of a new inference
+  cache: {
+    hit: {
+      type: Boolean,
+      default: false
+    },
+    sourcePredictionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Prediction',
+      default: null
+    }
   }
 }, {
   timestamps: true
@@ -82,6 +358,8 @@ PredictionSchema.index({ createdAt: -1 });
 PredictionSchema.index({ predictedClass: 1, createdAt: -1 });
 PredictionSchema.index({ predictionType: 1, createdAt: -1 });
 PredictionSchema.index({ storageType: 1 });
+PredictionSchema.index({ crop: 1, createdAt: -1 });
+PredictionSchema.index({ 'review.status': 1, 'review.dueAt': 1 });
 
 // Virtual for image access URLs
 PredictionSchema.virtual('imageAccessUrls').get(function() {
@@ -0,0 +1,47 @@
+// app/routes/annotation.routes.js
+const { authJwt } = require("../middleware");
+const controller = require("../controllers/annotation.controller");
+
+module.exports = function(app) {
+  app.use(function(req, res, next) {
+    res.header(
+      "Access-Control-Allow-Headers",
+      "x-access-token, Origin, Content-Type, Accept"
+    );
+    next();
+  });
+
+  // Moderator: all annotations as COCO JSON
+  app.get(
+    "/api/annotations/export/coco",
+    [authJwt.verifyToken, authJwt.isModeratorOrAdmin],
+    controller.exportCoco
+  );
+
+  // Owner, moderator or admin: a prediction's annotations
+  app.get(
+    "/api/predictions/:id/annotations",
+    [authJwt.verifyToken, authJwt.attachRoles],
+    controller.listAnnotations
+  );
+
+  // Moderator: mark lesions on a prediction's image
+  app.post(
+    "/api/predictions/:id/annotations",
+    [authJwt.verifyToken, authJwt.isModeratorOrAdmin],
+    controller.createAnnotation
+  );
+
+  // Author or admin: change or remove an annotation
+  app.put(
+    "/api/annotations/:annotationId",
+    [authJwt.verifyToken, authJwt.isModeratorOrAdmin, authJwt.attachRoles],
+    controller.updateAnnotation
+  );
+
+  app.delete(
+    "/api/annotations/:annotationId",
+    [authJwt.verifyToken, authJwt.isModeratorOrAdmin, authJwt.attachRoles],
+    controller.deleteAnnotation
+  );
+};
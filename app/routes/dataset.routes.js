@@ -0,0 +1,20 @@
+// app/routes/dataset.routes.js
+const { authJwt } = require("../middleware");
+const controller = require("../controllers/dataset.controller");
+
+module.exports = function(app) {
+  app.use(function(req, res, next) {
+    res.header(
+      "Access-Control-Allow-Headers",
+      "x-access-token, Origin, Content-Type, Accept"
+    );
+    next();
+  });
+
+  // Admin: training dataset export (streamed zip)
+  app.get(
+    "/api/admin/dataset/export",
+    [authJwt.verifyToken, authJwt.isAdmin],
+    controller.exportDataset
+  );
+};
@@ -0,0 +1,38 @@
+// app/routes/model.routes.js
+const { authJwt } = require("../middleware");
+const controller = require("../controllers/model.controller");
+
+module.exports = function(app) {
+  app.use(function(req, res, next) {
+    res.header(
+      "Access-Control-Allow-Headers",
+      "x-access-token, Origin, Content-Type, Accept"
+    );
+    next();
+  });
+
+  // Admin: model registry
+  app.get(
+    "/api/admin/models",
+    [authJwt.verifyToken, authJwt.isAdmin],
+    controller.listModels
+  );
+
+  app.post(
+    "/api/admin/models/rollback",
+    [authJwt.verifyToken, authJwt.isAdmin],
+    controller.rollbackModel
+  );
+
+  app.post(
+    "/api/admin/models/calibrate",
+    [authJwt.verifyToken, authJwt.isAdmin],
+    controller.calibrateModel
+  );
+
+  app.post(
+    "/api/admin/models/:version/activate",
+    [authJwt.verifyToken, authJwt.isAdmin],
+    controller.activateModel
+  );
+};
@@ -1,4 +1,4 @@
-const { authJwt, optionalAuth, uploadSingle, handleUploadErrors } = require("../middleware");
+const { authJwt, optionalAuth, uploadSingle, uploadMultiple, handleUploadErrors, checkImageQuality } = require("../middleware");
 const controller = require("../controllers/prediction.controller");
 
 module.exports = function(app) {
@@ -16,10 +16,24 @@ module.exports = function(app) {
   // Create prediction (dapat diakses tanpa login)
   app.post(
     "/api/predict",
-    [optionalAuth, uploadSingle, handleUploadErrors],
+    [optionalAuth, uploadSingle, handleUploadErrors, checkImageQuality],
     controller.predictPlantDisease
   );
 
+  // Batch prediction for multiple images (dapat diakses tanpa login)
+  app.post(
+    "/api/predict/batch",
+    [optionalAuth, uploadMultiple, handleUploadErrors],
+    controller.predictBatch
+  );
+
+  // Status of an async prediction job (POST /api/predict?async=true)
+  app.get(
+    "/api/predict/jobs/:id",
+    [optionalAuth],
+    controller.getPredictionJob
+  );
+
   // Get prediction history (butuh login)
   app.get(
     "/api/predictions/history",
@@ -27,6 +41,20 @@ module.exports = function(app) {
     controller.getPredictionHistory
   );
 
+  // Group near-duplicate photos in the user's history (butuh login)
+  app.get(
+    "/api/predictions/duplicates",
+    [authJwt.verifyToken],
+    controller.getNearDuplicateGroups
+  );
+
+  // Get prediction statistics (admin only; registered before /:id)
+  app.get(
+    "/api/predictions/stats",
+    [authJwt.verifyToken, authJwt.isAdmin],
+    controller.getPredictionStats
+  );
+
   // Get prediction detail by ID (butuh login)
   app.get(
     "/api/predictions/:id",
@@ -34,6 +62,34 @@ module.exports = function(app) {
     controller.getPredictionDetail
   );
 
+  // Occlusion heatmap for a prediction (butuh login)
+  app.get(
+    "/api/predictions/:id/explanation",
+    [authJwt.verifyToken],
+    controller.getPredictionExplanation
+  );
+
+  // Past cases that look like this one (butuh login; admin searches all users)
+  app.get(
+    "/api/predictions/:id/similar",
+    [authJwt.verifyToken, authJwt.attachRoles],
+    controller.getSimilarPredictions
+  );
+
+  // Mark a prediction correct or incorrect (butuh login, owner only)
+  app.post(
+    "/api/predictions/:id/feedback",
+    [authJwt.verifyToken],
+    controller.submitPredictionFeedback
+  );
+
+  // Ask for an expert review of a prediction (butuh login, owner only)
+  app.post(
+    "/api/predictions/:id/flag",
+    [authJwt.verifyToken],
+    controller.flagPredictionForReview
+  );
+
   // Delete prediction by ID (butuh login)
   app.delete(
     "/api/predictions/:id",
@@ -49,13 +105,6 @@ module.exports = function(app) {
     controller.getAllPredictions
   );
 
-  // Get prediction statistics (admin only)
-  app.get(
-    "/api/predictions/stats",
-    [authJwt.verifyToken, authJwt.isAdmin],
-    controller.getPredictionStats
-  );
-
   // Delete any prediction (admin only)
   app.delete(
     "/api/admin/predictions/:id",
@@ -0,0 +1,45 @@
+// app/routes/review.routes.js
+const { authJwt } = require("../middleware");
+const controller = require("../controllers/review.controller");
+
+module.exports = function(app) {
+  app.use(function(req, res, next) {
+    res.header(
+      "Access-Control-Allow-Headers",
+      "x-access-token, Origin, Content-Type, Accept"
+    );
+    next();
+  });
+
+  // Moderator: expert review queue
+  app.get(
+    "/api/review/queue",
+    [authJwt.verifyToken, authJwt.isModeratorOrAdmin],
+    controller.getReviewQueue
+  );
+
+  app.post(
+    "/api/review/:id/claim",
+    [authJwt.verifyToken, authJwt.isModeratorOrAdmin],
+    controller.claimReviewItem
+  );
+
+  app.post(
+    "/api/review/:id/release",
+    [authJwt.verifyToken, authJwt.isModeratorOrAdmin],
+    controller.releaseReviewItem
+  );
+
+  app.post(
+    "/api/review/:id/verdict",
+    [authJwt.verifyToken, authJwt.isModeratorOrAdmin],
+    controller.submitReviewVerdict
+  );
+
+  // Admin: active-learning labeling batch
+  app.get(
+    "/api/admin/labeling/batch",
+    [authJwt.verifyToken, authJwt.isAdmin],
+    controller.getLabelingBatch
+  );
+};
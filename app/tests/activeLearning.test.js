@@ -0,0 +1,52 @@
+const { rankCandidates, parseWeights, registerStrategy } = require("../utils/activeLearning");
+
+describe("Active Learning Tests", () => {
+  const candidates = [
+    { id: "c", predictedClass: "Tomato__healthy", probabilities: [0.9, 0.05, 0.05], ttaAgreement: 1 },
+    { id: "a", predictedClass: "Tomato__healthy", probabilities: [0.4, 0.35, 0.25], ttaAgreement: 0.6 },
+    { id: "b", predictedClass: "Tomato__late_blight", probabilities: [0.5, 0.3, 0.2], ttaAgreement: null },
+    { id: "d", predictedClass: "Tomato__healthy", probabilities: [0.4, 0.35, 0.25], ttaAgreement: 0.6 }
+  ];
+
+  it("should rank the most uncertain candidates first", () => {
+    const ranked = rankCandidates(candidates, "entropy", { size: 4 });
+
+    expect(ranked.map(entry => entry.rank)).toEqual([1, 2, 3, 4]);
+    expect(ranked[ranked.length - 1].candidate.id).toBe("c");
+    expect(ranked[0].score).toBeGreaterThan(ranked[3].score);
+  });
+
+  it("should break ties by id", () => {
+    const ranked = rankCandidates(candidates, "entropy", { size: 2 });
+
+    expect(ranked[0].score).toBe(ranked[1].score);
+    expect(ranked.map(entry => entry.candidate.id)).toEqual(["a", "d"]);
+  });
+
+  it("should return the same batch whatever the input order", () => {
+    const forward = rankCandidates(candidates, "combined", { size: 3 });
+    const reversed = rankCandidates(candidates.slice().reverse(), "combined", { size: 3 });
+
+    expect(reversed).toEqual(forward);
+  });
+
+  it("should score the rarest predicted class highest for classRarity", () => {
+    const ranked = rankCandidates(candidates, "classRarity", { size: 1 });
+
+    expect(ranked[0].candidate.id).toBe("b");
+    expect(ranked[0].signals.classRarity).toBe(1);
+  });
+
+  it("should parse weights and reject unknown signals", () => {
+    expect(parseWeights("entropy:2, classRarity:1")).toEqual({ entropy: 2, classRarity: 1 });
+    expect(parseWeights("entropy:-1")).toBeNull();
+    expect(parseWeights("novelty:1")).toBeNull();
+  });
+
+  it("should rank with a registered strategy and refuse unknown ones", () => {
+    registerStrategy("constant", "Same score for every candidate", () => 0);
+
+    expect(rankCandidates(candidates, "constant", { size: 1 })[0].candidate.id).toBe("a");
+    expect(() => rankCandidates(candidates, "missing")).toThrow("Unknown active-learning strategy");
+  });
+});
@@ -0,0 +1,136 @@
+const { normalizeGeometry, polygonArea, toCoco } = require("../utils/annotations");
+
+describe("Annotation Geometry Tests", () => {
+  it("should accept a bbox inside the image and compute its area", () => {
+    expect(normalizeGeometry({ type: "bbox", bbox: [10, 20, 30.456, 40] }, 100, 100)).toEqual({
+      type: "bbox",
+      bbox: [10, 20, 30.46, 40],
+      points: undefined,
+      area: 1218.24
+    });
+  });
+
+  it("should accept a bbox touching the image edges", () => {
+    expect(normalizeGeometry({ type: "bbox", bbox: [0, 0, 100, 50] }, 100, 50).error).toBeUndefined();
+  });
+
+  it("should reject bboxes that leave the image or have no size", () => {
+    expect(normalizeGeometry({ type: "bbox", bbox: [90, 10, 20, 10] }, 100, 100).error).toMatch("inside the 100x100 image");
+    expect(normalizeGeometry({ type: "bbox", bbox: [-1, 0, 10, 10] }, 100, 100).error).toBeDefined();
+    expect(normalizeGeometry({ type: "bbox", bbox: [10, 10, 0, 10] }, 100, 100).error).toBeDefined();
+    expect(normalizeGeometry({ type: "bbox", bbox: [10, 10, 10] }, 100, 100).error).toMatch("[x, y, width, height]");
+    expect(normalizeGeometry({ type: "bbox", bbox: [10, "10", 10, 10] }, 100, 100).error).toBeDefined();
+  });
+
+  it("should derive a polygon's bbox and shoelace area", () => {
+    const geometry = normalizeGeometry({ type: "polygon", points: [10, 10, 50, 10, 50, 30] }, 100, 100);
+
+    expect(geometry.bbox).toEqual([10, 10, 40, 20]);
+    expect(geometry.area).toBe(400);
+    expect(polygonArea([0, 0, 10, 0, 10, 10, 0, 10])).toBe(100);
+  });
+
+  it("should reject polygons outside the image, too short or without area", () => {
+    expect(normalizeGeometry({ type: "polygon", points: [10, 10, 150, 10, 50, 30] }, 100, 100).error).toMatch("All points");
+    expect(normalizeGeometry({ type: "polygon", points: [10, 10, 50, 10] }, 100, 100).error).toMatch("at least 3 vertices");
+    expect(normalizeGeometry({ type: "polygon", points: [10, 10, 20, 20, 30, 30] }, 100, 100).error).toBe("The polygon has no area");
+  });
+
+  it("should reject unknown annotation types", () => {
+    expect(normalizeGeometry({ type: "circle" }, 100, 100).error).toMatch("type must be one of");
+  });
+});
+
+describe("COCO Export Tests", () => {
+  const annotations = [
+    {
+      _id: "a1",
+      predictionId: "p1",
+      imageFilename: "leaf-1.jpg",
+      imageWidth: 640,
+      imageHeight: 480,
+      type: "bbox",
+      bbox: [10, 20, 30, 40],
+      area: 1200,
+      label: "Tomato__late_blight",
+      author: "u1",
+      note: "edge lesion"
+    },
+    {
+      _id: "a2",
+      predictionId: "p1",
+      imageFilename: "leaf-1.jpg",
+      imageWidth: 640,
+      imageHeight: 480,
+      type: "polygon",
+      bbox: [10, 10, 40, 20],
+      points: [10, 10, 50, 10, 50, 30],
+      area: 400,
+      label: "Chili__leaf curl",
+      author: "u2"
+    },
+    {
+      _id: "a3",
+      predictionId: "p2",
+      imageFilename: "leaf-2.jpg",
+      imageWidth: 800,
+      imageHeight: 600,
+      type: "bbox",
+      bbox: [0, 0, 5, 5],
+      area: 25,
+      label: "Tomato__late_blight",
+      author: "u1"
+    }
+  ];
+  const predictionsById = new Map([
+    ["p1", { predictedClass: "Tomato__late_blight", createdAt: "2024-01-01T00:00:00.000Z" }]
+  ]);
+
+  it("should build sorted categories with the crop as supercategory", () => {
+    expect(toCoco(annotations, predictionsById).categories).toEqual([
+      { id: 1, name: "Chili__leaf curl", supercategory: "Chili" },
+      { id: 2, name: "Tomato__late_blight", supercategory: "Tomato" }
+    ]);
+  });
+
+  it("should list each image file once and link annotations to it", () => {
+    const coco = toCoco(annotations, predictionsById);
+
+    expect(coco.images).toEqual([
+      {
+        id: 1,
+        file_name: "leaf-1.jpg",
+        width: 640,
+        height: 480,
+        date_captured: "2024-01-01T00:00:00.000Z",
+        prediction_id: "p1",
+        predicted_class: "Tomato__late_blight"
+      },
+      {
+        id: 2,
+        file_name: "leaf-2.jpg",
+        width: 800,
+        height: 600,
+        date_captured: null,
+        prediction_id: "p2",
+        predicted_class: null
+      }
+    ]);
+    expect(coco.annotations.map(annotation => [annotation.id, annotation.image_id, annotation.category_id]))
+      .toEqual([[1, 1, 2], [2, 1, 1], [3, 2, 2]]);
+  });
+
+  it("should use the rectangle of a bbox and the points of a polygon as segmentation", () => {
+    const [bbox, polygon] = toCoco(annotations, predictionsById).annotations;
+
+    expect(bbox).toMatchObject({
+      bbox: [10, 20, 30, 40],
+      segmentation: [[10, 20, 40, 20, 40, 60, 10, 60]],
+      area: 1200,
+      iscrowd: 0,
+      attributes: { annotation_id: "a1", type: "bbox", author: "u1", note: "edge lesion" }
+    });
+    expect(polygon.segmentation).toEqual([[10, 10, 50, 10, 50, 30]]);
+    expect(polygon.attributes.note).toBe("");
+  });
+});
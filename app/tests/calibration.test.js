@@ -0,0 +1,75 @@
+const { applyTemperature, fitTemperature } = require("../utils/calibration");
+
+describe("Calibration Tests", () => {
+  // Small seeded generator so the synthetic dataset is the same on every run
+  const createRandom = (seed) => {
+    let state = seed;
+    return () => {
+      state = (state * 1664525 + 1013904223) % 4294967296;
+      return state / 4294967296;
+    };
+  };
+
+  const softmax = (logits) => {
+    const max = Math.max(...logits);
+    const exps = logits.map(logit => Math.exp(logit - max));
+    const sum = exps.reduce((total, value) => total + value, 0);
+    return exps.map(value => value / sum);
+  };
+
+  // Labels are drawn from softmax(z); the "model" reports softmax(z * T), so
+  // dividing its log-probabilities by T gives back the true distribution
+  const overconfidentSamples = (temperature, count, classes, seed) => {
+    const random = createRandom(seed);
+
+    return Array.from({ length: count }, () => {
+      const logits = Array.from({ length: classes }, () => random() * 4 - 2);
+      const truth = softmax(logits);
+
+      let draw = random();
+      let labelIndex = classes - 1;
+      for (let i = 0; i < classes; i++) {
+        draw -= truth[i];
+        if (draw < 0) {
+          labelIndex = i;
+          break;
+        }
+      }
+
+      return { probabilities: softmax(logits.map(logit => logit * temperature)), labelIndex };
+    });
+  };
+
+  it("should leave probabilities unchanged at temperature 1", () => {
+    expect(applyTemperature([0.7, 0.2, 0.1], 1)).toEqual([0.7, 0.2, 0.1]);
+  });
+
+  it("should soften probabilities above temperature 1", () => {
+    const softened = applyTemperature([0.7, 0.2, 0.1], 2);
+
+    expect(softened[0]).toBeLessThan(0.7);
+    expect(softened[2]).toBeGreaterThan(0.1);
+    expect(softened.reduce((sum, p) => sum + p, 0)).toBeCloseTo(1);
+  });
+
+  it("should recover the temperature of an overconfident model", () => {
+    const result = fitTemperature(overconfidentSamples(2.5, 4000, 4, 42));
+
+    expect(result.temperature).toBeGreaterThan(2.2);
+    expect(result.temperature).toBeLessThan(2.8);
+    expect(result.nllAfter).toBeLessThan(result.nllBefore);
+    expect(result.eceAfter).toBeLessThan(result.eceBefore);
+    expect(result.samples).toBe(4000);
+  });
+
+  it("should keep a calibrated model close to temperature 1", () => {
+    const result = fitTemperature(overconfidentSamples(1, 4000, 4, 7));
+
+    expect(result.temperature).toBeGreaterThan(0.85);
+    expect(result.temperature).toBeLessThan(1.15);
+  });
+
+  it("should refuse to fit without samples", () => {
+    expect(() => fitTemperature([])).toThrow("No calibration samples");
+  });
+});
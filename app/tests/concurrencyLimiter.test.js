@@ -0,0 +1,88 @@
+const { ConcurrencyLimiter } = require("../utils/concurrencyLimiter");
+
+describe("Concurrency Limiter Tests", () => {
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it("should grant free slots and hand released slots to waiters in order", async () => {
+    const limiter = new ConcurrencyLimiter({ maxConcurrent: 2, maxQueued: 5, maxWaitMs: 0 });
+    const first = await limiter.acquire();
+    await limiter.acquire();
+
+    const order = [];
+    const third = limiter.acquire().then(release => { order.push("third"); return release; });
+    const fourth = limiter.acquire().then(release => { order.push("fourth"); return release; });
+    expect(limiter.getStats()).toMatchObject({ active: 2, queued: 2 });
+
+    first();
+    first();
+    (await third)();
+    await fourth;
+
+    expect(order).toEqual(["third", "fourth"]);
+    expect(limiter.getStats()).toMatchObject({ active: 2, queued: 0, completed: 2 });
+  });
+
+  it("should reject with the queue position and Retry-After when the queue is full", async () => {
+    const limiter = new ConcurrencyLimiter({
+      maxConcurrent: 1,
+      maxQueued: 2,
+      maxWaitMs: 0,
+      initialDurationMs: 2000
+    });
+    await limiter.acquire();
+    limiter.acquire();
+    limiter.acquire();
+
+    await expect(limiter.acquire()).rejects.toMatchObject({
+      code: "LIMIT_QUEUE_FULL",
+      queuePosition: 3,
+      queueLength: 2,
+      retryAfter: 6
+    });
+    expect(limiter.getStats().rejected).toBe(1);
+  });
+
+  it("should estimate at least one second and count rounds of concurrent slots", () => {
+    const limiter = new ConcurrencyLimiter({ maxConcurrent: 2, initialDurationMs: 1500 });
+
+    expect(limiter.estimateWaitSeconds(1)).toBe(2);
+    expect(limiter.estimateWaitSeconds(3)).toBe(3);
+    expect(new ConcurrencyLimiter({ initialDurationMs: 10 }).estimateWaitSeconds(1)).toBe(1);
+  });
+
+  it("should reject a waiter that gets no slot within maxWaitMs", async () => {
+    jest.useFakeTimers();
+    const limiter = new ConcurrencyLimiter({
+      maxConcurrent: 1,
+      maxQueued: 5,
+      maxWaitMs: 1000,
+      initialDurationMs: 2000
+    });
+    await limiter.acquire();
+    const waiting = limiter.acquire();
+
+    jest.advanceTimersByTime(1000);
+
+    await expect(waiting).rejects.toMatchObject({
+      code: "LIMIT_WAIT_TIMEOUT",
+      queuePosition: 1,
+      retryAfter: 2
+    });
+    expect(limiter.getStats()).toMatchObject({ queued: 0, waitTimeouts: 1 });
+  });
+
+  it("should not time out a waiter that got its slot", async () => {
+    jest.useFakeTimers();
+    const limiter = new ConcurrencyLimiter({ maxConcurrent: 1, maxQueued: 5, maxWaitMs: 1000 });
+    const release = await limiter.acquire();
+    const waiting = limiter.acquire();
+
+    release();
+    jest.advanceTimersByTime(5000);
+
+    await expect(waiting).resolves.toEqual(expect.any(Function));
+    expect(limiter.getStats()).toMatchObject({ active: 1, waitTimeouts: 0 });
+  });
+});
@@ -0,0 +1,56 @@
+const { assignSplits, summarizeSplits, parseSplitRatios, toCsv } = require("../utils/datasetExport");
+
+describe("Dataset Export Tests", () => {
+  const makeItems = () => [
+    ...Array.from({ length: 20 }, (_, i) => ({ id: `tomato-${i}`, label: "Tomato__late_blight" })),
+    ...Array.from({ length: 10 }, (_, i) => ({ id: `chili-${i}`, label: "Chili__healthy" }))
+  ];
+
+  it("should keep the split ratios within every label", () => {
+    const summary = summarizeSplits(assignSplits(makeItems(), [0.8, 0.1, 0.1], "seed"));
+
+    expect(summary.train.labels).toEqual({ "Tomato__late_blight": 16, "Chili__healthy": 8 });
+    expect(summary.val.labels).toEqual({ "Tomato__late_blight": 2, "Chili__healthy": 1 });
+    expect(summary.test.labels).toEqual({ "Tomato__late_blight": 2, "Chili__healthy": 1 });
+  });
+
+  it("should give the same split for the same seed whatever the input order", () => {
+    const splitsById = (items) => Object.fromEntries(items.map(item => [item.id, item.split]));
+
+    const first = splitsById(assignSplits(makeItems(), [0.8, 0.1, 0.1], "seed"));
+    const reversed = splitsById(assignSplits(makeItems().reverse(), [0.8, 0.1, 0.1], "seed"));
+    const otherSeed = splitsById(assignSplits(makeItems(), [0.8, 0.1, 0.1], "other"));
+
+    expect(reversed).toEqual(first);
+    expect(otherSeed).not.toEqual(first);
+  });
+
+  it("should put a single item of a label in train", () => {
+    const [item] = assignSplits([{ id: "only", label: "Rice__brown_spot" }]);
+
+    expect(item.split).toBe("train");
+  });
+
+  it("should normalize split ratios and reject invalid ones", () => {
+    expect(parseSplitRatios("8,1,1")).toEqual([0.8, 0.1, 0.1]);
+    expect(parseSplitRatios("0.5,0.5")).toBeNull();
+    expect(parseSplitRatios("0.9,-0.1,0.2")).toBeNull();
+    expect(parseSplitRatios("0,0,0")).toBeNull();
+  });
+
+  it("should quote CSV values with commas, quotes and newlines", () => {
+    const csv = toCsv([
+      { path: "a.jpg", label: "Chili__leaf curl", note: "spots, yellow" },
+      { path: "b.jpg", label: "say \"hi\"", note: "line1\nline2" },
+      { path: "c.jpg", label: null, note: new Date("2024-01-02T03:04:05.000Z") }
+    ], ["path", "label", "note"]);
+
+    expect(csv).toBe([
+      "path,label,note",
+      "a.jpg,Chili__leaf curl,\"spots, yellow\"",
+      "b.jpg,\"say \"\"hi\"\"\",\"line1\nline2\"",
+      "c.jpg,,2024-01-02T03:04:05.000Z",
+      ""
+    ].join("\n"));
+  });
+});
@@ -0,0 +1,237 @@
+// measureLuminance reads pixels through sharp; the mock hands it a small raw greyscale image instead
+let mockImage = { data: Buffer.alloc(0), width: 0, height: 0 };
+const mockResize = jest.fn();
+jest.mock("sharp", () => jest.fn(() => {
+  const pipeline = {
+    rotate: () => pipeline,
+    greyscale: () => pipeline,
+    resize: (...args) => {
+      mockResize(...args);
+      return pipeline;
+    },
+    raw: () => pipeline,
+    toBuffer: async () => ({
+      data: mockImage.data,
+      info: { width: mockImage.width, height: mockImage.height, channels: 1 }
+    })
+  };
+  return pipeline;
+}));
+jest.mock("../utils/oodGate", () => ({ checkLeaf: jest.fn() }));
+jest.mock("../middleware/upload", () => ({ deleteUploadedFile: jest.fn() }));
+
+const { checkLeaf } = require("../utils/oodGate");
+const { deleteUploadedFile } = require("../middleware/upload");
+const { QUALITY_CONFIG, SEVERITY, measureLuminance, findIssues, assessImageQuality } = require("../utils/imageQuality");
+const { checkImageQuality } = require("../middleware/imageQuality");
+
+const flat = (value, size = 8) => ({ data: Buffer.alloc(size * size, value), width: size, height: size });
+
+const checkerboard = (dark, light, size = 8) => ({
+  data: Buffer.from(Array.from({ length: size * size }, (_, i) => ((i % size) + Math.floor(i / size)) % 2 ? light : dark)),
+  width: size,
+  height: size
+});
+
+const goodScores = {
+  sharpness: 500,
+  brightness: 120,
+  contrast: 60,
+  overexposedRatio: 0,
+  underexposedRatio: 0,
+  leafCoverage: 0.6
+};
+
+const codes = (issues) => issues.map(issue => `${issue.code}:${issue.severity}`);
+
+describe("Image Quality Tests", () => {
+  beforeEach(() => {
+    mockResize.mockClear();
+    checkLeaf.mockResolvedValue({ leafRatio: 0.6 });
+  });
+
+  it("should measure brightness, contrast and sharpness of a greyscale image", async () => {
+    mockImage = checkerboard(60, 180);
+
+    const scores = await measureLuminance("leaf.jpg");
+
+    expect(scores.brightness).toBe(120);
+    expect(scores.contrast).toBe(60);
+    // Every interior pixel differs from its 4 neighbours by 120 (+480 or -480)
+    expect(scores.sharpness).toBe(480 * 480);
+    expect(scores.overexposedRatio).toBe(0);
+    expect(scores.underexposedRatio).toBe(0);
+  });
+
+  it("should find no sharpness or contrast in a flat image", async () => {
+    mockImage = flat(128);
+
+    const scores = await measureLuminance("flat.jpg");
+
+    expect(scores).toMatchObject({ sharpness: 0, brightness: 128, contrast: 0 });
+  });
+
+  it("should count clipped pixels at both ends", async () => {
+    mockImage = checkerboard(0, 255);
+
+    const scores = await measureLuminance("clipped.jpg");
+
+    expect(scores.overexposedRatio).toBe(0.5);
+    expect(scores.underexposedRatio).toBe(0.5);
+  });
+
+  it("should analyse a downsized copy without enlarging small photos", async () => {
+    mockImage = flat(128);
+
+    await measureLuminance("photo.jpg");
+
+    expect(mockResize).toHaveBeenCalledWith(512, 512, { fit: "inside", withoutEnlargement: true });
+  });
+
+  it("should report nothing for good scores", () => {
+    expect(findIssues(goodScores)).toEqual([]);
+  });
+
+  it("should warn about a soft photo and reject a very blurry one", () => {
+    expect(codes(findIssues({ ...goodScores, sharpness: QUALITY_CONFIG.minSharpness }))).toEqual([]);
+    expect(codes(findIssues({ ...goodScores, sharpness: 50 }))).toEqual(["BLURRY:warning"]);
+    expect(codes(findIssues({ ...goodScores, sharpness: QUALITY_CONFIG.rejectSharpness }))).toEqual(["BLURRY:warning"]);
+    expect(codes(findIssues({ ...goodScores, sharpness: 5 }))).toEqual(["BLURRY:reject"]);
+  });
+
+  it("should warn about dark or bright photos and reject extreme ones", () => {
+    expect(codes(findIssues({ ...goodScores, brightness: 40 }))).toEqual(["TOO_DARK:warning"]);
+    expect(codes(findIssues({ ...goodScores, brightness: 20 }))).toEqual(["TOO_DARK:reject"]);
+    expect(codes(findIssues({ ...goodScores, brightness: 220 }))).toEqual(["TOO_BRIGHT:warning"]);
+    expect(codes(findIssues({ ...goodScores, brightness: 240 }))).toEqual(["TOO_BRIGHT:reject"]);
+  });
+
+  it("should only warn about low contrast, clipping and leaf coverage short of the hard limits", () => {
+    const issues = findIssues({
+      ...goodScores,
+      contrast: 15,
+      overexposedRatio: 0.3,
+      underexposedRatio: 0.3,
+      leafCoverage: 0.1
+    });
+
+    expect(codes(issues)).toEqual([
+      "LOW_CONTRAST:warning",
+      "OVEREXPOSED:warning",
+      "UNDEREXPOSED:warning",
+      "LOW_LEAF_COVERAGE:warning"
+    ]);
+    expect(issues.every(issue => typeof issue.message === "string")).toBe(true);
+    expect(findIssues({ ...goodScores, leafCoverage: null })).toEqual([]);
+  });
+
+  it("should downgrade rejections to warnings when rejecting is turned off", () => {
+    const issues = findIssues({ ...goodScores, sharpness: 5, contrast: 5 }, { ...QUALITY_CONFIG, rejectEnabled: false });
+
+    expect(issues.map(issue => issue.severity)).toEqual([SEVERITY.WARNING, SEVERITY.WARNING]);
+  });
+
+  it("should score a sharp, well exposed photo as ok", async () => {
+    mockImage = checkerboard(60, 180);
+
+    const quality = await assessImageQuality("leaf.jpg");
+
+    expect(quality).toMatchObject({ decision: "ok", brightness: 120, contrast: 60, leafCoverage: 0.6, issues: [] });
+  });
+
+  it("should give a warning decision and skip leaf coverage when that check fails", async () => {
+    mockImage = checkerboard(60, 180);
+    checkLeaf.mockResolvedValue({ leafRatio: 0.05 });
+    expect((await assessImageQuality("small-leaf.jpg")).decision).toBe("warning");
+
+    const consoleError = jest.spyOn(console, "error").mockImplementation(() => {});
+    checkLeaf.mockRejectedValue(new Error("decode failed"));
+    const quality = await assessImageQuality("leaf.jpg");
+    consoleError.mockRestore();
+
+    expect(quality.leafCoverage).toBeNull();
+    expect(quality.decision).toBe("ok");
+  });
+
+  it("should reject a flat, featureless photo", async () => {
+    mockImage = flat(128);
+
+    const quality = await assessImageQuality("blank.jpg");
+
+    expect(quality.decision).toBe("rejected");
+    expect(codes(quality.issues)).toEqual(["BLURRY:reject", "LOW_CONTRAST:reject"]);
+  });
+});
+
+describe("Image Quality Middleware Tests", () => {
+  let consoleLog;
+
+  const createRes = () => {
+    const res = {};
+    res.status = jest.fn(() => res);
+    res.json = jest.fn(() => res);
+    return res;
+  };
+
+  beforeEach(() => {
+    deleteUploadedFile.mockClear();
+    checkLeaf.mockResolvedValue({ leafRatio: 0.6 });
+    consoleLog = jest.spyOn(console, "log").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    consoleLog.mockRestore();
+  });
+
+  it("should attach the scores and continue for a usable photo", async () => {
+    mockImage = checkerboard(60, 180);
+    const req = { file: { path: "uploads/leaf.jpg" } };
+    const res = createRes();
+    const next = jest.fn();
+
+    await checkImageQuality(req, res, next);
+
+    expect(next).toHaveBeenCalled();
+    expect(res.status).not.toHaveBeenCalled();
+    expect(req.file.quality.decision).toBe("ok");
+  });
+
+  it("should delete a rejected upload and answer 422 with the issues", async () => {
+    mockImage = flat(128);
+    const req = { file: { path: "uploads/blank.jpg" } };
+    const res = createRes();
+    const next = jest.fn();
+
+    await checkImageQuality(req, res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(deleteUploadedFile).toHaveBeenCalledWith("uploads/blank.jpg");
+    expect(res.status).toHaveBeenCalledWith(422);
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+      success: false,
+      error: "IMAGE_QUALITY",
+      quality: expect.objectContaining({ decision: "rejected" })
+    }));
+  });
+
+  it("should let the request through when the check itself fails", async () => {
+    mockImage = { data: null, width: 8, height: 8 };
+    const consoleError = jest.spyOn(console, "error").mockImplementation(() => {});
+    const req = { file: { path: "uploads/broken.jpg" } };
+    const next = jest.fn();
+
+    await checkImageQuality(req, createRes(), next);
+    consoleError.mockRestore();
+
+    expect(next).toHaveBeenCalled();
+    expect(deleteUploadedFile).not.toHaveBeenCalled();
+  });
+
+  it("should skip requests without a file", async () => {
+    const next = jest.fn();
+
+    await checkImageQuality({}, createRes(), next);
+
+    expect(next).toHaveBeenCalled();
+  });
+});
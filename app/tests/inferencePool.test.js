@@ -0,0 +1,204 @@
+// Workers are replaced by in-process fakes the test drives by hand; the model
+// code they would run is never loaded
+jest.mock("worker_threads", () => {
+  const { EventEmitter } = require("events");
+
+  class FakeWorker extends EventEmitter {
+    constructor(script) {
+      super();
+      this.script = script;
+      this.messages = [];
+      this.terminate = jest.fn();
+      FakeWorker.instances.push(this);
+    }
+
+    postMessage(message) {
+      this.messages.push(message);
+    }
+
+    ref() {}
+
+    unref() {}
+
+    // Answer the last job this worker was given
+    reply(result) {
+      const { id, version } = this.messages[this.messages.length - 1];
+      this.emit("message", { id, version, result, memory: null });
+    }
+  }
+  FakeWorker.instances = [];
+
+  return { Worker: FakeWorker };
+});
+jest.mock("../utils/inference", () => ({ runInference: jest.fn() }));
+jest.mock("../utils/explanation", () => ({ explainPrediction: jest.fn() }));
+
+const { Worker } = require("worker_threads");
+const { runInference } = require("../utils/inference");
+const { InferencePool } = require("../utils/inferencePool");
+
+describe("Inference Pool Tests", () => {
+  const modelEntry = { version: "v1" };
+
+  let consoleError;
+  let consoleLog;
+
+  beforeEach(() => {
+    Worker.instances = [];
+    consoleError = jest.spyOn(console, "error").mockImplementation(() => {});
+    consoleLog = jest.spyOn(console, "log").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    consoleError.mockRestore();
+    consoleLog.mockRestore();
+    jest.useRealTimers();
+  });
+
+  it("should run a job on a worker and resolve with its reply", async () => {
+    const pool = new InferencePool({ size: 1 });
+    const job = pool.predict(modelEntry, ["leaf.jpg"], { tta: true });
+
+    const [worker] = Worker.instances;
+    expect(worker.messages[0]).toMatchObject({ type: "predict", version: "v1", imagePaths: ["leaf.jpg"] });
+
+    worker.reply([{ probabilities: [1] }]);
+
+    await expect(job).resolves.toEqual([{ probabilities: [1] }]);
+    expect(pool.getStats()).toMatchObject({ busy: 0, queued: 0 });
+  });
+
+  it("should reject jobs past the queue limit", async () => {
+    const pool = new InferencePool({ size: 1, maxQueued: 1 });
+    pool.predict(modelEntry, ["a.jpg"]);
+    pool.predict(modelEntry, ["b.jpg"]);
+
+    await expect(pool.predict(modelEntry, ["c.jpg"])).rejects.toMatchObject({ code: "POOL_QUEUE_FULL" });
+    expect(pool.getStats()).toMatchObject({ busy: 1, queued: 1, rejected: 1 });
+  });
+
+  it("should stop a worker that runs past the timeout and start a new one at once", async () => {
+    jest.useFakeTimers();
+    const pool = new InferencePool({ size: 1 });
+    const job = pool.predict(modelEntry, ["slow.jpg"], { timeoutMs: 1000 });
+    const queued = pool.predict(modelEntry, ["next.jpg"]);
+    const [slow] = Worker.instances;
+
+    jest.advanceTimersByTime(1000);
+
+    await expect(job).rejects.toMatchObject({ code: "INFERENCE_TIMEOUT", timeoutMs: 1000 });
+    expect(slow.terminate).toHaveBeenCalled();
+    expect(Worker.instances).toHaveLength(2);
+    expect(pool.getStats()).toMatchObject({ timedOut: 1, restarts: 0 });
+
+    // The replacement picks up the queued job without a crash backoff
+    Worker.instances[1].reply("next");
+    await expect(queued).resolves.toBe("next");
+  });
+
+  it("should apply the timeout to explanations too", async () => {
+    jest.useFakeTimers();
+    const pool = new InferencePool({ size: 1 });
+    const job = pool.explain(modelEntry, "leaf.jpg", "Tomato__healthy", { timeoutMs: 4000 });
+
+    expect(Worker.instances[0].messages[0]).toMatchObject({ type: "explain", targetClass: "Tomato__healthy" });
+    jest.advanceTimersByTime(4000);
+
+    await expect(job).rejects.toMatchObject({ code: "INFERENCE_TIMEOUT", timeoutMs: 4000 });
+    expect(Worker.instances[0].terminate).toHaveBeenCalled();
+  });
+
+  it("should drop a queued job that times out before a worker is free", async () => {
+    jest.useFakeTimers();
+    const pool = new InferencePool({ size: 1 });
+    pool.predict(modelEntry, ["busy.jpg"]);
+    const queued = pool.predict(modelEntry, ["waiting.jpg"], { timeoutMs: 500 });
+
+    jest.advanceTimersByTime(500);
+
+    await expect(queued).rejects.toMatchObject({ code: "INFERENCE_TIMEOUT" });
+    expect(Worker.instances[0].terminate).not.toHaveBeenCalled();
+    expect(pool.getStats().queued).toBe(0);
+  });
+
+  it("should restart a crashed worker with an exponential backoff", async () => {
+    jest.useFakeTimers();
+    const pool = new InferencePool({ size: 1, restartDelayMs: 100, maxRestartDelayMs: 1000 });
+    const job = pool.predict(modelEntry, ["a.jpg"]);
+
+    Worker.instances[0].emit("error", new Error("out of memory"));
+    await expect(job).rejects.toThrow("out of memory");
+
+    jest.advanceTimersByTime(99);
+    expect(Worker.instances).toHaveLength(1);
+    jest.advanceTimersByTime(1);
+    expect(Worker.instances).toHaveLength(2);
+
+    Worker.instances[1].emit("exit", 1);
+    jest.advanceTimersByTime(199);
+    expect(Worker.instances).toHaveLength(2);
+    jest.advanceTimersByTime(1);
+    expect(Worker.instances).toHaveLength(3);
+
+    expect(pool.getStats()).toMatchObject({ restarts: 2, degraded: false });
+    expect(pool.getStats().lastCrash).toMatchObject({ worker: 0, error: "Inference worker exited with code 1" });
+  });
+
+  it("should reset the backoff once a restarted worker finishes a job", async () => {
+    jest.useFakeTimers();
+    const pool = new InferencePool({ size: 1, restartDelayMs: 100 });
+
+    pool.start();
+    Worker.instances[0].emit("error", new Error("crash"));
+    jest.advanceTimersByTime(100);
+
+    const job = pool.predict(modelEntry, ["a.jpg"]);
+    Worker.instances[1].reply("ok");
+    await job;
+
+    Worker.instances[1].emit("error", new Error("crash again"));
+    jest.advanceTimersByTime(100);
+    expect(Worker.instances).toHaveLength(3);
+  });
+
+  it("should mark the pool degraded after too many crashes in a row", async () => {
+    jest.useFakeTimers();
+    const pool = new InferencePool({ size: 1, restartDelayMs: 100, maxRestarts: 1 });
+    pool.start();
+
+    Worker.instances[0].emit("error", new Error("bad weights"));
+    jest.advanceTimersByTime(100);
+    const running = pool.predict(modelEntry, ["a.jpg"]);
+    const waiting = pool.predict(modelEntry, ["b.jpg"]);
+    Worker.instances[1].emit("error", new Error("bad weights"));
+
+    await expect(running).rejects.toThrow("bad weights");
+    await expect(waiting).rejects.toMatchObject({ code: "POOL_DEGRADED" });
+
+    jest.advanceTimersByTime(60000);
+    expect(Worker.instances).toHaveLength(2);
+    expect(pool.degraded).toBe(true);
+    expect(pool.getStats().workers[0]).toMatchObject({ status: "failed", crashCount: 2 });
+    await expect(pool.predict(modelEntry, ["c.jpg"])).rejects.toMatchObject({ code: "POOL_DEGRADED" });
+  });
+
+  it("should time out main-thread inference and track when the work settles", async () => {
+    jest.useFakeTimers();
+    let finish;
+    runInference.mockReturnValue(new Promise(resolve => { finish = resolve; }));
+    const pool = new InferencePool({ size: 0 });
+
+    const job = pool.predict(modelEntry, ["a.jpg"], { timeoutMs: 1000 });
+    let settled = false;
+    job.settled.then(() => { settled = true; });
+
+    jest.advanceTimersByTime(1000);
+    await expect(job).rejects.toMatchObject({ code: "INFERENCE_TIMEOUT" });
+    expect(settled).toBe(false);
+
+    finish([]);
+    await job.settled;
+    expect(settled).toBe(true);
+    expect(Worker.instances).toHaveLength(0);
+  });
+});
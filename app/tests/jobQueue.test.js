@@ -0,0 +1,66 @@
+const { JobQueue } = require("../utils/jobQueue");
+
+describe("Job Queue Tests", () => {
+  const deferred = () => {
+    let resolve;
+    const promise = new Promise(done => { resolve = done; });
+    return { promise, resolve };
+  };
+
+  const flush = () => new Promise(resolve => setImmediate(resolve));
+
+  it("should run jobs up to the concurrency and report queue positions", async () => {
+    const queue = new JobQueue({ concurrency: 1 });
+    const gate = deferred();
+
+    const first = queue.enqueue(() => gate.promise);
+    const second = queue.enqueue(async () => "second");
+    const third = queue.enqueue(async () => "third");
+
+    expect(first.status).toBe("running");
+    expect(queue.position(first.id)).toBe(0);
+    expect(queue.position(second.id)).toBe(1);
+    expect(queue.position(third.id)).toBe(2);
+
+    gate.resolve("first");
+    await flush();
+
+    expect(queue.get(first.id)).toMatchObject({ status: "done", result: "first", handler: null });
+    expect(queue.get(third.id)).toMatchObject({ status: "done", result: "third" });
+    expect(queue.getStats()).toMatchObject({ queued: 0, running: 0, done: 3 });
+  });
+
+  it("should record the error of a failed job", async () => {
+    const queue = new JobQueue();
+    const consoleError = jest.spyOn(console, "error").mockImplementation(() => {});
+
+    const job = queue.enqueue(async () => { throw new Error("model crashed"); });
+    await flush();
+    consoleError.mockRestore();
+
+    expect(queue.get(job.id)).toMatchObject({ status: "failed", error: "model crashed" });
+    expect(queue.get(job.id).finishedAt).toBeInstanceOf(Date);
+  });
+
+  it("should refuse new jobs when the queue is full", () => {
+    const queue = new JobQueue({ concurrency: 1, maxQueued: 1 });
+    const gate = deferred();
+
+    queue.enqueue(() => gate.promise);
+    expect(queue.enqueue(async () => null)).not.toBeNull();
+    expect(queue.enqueue(async () => null)).toBeNull();
+
+    gate.resolve();
+  });
+
+  it("should forget finished jobs after the retention period", async () => {
+    const queue = new JobQueue({ retentionMs: 1000 });
+    const job = queue.enqueue(async () => "done");
+    await flush();
+
+    job.finishedAt = new Date(Date.now() - 2000);
+    queue.enqueue(async () => null);
+
+    expect(queue.get(job.id)).toBeNull();
+  });
+});
@@ -0,0 +1,54 @@
+const { parseLabel, getCrops, resolveCrop, buildHierarchy, constrainToCrop } = require("../utils/labels");
+
+describe("Label Hierarchy Tests", () => {
+  const classNames = [
+    "Chili__healthy",
+    "Chili__leaf curl",
+    "Tomato__healthy",
+    "Tomato__late_blight"
+  ];
+
+  it("should parse crop and condition from a label", () => {
+    expect(parseLabel("Tomato__late_blight")).toEqual({
+      crop: "Tomato",
+      condition: "late_blight",
+      isHealthy: false
+    });
+    expect(parseLabel("Chili__healthy").isHealthy).toBe(true);
+  });
+
+  it("should list crops in label order", () => {
+    expect(getCrops(classNames)).toEqual(["Chili", "Tomato"]);
+  });
+
+  it("should sum probabilities per crop and per health state", () => {
+    const hierarchy = buildHierarchy([
+      { class: "Tomato__late_blight", confidence: 0.6 },
+      { class: "Tomato__healthy", confidence: 0.2 },
+      { class: "Chili__healthy", confidence: 0.15 },
+      { class: "Chili__leaf curl", confidence: 0.05 }
+    ], "Tomato__late_blight");
+
+    expect(hierarchy.crop).toBe("Tomato");
+    expect(hierarchy.condition).toBe("late_blight");
+    expect(hierarchy.cropProbability).toBeCloseTo(0.8);
+    expect(hierarchy.healthyProbability).toBeCloseTo(0.35);
+    expect(hierarchy.diseasedProbability).toBeCloseTo(0.65);
+    expect(hierarchy.crops[0]).toEqual({ crop: "Tomato", probability: expect.any(Number) });
+  });
+
+  it("should resolve crop names case-insensitively", () => {
+    expect(resolveCrop("tomato", classNames)).toBe("Tomato");
+    expect(resolveCrop("Potato", classNames)).toBeNull();
+  });
+
+  it("should mask and renormalize probabilities to one crop", () => {
+    const { probabilities, massInCrop } = constrainToCrop([0.1, 0.1, 0.2, 0.6], classNames, "Chili");
+
+    expect(massInCrop).toBeCloseTo(0.2);
+    expect(probabilities[0]).toBeCloseTo(0.5);
+    expect(probabilities[1]).toBeCloseTo(0.5);
+    expect(probabilities[2]).toBe(0);
+    expect(probabilities[3]).toBe(0);
+  });
+});
@@ -0,0 +1,116 @@
+// checkLeaf reads pixels through sharp; the mock hands it a small raw RGB buffer instead
+let mockPixels = Buffer.alloc(0);
+jest.mock("sharp", () => jest.fn(() => {
+  const pipeline = {
+    resize: () => pipeline,
+    removeAlpha: () => pipeline,
+    toColorspace: () => pipeline,
+    raw: () => pipeline,
+    toBuffer: async () => ({ data: mockPixels, info: { width: mockPixels.length / 3, height: 1, channels: 3 } })
+  };
+  return pipeline;
+}));
+
+const { DECISIONS, GATE_CONFIG, computeUncertainty, checkLeaf, evaluateGate } = require("../utils/oodGate");
+
+describe("OOD Gate Tests", () => {
+  const GREEN = [40, 160, 40];
+  const BROWN = [150, 100, 40];
+  const GREY = [128, 128, 128];
+  const BLUE = [40, 40, 160];
+
+  const setPixels = (...pixels) => {
+    mockPixels = Buffer.from(pixels.flat());
+  };
+
+  const confident = [0.9, 0.05, 0.03, 0.02];
+
+  beforeEach(() => {
+    setPixels(GREEN, GREEN, GREEN, GREY);
+  });
+
+  it("should measure entropy from 0 for one-hot to 1 for uniform", () => {
+    expect(computeUncertainty([1, 0, 0, 0]).entropy).toBe(0);
+    expect(computeUncertainty([0.25, 0.25, 0.25, 0.25]).entropy).toBeCloseTo(1);
+    expect(computeUncertainty([0.6, 0.3, 0.1]).margin).toBeCloseTo(0.3);
+  });
+
+  it("should normalize entropy over the classes left after crop masking", () => {
+    expect(computeUncertainty([0.5, 0.5, 0, 0]).entropy).toBeCloseTo(1);
+    expect(computeUncertainty([0.9, 0.1, 0, 0]).entropy).toBeLessThan(GATE_CONFIG.maxEntropy);
+  });
+
+  it("should count green and brown pixels as leaf", async () => {
+    setPixels(GREEN, BROWN, GREY, BLUE);
+
+    const leaf = await checkLeaf("leaf.jpg");
+
+    expect(leaf.leafRatio).toBe(0.5);
+    expect(leaf.isLeaf).toBe(true);
+  });
+
+  it("should accept a confident prediction on a leaf", async () => {
+    const gate = await evaluateGate(confident, "leaf.jpg");
+
+    expect(gate.decision).toBe(DECISIONS.ACCEPTED);
+    expect(gate.reasons).toEqual([]);
+    expect(gate.leafRatio).toBe(0.75);
+  });
+
+  it("should reject an image that is not a leaf, even when the model is confident", async () => {
+    setPixels(GREY, BLUE, BLUE, GREY, BLUE, BLUE, GREY, GREEN);
+
+    const gate = await evaluateGate(confident, "wall.jpg");
+
+    expect(gate.decision).toBe(DECISIONS.NOT_A_LEAF);
+    expect(gate.reasons).toEqual(["LOW_LEAF_COVERAGE"]);
+  });
+
+  it("should keep NOT_A_LEAF over UNCERTAIN when both apply", async () => {
+    setPixels(GREY, BLUE);
+
+    const gate = await evaluateGate([0.25, 0.25, 0.25, 0.25], "wall.jpg");
+
+    expect(gate.decision).toBe(DECISIONS.NOT_A_LEAF);
+    expect(gate.reasons).toEqual(expect.arrayContaining(["LOW_LEAF_COVERAGE", "HIGH_ENTROPY", "LOW_MARGIN"]));
+  });
+
+  it("should mark a spread-out distribution as uncertain", async () => {
+    const gate = await evaluateGate([0.3, 0.25, 0.25, 0.2], "leaf.jpg");
+
+    expect(gate.decision).toBe(DECISIONS.UNCERTAIN);
+    expect(gate.reasons).toEqual(["HIGH_ENTROPY", "LOW_MARGIN"]);
+  });
+
+  it("should mark a close top-two as uncertain by margin alone", async () => {
+    const gate = await evaluateGate([0.5, 0.45, 0.01, 0.01, 0.01, 0.01, 0.01], "leaf.jpg");
+
+    expect(gate.entropy).toBeLessThanOrEqual(GATE_CONFIG.maxEntropy);
+    expect(gate.decision).toBe(DECISIONS.UNCERTAIN);
+    expect(gate.reasons).toEqual(["LOW_MARGIN"]);
+  });
+
+  it("should mark a crop-constrained result with little mass in the crop as uncertain", async () => {
+    const low = await evaluateGate(confident, "leaf.jpg", { massInCrop: 0.1 });
+    const enough = await evaluateGate(confident, "leaf.jpg", { massInCrop: 0.2 });
+
+    expect(low.decision).toBe(DECISIONS.UNCERTAIN);
+    expect(low.reasons).toEqual(["LOW_CROP_MASS"]);
+    expect(enough.decision).toBe(DECISIONS.ACCEPTED);
+    expect(enough.thresholds.minMassInCrop).toBe(GATE_CONFIG.minMassInCrop);
+  });
+
+  it("should skip the leaf check without an image and when it fails", async () => {
+    const noImage = await evaluateGate(confident, null);
+    expect(noImage.decision).toBe(DECISIONS.ACCEPTED);
+    expect(noImage.leafRatio).toBeNull();
+
+    const consoleError = jest.spyOn(console, "error").mockImplementation(() => {});
+    mockPixels = null;
+    const failed = await evaluateGate(confident, "broken.jpg");
+    consoleError.mockRestore();
+
+    expect(failed.decision).toBe(DECISIONS.ACCEPTED);
+    expect(failed.reasons).toEqual(["LEAF_CHECK_FAILED"]);
+  });
+});
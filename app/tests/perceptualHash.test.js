@@ -0,0 +1,96 @@
+// computeDHash reads pixels through sharp; the mock hands it a raw 9x8 greyscale buffer instead
+let mockPixels = Buffer.alloc(72);
+jest.mock("sharp", () => jest.fn(() => {
+  const pipeline = {
+    greyscale: () => pipeline,
+    resize: () => pipeline,
+    raw: () => pipeline,
+    toBuffer: async () => mockPixels
+  };
+  return pipeline;
+}));
+
+const {
+  computeDHash,
+  hammingDistance,
+  similarity,
+  findClosest,
+  groupNearDuplicates
+} = require("../utils/perceptualHash");
+
+describe("Perceptual Hash Tests", () => {
+  const BASE = "0000000000000000";
+  // Hashes 8, 10 and 11 bits away from BASE
+  const EIGHT_BITS = "00000000000000ff";
+  const TEN_BITS = "00000000000003ff";
+  const ELEVEN_BITS = "00000000000007ff";
+  // 8 bits away from EIGHT_BITS, 16 from BASE
+  const SIXTEEN_BITS = "000000000000ffff";
+
+  it("should set a bit wherever a pixel is brighter than its right neighbour", async () => {
+    // Every row falls from left to right except the last, which rises
+    mockPixels = Buffer.from(Array.from({ length: 72 }, (_, i) => {
+      const row = Math.floor(i / 9);
+      const col = i % 9;
+      return row === 7 ? col * 10 : 200 - col * 10;
+    }));
+
+    expect(await computeDHash("leaf.jpg")).toBe("ffffffffffffff00");
+  });
+
+  it("should count the differing bits between two hashes", () => {
+    expect(hammingDistance(BASE, BASE)).toBe(0);
+    expect(hammingDistance(BASE, TEN_BITS)).toBe(10);
+    expect(hammingDistance(EIGHT_BITS, SIXTEEN_BITS)).toBe(8);
+    expect(hammingDistance(BASE, "ffffffffffffffff")).toBe(64);
+    expect(similarity(16)).toBe(0.75);
+  });
+
+  it("should match a candidate exactly at the threshold but not one bit past it", () => {
+    expect(findClosest(BASE, [{ hash: TEN_BITS }], 10)).toEqual({ candidate: { hash: TEN_BITS }, distance: 10 });
+    expect(findClosest(BASE, [{ hash: ELEVEN_BITS }], 10)).toBeNull();
+  });
+
+  it("should pick the closest candidate and skip the ones without a hash", () => {
+    const candidates = [{ id: "far", hash: TEN_BITS }, { id: "none", hash: null }, { id: "near", hash: EIGHT_BITS }, { id: "missing" }];
+
+    const match = findClosest(BASE, candidates, 10);
+
+    expect(match.candidate.id).toBe("near");
+    expect(match.distance).toBe(8);
+    expect(findClosest(BASE, [{ id: "none" }], 64)).toBeNull();
+  });
+
+  it("should group near-duplicates transitively through a photo in between", () => {
+    const items = [{ id: "a", hash: BASE }, { id: "b", hash: EIGHT_BITS }, { id: "c", hash: SIXTEEN_BITS }];
+
+    const groups = groupNearDuplicates(items, 10);
+
+    expect(hammingDistance(BASE, SIXTEEN_BITS)).toBeGreaterThan(10);
+    expect(groups).toHaveLength(1);
+    expect(groups[0].map(item => item.id)).toEqual(["a", "b", "c"]);
+  });
+
+  it("should apply the threshold boundary when grouping and leave singletons out", () => {
+    const atThreshold = groupNearDuplicates([{ id: "a", hash: BASE }, { id: "b", hash: TEN_BITS }], 10);
+    const pastThreshold = groupNearDuplicates([{ id: "a", hash: BASE }, { id: "b", hash: ELEVEN_BITS }], 10);
+
+    expect(atThreshold.map(group => group.map(item => item.id))).toEqual([["a", "b"]]);
+    expect(pastThreshold).toEqual([]);
+  });
+
+  it("should keep separate clusters apart and leave out items without a hash", () => {
+    const items = [
+      { id: "a", hash: BASE },
+      { id: "none", hash: null },
+      { id: "b", hash: EIGHT_BITS },
+      { id: "x", hash: "ffffffffffffffff" },
+      { id: "missing" },
+      { id: "y", hash: "fffffffffffffff0" }
+    ];
+
+    const groups = groupNearDuplicates(items, 10);
+
+    expect(groups.map(group => group.map(item => item.id))).toEqual([["a", "b"], ["x", "y"]]);
+  });
+});
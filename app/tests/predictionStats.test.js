@@ -0,0 +1,134 @@
+const request = require("supertest");
+const express = require("express");
+
+// The routes run against the real controller; the database, the model and the
+// auth middleware are replaced so only the stats handler is exercised
+jest.mock("sharp", () => jest.fn());
+jest.mock("../models", () => ({
+  prediction: {
+    countDocuments: jest.fn(),
+    aggregate: jest.fn(),
+    findOne: jest.fn(),
+    findById: jest.fn()
+  },
+  annotation: {}
+}));
+jest.mock("../utils/modelRegistry", () => ({
+  initialize: jest.fn(),
+  getActive: jest.fn(() => ({ ready: true, version: "v2", classNames: ["a", "b", "c"] }))
+}));
+jest.mock("../utils/inferenceRuntime", () => ({}));
+jest.mock("../middleware/upload", () => ({
+  deleteUploadedFile: jest.fn(),
+  getUploadStats: jest.fn(() => ({ directory: "uploads", files: 0, totalSizeMB: "0.00", fileTypes: {}, storageHealth: "ok" }))
+}));
+jest.mock("../middleware", () => {
+  const pass = (req, res, next) => next();
+  return {
+    authJwt: {
+      verifyToken: (req, res, next) => {
+        req.userId = "admin-id";
+        next();
+      },
+      isAdmin: pass,
+      attachRoles: pass
+    },
+    optionalAuth: pass,
+    uploadSingle: pass,
+    uploadMultiple: pass,
+    handleUploadErrors: pass,
+    checkImageQuality: pass
+  };
+});
+
+const db = require("../models");
+const Prediction = db.prediction;
+
+// Canned aggregation results, told apart by what each pipeline groups on
+const FEEDBACK_BY_PREDICTED_CLASS = [
+  { _id: "Tomato__late_blight", reviewed: 4, correct: 3, accuracy: 0.75 },
+  { _id: "Chili__healthy", reviewed: 2, correct: 0, accuracy: 0 }
+];
+const FEEDBACK_BY_TRUE_CLASS = [
+  { _id: "Tomato__late_blight", reviewed: 3, correct: 3, recall: 1 },
+  { _id: "Chili__leaf curl", reviewed: 2, correct: 0, recall: 0 }
+];
+
+const groupKey = (pipeline) => {
+  const group = pipeline.find(stage => stage.$group);
+  return group ? JSON.stringify(group.$group._id) : null;
+};
+
+const isFeedbackPipeline = (pipeline) => pipeline.some(stage => stage.$match && "feedback.isCorrect" in stage.$match);
+
+describe("Prediction Stats Tests", () => {
+  let app;
+  let consoleLog;
+
+  beforeAll(() => {
+    app = express();
+    require("../routes/prediction.routes")(app);
+  });
+
+  beforeEach(() => {
+    consoleLog = jest.spyOn(console, "log").mockImplementation(() => {});
+    Prediction.countDocuments.mockResolvedValue(6);
+    Prediction.aggregate.mockImplementation(async (pipeline) => {
+      if (isFeedbackPipeline(pipeline)) {
+        return groupKey(pipeline) === "\"$predictedClass\"" ? FEEDBACK_BY_PREDICTED_CLASS : FEEDBACK_BY_TRUE_CLASS;
+      }
+      return [];
+    });
+  });
+
+  afterEach(() => {
+    consoleLog.mockRestore();
+    jest.clearAllMocks();
+  });
+
+  it("should route /api/predictions/stats to the stats handler, not the detail one", async () => {
+    const res = await request(app).get("/api/predictions/stats");
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.message).toBe("Prediction statistics retrieved successfully");
+    expect(Prediction.findOne).not.toHaveBeenCalled();
+    expect(Prediction.findById).not.toHaveBeenCalled();
+  });
+
+  it("should report overall and per-class accuracy from feedback", async () => {
+    const res = await request(app).get("/api/predictions/stats");
+    const { feedback } = res.body.data;
+
+    expect(feedback.reviewed).toBe(6);
+    expect(feedback.correct).toBe(3);
+    expect(feedback.accuracy).toBe(0.5);
+    expect(feedback.byPredictedClass).toEqual(FEEDBACK_BY_PREDICTED_CLASS);
+    expect(feedback.byTrueClass).toEqual(FEEDBACK_BY_TRUE_CLASS);
+  });
+
+  it("should compute per-class accuracy only over real predictions with feedback", async () => {
+    await request(app).get("/api/predictions/stats");
+
+    const pipelines = Prediction.aggregate.mock.calls.map(([pipeline]) => pipeline).filter(isFeedbackPipeline);
+    const byPredicted = pipelines.find(pipeline => groupKey(pipeline) === "\"$predictedClass\"");
+    const byTrue = pipelines.find(pipeline => groupKey(pipeline) === "\"$feedback.trueLabel\"");
+
+    expect(byPredicted[0].$match).toEqual({ isMock: { $ne: true }, "feedback.isCorrect": { $ne: null } });
+    expect(byPredicted[1].$group).toEqual({
+      _id: "$predictedClass",
+      reviewed: { $sum: 1 },
+      correct: { $sum: { $cond: ["$feedback.isCorrect", 1, 0] } }
+    });
+    expect(byPredicted[2].$addFields.accuracy).toEqual({ $divide: ["$correct", "$reviewed"] });
+    expect(byTrue[0].$match["feedback.trueLabel"]).toEqual({ $ne: null });
+    expect(byTrue[2].$addFields.recall).toEqual({ $divide: ["$correct", "$reviewed"] });
+  });
+
+  it("should report no accuracy before any feedback", async () => {
+    Prediction.aggregate.mockResolvedValue([]);
+
+    const res = await request(app).get("/api/predictions/stats");
+
+    expect(res.body.data.feedback).toMatchObject({ reviewed: 0, correct: 0, accuracy: null, byPredictedClass: [] });
+  });
+});
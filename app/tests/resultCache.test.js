@@ -0,0 +1,66 @@
+const { ResultCache } = require("../utils/resultCache");
+
+describe("Result Cache Tests", () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("should evict the least recently used entry", () => {
+    const cache = new ResultCache({ maxEntries: 2 });
+    cache.set("a", 1);
+    cache.set("b", 2);
+
+    expect(cache.get("a")).toBe(1);
+    cache.set("c", 3);
+
+    expect(cache.get("b")).toBeNull();
+    expect(cache.get("a")).toBe(1);
+    expect(cache.get("c")).toBe(3);
+    expect(cache.getStats()).toMatchObject({ size: 2, evictions: 1, hits: 3, misses: 1 });
+  });
+
+  it("should move a re-set key to the most recent position", () => {
+    const cache = new ResultCache({ maxEntries: 2 });
+    cache.set("a", 1);
+    cache.set("b", 2);
+    cache.set("a", 10);
+    cache.set("c", 3);
+
+    expect(cache.get("a")).toBe(10);
+    expect(cache.get("b")).toBeNull();
+  });
+
+  it("should expire entries older than the TTL", () => {
+    const now = jest.spyOn(Date, "now").mockReturnValue(1000);
+    const cache = new ResultCache({ ttlMs: 500 });
+    cache.set("a", 1);
+
+    now.mockReturnValue(1500);
+    expect(cache.get("a")).toBe(1);
+
+    now.mockReturnValue(1501);
+    expect(cache.get("a")).toBeNull();
+    expect(cache.getStats()).toMatchObject({ size: 0, hits: 1, misses: 1, expirations: 1 });
+  });
+
+  it("should turn the hit of an invalidated entry into a miss", () => {
+    const cache = new ResultCache();
+    cache.set("a", 1);
+    cache.get("a");
+
+    cache.invalidate("a");
+    cache.invalidate("a");
+
+    expect(cache.get("a")).toBeNull();
+    expect(cache.getStats()).toMatchObject({ size: 0, hits: 0, misses: 2, hitRate: 0 });
+  });
+
+  it("should store nothing when maxEntries is 0", () => {
+    const cache = new ResultCache({ maxEntries: 0 });
+    cache.set("a", 1);
+
+    expect(cache.enabled).toBe(false);
+    expect(cache.get("a")).toBeNull();
+    expect(cache.getStats()).toMatchObject({ size: 0, misses: 0 });
+  });
+});
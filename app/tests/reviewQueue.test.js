@@ -0,0 +1,231 @@
+// The Prediction model is replaced by a one-document store. Its findOneAndUpdate
+// checks the filter and applies the update in one synchronous step, as MongoDB
+// does for a single document, so two claims racing for an item can be replayed.
+let mockStore = null;
+
+jest.mock("../models/prediction.model", () => {
+  const getPath = (doc, key) => key.split(".").reduce((value, part) => (value == null ? undefined : value[part]), doc);
+
+  const setPath = (doc, key, value) => {
+    const parts = key.split(".");
+    const last = parts.pop();
+    const target = parts.reduce((object, part) => object[part], doc);
+    if (value === undefined) {
+      delete target[last];
+    } else {
+      target[last] = value;
+    }
+  };
+
+  const matches = (doc, filter) => Object.entries(filter).every(([key, condition]) => {
+    if (key === "$or") return condition.some(branch => matches(doc, branch));
+    const value = getPath(doc, key);
+    if (condition && condition.$lt !== undefined) return value !== undefined && value < condition.$lt;
+    return value !== undefined && String(value) === String(condition);
+  });
+
+  const found = (doc) => Object.assign(Promise.resolve(doc), { select: async () => doc });
+
+  return {
+    findById: jest.fn(id => found(mockStore && String(mockStore._id) === String(id) ? mockStore : null)),
+    findOneAndUpdate: jest.fn(async (filter, update) => {
+      if (!mockStore || !matches(mockStore, filter)) return null;
+      Object.entries(update.$set || {}).forEach(([key, value]) => setPath(mockStore, key, value));
+      Object.keys(update.$unset || {}).forEach(key => setPath(mockStore, key, undefined));
+      return mockStore;
+    })
+  };
+});
+jest.mock("../utils/modelRegistry", () => ({
+  getClassNamesFor: jest.fn(() => ["Tomato__healthy", "Tomato__late_blight", "Chili__leaf curl"])
+}));
+
+const { REVIEW_CONFIG, RESOLVED_STATUSES, buildInitialReview, queueForReview, getSlaStatus } = require("../utils/reviewQueue");
+const { claimReviewItem, releaseReviewItem, submitReviewVerdict } = require("../controllers/review.controller");
+
+const HOUR_MS = 60 * 60 * 1000;
+const ID = "64b000000000000000000001";
+const ALICE = "64a000000000000000000001";
+const BOB = "64a000000000000000000002";
+
+const hoursAgo = (hours, now = new Date()) => new Date(now.getTime() - hours * HOUR_MS);
+
+const createPrediction = (review = {}) => ({
+  _id: ID,
+  predictedClass: "Tomato__late_blight",
+  confidence: 0.42,
+  modelProvenance: { version: "v1" },
+  review: {
+    status: "pending",
+    reasons: ["LOW_CONFIDENCE"],
+    queuedAt: hoursAgo(1),
+    dueAt: hoursAgo(-47),
+    ...review
+  },
+  save: jest.fn(async () => {})
+});
+
+const call = async (handler, userId, body = {}) => {
+  const res = {};
+  res.status = jest.fn(code => {
+    res.statusCode = code;
+    return res;
+  });
+  res.json = jest.fn(payload => {
+    res.body = payload;
+    return res;
+  });
+
+  await handler({ params: { id: ID }, userId, body }, res);
+  return res;
+};
+
+describe("Review Queue Tests", () => {
+  it("should queue uncertain predictions with a due date one SLA away", () => {
+    const review = buildInitialReview({ confidence: 0.3 });
+
+    expect(review).toMatchObject({ status: "pending", reasons: ["LOW_CONFIDENCE"] });
+    expect(review.dueAt - review.queuedAt).toBe(REVIEW_CONFIG.slaHours * HOUR_MS);
+    expect(buildInitialReview({ confidence: 0.9, gate: { decision: "UNCERTAIN" } })).not.toBeNull();
+    expect(buildInitialReview({ confidence: 0.9 })).toBeNull();
+    expect(buildInitialReview({ confidence: 0.3 }, true)).toBeNull();
+  });
+
+  it("should add reasons to an open entry but leave reviewed predictions closed", () => {
+    const open = { review: { status: "pending", reasons: ["LOW_CONFIDENCE"] } };
+    expect(queueForReview(open, "FLAGGED", "wrong crop")).toBe(true);
+    expect(open.review).toMatchObject({ reasons: ["LOW_CONFIDENCE", "FLAGGED"], flagNote: "wrong crop" });
+
+    RESOLVED_STATUSES.forEach(status => {
+      expect(queueForReview({ review: { status, reasons: [] } }, "DISPUTED")).toBe(false);
+    });
+  });
+
+  it("should mark an open item overdue once its due date has passed", () => {
+    const now = new Date("2024-03-03T12:00:00.000Z");
+    const review = { queuedAt: hoursAgo(50, now), claimedAt: hoursAgo(47, now), dueAt: hoursAgo(2, now) };
+
+    expect(getSlaStatus(review, now)).toMatchObject({ ageHours: 50, hoursToClaim: 3, hoursToVerdict: null, overdue: true });
+    expect(getSlaStatus({ ...review, dueAt: hoursAgo(-1, now) }, now).overdue).toBe(false);
+  });
+
+  it("should judge a resolved item by its verdict time, not the current time", () => {
+    const now = new Date("2024-03-03T12:00:00.000Z");
+    const queuedAt = hoursAgo(100, now);
+    const dueAt = hoursAgo(52, now);
+
+    const onTime = getSlaStatus({ queuedAt, dueAt, reviewedAt: hoursAgo(60, now) }, now);
+    const late = getSlaStatus({ queuedAt, dueAt, reviewedAt: hoursAgo(40, now) }, now);
+
+    expect(onTime).toMatchObject({ ageHours: 40, hoursToVerdict: 40, overdue: false });
+    expect(late).toMatchObject({ hoursToVerdict: 60, overdue: true });
+  });
+});
+
+describe("Review Claim And Verdict Tests", () => {
+  let consoleLog;
+
+  beforeEach(() => {
+    mockStore = createPrediction();
+    consoleLog = jest.spyOn(console, "log").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    consoleLog.mockRestore();
+  });
+
+  it("should give a pending item to exactly one of two moderators claiming at once", async () => {
+    const [alice, bob] = await Promise.all([call(claimReviewItem, ALICE), call(claimReviewItem, BOB)]);
+
+    expect(alice.statusCode).toBe(200);
+    expect(alice.body.data.review.status).toBe("claimed");
+    expect(bob.statusCode).toBe(409);
+    expect(bob.body.error).toBe("ALREADY_CLAIMED");
+    expect(mockStore.review.claimedBy).toBe(ALICE);
+  });
+
+  it("should let the claimer claim again and another moderator take over a stale claim", async () => {
+    mockStore = createPrediction({ status: "claimed", claimedBy: ALICE, claimedAt: hoursAgo(1) });
+    expect((await call(claimReviewItem, ALICE)).statusCode).toBe(200);
+
+    mockStore = createPrediction({ status: "claimed", claimedBy: ALICE, claimedAt: hoursAgo(REVIEW_CONFIG.claimTimeoutHours + 1) });
+    const takeover = await call(claimReviewItem, BOB);
+
+    expect(takeover.statusCode).toBe(200);
+    expect(mockStore.review.claimedBy).toBe(BOB);
+  });
+
+  it("should refuse to claim reviewed items, items outside the queue and unknown ids", async () => {
+    mockStore = createPrediction({ status: "confirmed" });
+    expect((await call(claimReviewItem, ALICE)).body.error).toBe("ALREADY_REVIEWED");
+
+    mockStore = createPrediction({ status: undefined });
+    expect((await call(claimReviewItem, ALICE)).body.error).toBe("NOT_IN_QUEUE");
+
+    mockStore = null;
+    expect((await call(claimReviewItem, ALICE)).statusCode).toBe(404);
+  });
+
+  it("should only let the claimer release an item", async () => {
+    await call(claimReviewItem, ALICE);
+
+    const bob = await call(releaseReviewItem, BOB);
+    expect(bob.statusCode).toBe(409);
+    expect(bob.body.error).toBe("ALREADY_CLAIMED");
+
+    const alice = await call(releaseReviewItem, ALICE);
+    expect(alice.statusCode).toBe(200);
+    expect(mockStore.review.status).toBe("pending");
+    expect(mockStore.review.claimedBy).toBeUndefined();
+  });
+
+  it("should only accept a verdict from the moderator holding the claim", async () => {
+    expect((await call(submitReviewVerdict, ALICE, { verdict: "confirm" })).body.error).toBe("NOT_CLAIMED");
+
+    await call(claimReviewItem, ALICE);
+    const bob = await call(submitReviewVerdict, BOB, { verdict: "confirm" });
+
+    expect(bob.statusCode).toBe(409);
+    expect(bob.body.error).toBe("ALREADY_CLAIMED");
+    expect(mockStore.save).not.toHaveBeenCalled();
+  });
+
+  it("should confirm the predicted class and close the item", async () => {
+    await call(claimReviewItem, ALICE);
+
+    const res = await call(submitReviewVerdict, ALICE, { verdict: "confirm", note: "  typical lesions  " });
+
+    expect(res.statusCode).toBe(200);
+    expect(mockStore.review).toMatchObject({
+      status: "confirmed",
+      verdictLabel: "Tomato__late_blight",
+      note: "typical lesions",
+      reviewedBy: ALICE
+    });
+    expect(mockStore.save).toHaveBeenCalled();
+    expect(res.body.data.sla.overdue).toBe(false);
+
+    expect((await call(submitReviewVerdict, ALICE, { verdict: "relabel", label: "Tomato__healthy" })).body.error)
+      .toBe("ALREADY_REVIEWED");
+  });
+
+  it("should relabel only to a known class other than the prediction", async () => {
+    await call(claimReviewItem, ALICE);
+
+    expect((await call(submitReviewVerdict, ALICE, { verdict: "relabel", label: "Rice__blast" })).body.error).toBe("INVALID_LABEL");
+    expect((await call(submitReviewVerdict, ALICE, { verdict: "relabel", label: "Tomato__late_blight" })).body.error).toBe("INVALID_VERDICT");
+
+    const res = await call(submitReviewVerdict, ALICE, { verdict: "relabel", label: "Chili__leaf curl" });
+    expect(res.statusCode).toBe(200);
+    expect(mockStore.review).toMatchObject({ status: "relabeled", verdictLabel: "Chili__leaf curl" });
+  });
+
+  it("should report a verdict given after the due date as overdue", async () => {
+    mockStore = createPrediction({ queuedAt: hoursAgo(60), dueAt: hoursAgo(12) });
+    await call(claimReviewItem, ALICE);
+
+    const res = await call(submitReviewVerdict, ALICE, { verdict: "confirm" });
+
+    expect(res.body.data.sla).toMatchObject({ ageHours: 60, hoursToVerdict: 60, overdue: true });
+  });
+});
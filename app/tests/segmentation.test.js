@@ -0,0 +1,171 @@
+// The mask is computed from pixels sharp returns; the mock hands over a small raw
+// RGB image instead and records the crop that would be written
+let mockImage = null;
+const mockExtract = jest.fn();
+const mockToFile = jest.fn();
+jest.mock("sharp", () => jest.fn(() => {
+  const pipeline = {
+    metadata: async () => mockImage.metadata,
+    rotate: () => pipeline,
+    resize: () => pipeline,
+    removeAlpha: () => pipeline,
+    raw: () => pipeline,
+    png: () => pipeline,
+    extract: (region) => {
+      mockExtract(region);
+      return pipeline;
+    },
+    toFile: async (outputPath) => mockToFile(outputPath),
+    toBuffer: async () => ({
+      data: mockImage.data,
+      info: { width: mockImage.width, height: mockImage.height, channels: 3 }
+    })
+  };
+  return pipeline;
+}));
+
+const path = require("path");
+const {
+  SEGMENTATION_CONFIG,
+  computeExcessGreen,
+  otsuThreshold,
+  findComponents,
+  largestComponent,
+  toImageRegion,
+  computeLeafMask,
+  findLeafRegion,
+  getSegmentationFilename,
+  segmentLeaf
+} = require("../utils/segmentation");
+
+const LEAF = [40, 160, 40];
+const SOIL = [120, 90, 60];
+
+// A width x height RGB image of soil with leaf-green rectangles [x, y, w, h]
+const createImage = (width, height, leaves, metadata = { width: width * 100, height: height * 100 }) => {
+  const pixels = [];
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const inLeaf = leaves.some(([lx, ly, lw, lh]) => x >= lx && x < lx + lw && y >= ly && y < ly + lh);
+      pixels.push(...(inLeaf ? LEAF : SOIL));
+    }
+  }
+  return { data: Buffer.from(pixels), width, height, metadata };
+};
+
+const config = { ...SEGMENTATION_CONFIG, padding: 0.08, minAreaRatio: 0.02 };
+
+describe("Leaf Segmentation Tests", () => {
+  beforeEach(() => {
+    mockExtract.mockClear();
+    mockToFile.mockClear();
+  });
+
+  it("should score green pixels high and soil and black pixels at or below zero", () => {
+    const exg = computeExcessGreen(Buffer.from([...LEAF, ...SOIL, 0, 0, 0, 200, 50, 50]), 4, 3);
+
+    expect(exg[0]).toBeCloseTo(1);
+    expect(exg[1]).toBeCloseTo(0);
+    expect(exg[2]).toBe(0);
+    expect(exg[3]).toBeLessThan(0);
+  });
+
+  it("should place the Otsu threshold between two clusters of values", () => {
+    const threshold = otsuThreshold([0, 0.01, 0.02, 0, 0.9, 1, 0.95, 1]);
+
+    expect(threshold).toBeGreaterThanOrEqual(0.02);
+    expect(threshold).toBeLessThan(0.9);
+  });
+
+  it("should find 4-connected components and not join diagonal neighbours", () => {
+    const mask = Uint8Array.from([
+      1, 1, 0, 0,
+      1, 0, 0, 0,
+      0, 0, 0, 1,
+      0, 0, 1, 1
+    ]);
+
+    const components = findComponents(mask, 4, 4);
+
+    expect(components).toEqual([
+      { area: 3, minX: 0, minY: 0, maxX: 1, maxY: 1 },
+      { area: 3, minX: 2, minY: 2, maxX: 3, maxY: 3 }
+    ]);
+    expect(largestComponent(Uint8Array.from([1, 0, 1, 1]), 4, 1)).toMatchObject({ area: 2, minX: 2 });
+    expect(largestComponent(new Uint8Array(4), 2, 2)).toBeNull();
+  });
+
+  it("should scale a box to the full image, pad it and keep it inside the image", () => {
+    const component = { minX: 0, minY: 2, maxX: 4, maxY: 5 };
+
+    expect(toImageRegion(component, 100, 100, 2000, 1000, 0.1)).toEqual({ left: 0, top: 160, width: 550, height: 480 });
+    expect(toImageRegion({ minX: 15, minY: 6, maxX: 19, maxY: 9 }, 100, 100, 2000, 1000, 0.1))
+      .toEqual({ left: 1450, top: 560, width: 550, height: 440 });
+  });
+
+  it("should mask the leaf pixels of the analysis image", async () => {
+    mockImage = createImage(4, 2, [[1, 0, 2, 1]]);
+
+    const leafMask = await computeLeafMask("leaf.jpg");
+
+    expect(Array.from(leafMask.mask)).toEqual([0, 1, 1, 0, 0, 0, 0, 0]);
+    expect(leafMask).toMatchObject({ width: 4, height: 2, imageWidth: 400, imageHeight: 200 });
+  });
+
+  it("should swap the original size for EXIF-rotated photos", async () => {
+    mockImage = createImage(2, 4, [[0, 0, 1, 1]], { width: 400, height: 200, orientation: 6 });
+
+    const leafMask = await computeLeafMask("rotated.jpg");
+
+    expect(leafMask).toMatchObject({ imageWidth: 200, imageHeight: 400 });
+  });
+
+  it("should return the padded box of the largest leaf in original pixels", async () => {
+    // One 5x4 leaf and one stray green pixel on a 20x10 analysis image of a 2000x1000 photo
+    mockImage = createImage(20, 10, [[5, 2, 5, 4], [0, 9, 1, 1]]);
+
+    const found = await findLeafRegion("leaf.jpg", config);
+
+    expect(found.coverage).toBe(0.1);
+    expect(found.region).toEqual({ left: 460, top: 168, width: 580, height: 464 });
+    expect(found).toMatchObject({ imageWidth: 2000, imageHeight: 1000 });
+  });
+
+  it("should report no leaf when there is no green or it is too small", async () => {
+    mockImage = createImage(20, 10, []);
+    expect(await findLeafRegion("soil.jpg", config)).toMatchObject({ region: null, reason: "NO_LEAF_FOUND", coverage: 0 });
+
+    mockImage = createImage(20, 10, [[3, 3, 1, 1]]);
+    expect(await findLeafRegion("speck.jpg", config)).toMatchObject({ region: null, reason: "NO_LEAF_FOUND", coverage: 0.005 });
+  });
+
+  it("should save the crop next to the upload", async () => {
+    mockImage = createImage(20, 10, [[5, 2, 5, 4]]);
+
+    const result = await segmentLeaf(path.join("uploads", "leaf-123.jpg"));
+
+    expect(result).toMatchObject({
+      applied: true,
+      reason: null,
+      filename: "leaf-123-leaf.png",
+      imageUrl: "/uploads/leaf-123-leaf.png",
+      path: path.join("uploads", "leaf-123-leaf.png")
+    });
+    expect(mockExtract).toHaveBeenCalledWith(result.region);
+    expect(mockToFile).toHaveBeenCalledWith(result.path);
+  });
+
+  it("should write nothing when the leaf already fills the frame", async () => {
+    mockImage = createImage(20, 10, [[0, 0, 20, 10]]);
+
+    const result = await segmentLeaf("uploads/close-up.jpg");
+
+    expect(result).toMatchObject({ applied: false, reason: "LEAF_FILLS_FRAME", path: null });
+    expect(result.region).toEqual({ left: 0, top: 0, width: 2000, height: 1000 });
+    expect(mockToFile).not.toHaveBeenCalled();
+  });
+
+  it("should name the crop after the upload", () => {
+    expect(getSegmentationFilename("photo.JPG")).toBe("photo-leaf.png");
+  });
+});
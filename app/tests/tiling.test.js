@@ -0,0 +1,110 @@
+// planTiles reads the leaf mask through sharp; the mock hands it a small raw RGB image instead
+let mockImage = null;
+jest.mock("sharp", () => jest.fn(() => {
+  const pipeline = {
+    metadata: async () => mockImage.metadata,
+    rotate: () => pipeline,
+    resize: () => pipeline,
+    removeAlpha: () => pipeline,
+    raw: () => pipeline,
+    toBuffer: async () => ({
+      data: mockImage.data,
+      info: { width: mockImage.width, height: mockImage.height, channels: 3 }
+    })
+  };
+  return pipeline;
+}));
+
+const { TILING_CONFIG, computeTileGrid, planTiles, aggregateTileRows } = require("../utils/tiling");
+
+const LEAF = [40, 160, 40];
+const SOIL = [120, 90, 60];
+
+// A width x height analysis image of soil with leaf-green rectangles [x, y, w, h],
+// standing for a photo 100 times larger
+const createImage = (width, height, leaves) => {
+  const pixels = [];
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const inLeaf = leaves.some(([lx, ly, lw, lh]) => x >= lx && x < lx + lw && y >= ly && y < ly + lh);
+      pixels.push(...(inLeaf ? LEAF : SOIL));
+    }
+  }
+  return { data: Buffer.from(pixels), width, height, metadata: { width: width * 100, height: height * 100 } };
+};
+
+describe("Tiling Tests", () => {
+  const config = { ...TILING_CONFIG, tileSize: 500, overlap: 0, maxTiles: 16, minImageSize: 800, minLeafCoverage: 0.1 };
+
+  it("should cover the image with overlapping tiles, the last ones flush with the edges", () => {
+    const tiles = computeTileGrid(2000, 1000, { tileSize: 512, overlap: 0.25, maxTiles: 16 });
+
+    expect(tiles).toHaveLength(15);
+    expect([...new Set(tiles.map(tile => tile.left))]).toEqual([0, 372, 744, 1116, 1488]);
+    expect([...new Set(tiles.map(tile => tile.top))]).toEqual([0, 244, 488]);
+    expect(tiles.every(tile => tile.width === 512 && tile.height === 512)).toBe(true);
+  });
+
+  it("should grow the tiles until the grid fits in maxTiles", () => {
+    const tiles = computeTileGrid(2000, 1000, { tileSize: 512, overlap: 0.25, maxTiles: 4 });
+    const [{ width }] = tiles;
+
+    expect(tiles.length).toBeLessThanOrEqual(4);
+    expect(width).toBeGreaterThan(512);
+    expect(Math.max(...tiles.map(tile => tile.left + tile.width))).toBe(2000);
+    expect(Math.max(...tiles.map(tile => tile.top + tile.height))).toBe(1000);
+  });
+
+  it("should keep tiles square and no larger than the short side", () => {
+    expect(computeTileGrid(400, 300, { tileSize: 512, overlap: 0.25 })).toEqual([
+      { left: 0, top: 0, width: 300, height: 300 },
+      { left: 100, top: 0, width: 300, height: 300 }
+    ]);
+  });
+
+  it("should keep only the grid tiles with enough foliage", async () => {
+    mockImage = createImage(20, 10, [[0, 0, 5, 5]]);
+
+    const plan = await planTiles("field.jpg", "grid", config);
+
+    expect(plan).toMatchObject({ applied: true, mode: "grid", imageWidth: 2000, imageHeight: 1000 });
+    expect(plan.regions).toEqual([{ left: 0, top: 0, width: 500, height: 500, leafCoverage: 1 }]);
+  });
+
+  it("should return one padded box per leaf region, largest first", async () => {
+    mockImage = createImage(20, 10, [[1, 1, 4, 3], [12, 4, 6, 5]]);
+
+    const plan = await planTiles("field.jpg", "regions", config);
+
+    expect(plan.applied).toBe(true);
+    expect(plan.regions.map(({ left, top, width, height }) => ({ left, top, width, height }))).toEqual([
+      { left: 1152, top: 360, width: 696, height: 580 },
+      { left: 68, top: 76, width: 464, height: 348 }
+    ]);
+    // Coverage is counted on the analysis mask over the padded box
+    expect(plan.regions[0].leafCoverage).toBeCloseTo(30 / 56);
+    expect(plan.regions[1].leafCoverage).toBeCloseTo(12 / 30);
+  });
+
+  it("should predict small or leafless images whole", async () => {
+    mockImage = createImage(7, 7, [[0, 0, 7, 7]]);
+    expect(await planTiles("small.jpg", "grid", config)).toMatchObject({ applied: false, reason: "IMAGE_TOO_SMALL", regions: [] });
+
+    mockImage = createImage(20, 10, []);
+    expect(await planTiles("soil.jpg", "grid", config)).toMatchObject({ applied: false, reason: "NO_LEAF_FOUND" });
+    expect(await planTiles("soil.jpg", "regions", config)).toMatchObject({ applied: false, reason: "NO_LEAF_FOUND" });
+  });
+
+  it("should combine tile probabilities weighted by leaf coverage", () => {
+    const combined = aggregateTileRows([[0.9, 0.1], [0.1, 0.9]], [0.75, 0.25]);
+
+    expect(combined[0]).toBeCloseTo(0.7);
+    expect(combined[1]).toBeCloseTo(0.3);
+  });
+
+  it("should weigh tiles equally when no tile has any coverage", () => {
+    const combined = aggregateTileRows([[1, 0, 0], [0, 1, 0], [0, 0, 1], [1, 0, 0]], [0, 0, 0, 0]);
+
+    expect(combined).toEqual([0.5, 0.25, 0.25]);
+  });
+});
@@ -0,0 +1,121 @@
+// app/utils/activeLearning.js - Rank stored predictions by how informative a label would be
+const { computeUncertainty } = require('./oodGate');
+
+const ACTIVE_LEARNING_CONFIG = {
+  // Max stored predictions scored for one batch
+  poolLimit: parseInt(process.env.ACTIVE_LEARNING_POOL_LIMIT) || 5000,
+  defaultStrategy: process.env.ACTIVE_LEARNING_STRATEGY || 'combined',
+  defaultBatchSize: 50,
+  maxBatchSize: 500
+};
+
+// Per-candidate signals, each in [0, 1] with 1 = most worth labeling.
+// Candidates are { id, predictedClass, probabilities, ttaAgreement }.
+const SIGNALS = {
+  entropy: (candidate) => computeUncertainty(candidate.probabilities).entropy,
+  margin: (candidate) => 1 - computeUncertainty(candidate.probabilities).margin,
+  // Share of TTA views that disagreed with the final class; 0 when TTA wasn't run
+  ttaDisagreement: (candidate) => (
+    candidate.ttaAgreement === null || candidate.ttaAgreement === undefined ? 0 : 1 - candidate.ttaAgreement
+  ),
+  // 1 for the least-predicted class in the pool, smaller for more common ones
+  classRarity: (candidate, context) => context.minClassCount / context.classCounts.get(candidate.predictedClass)
+};
+
+const DEFAULT_WEIGHTS = {
+  entropy: 0.35,
+  margin: 0.25,
+  ttaDisagreement: 0.15,
+  classRarity: 0.25
+};
+
+const strategies = new Map();
+
+// Add a ranking strategy. score(signals, candidate, options) returns a number, higher first.
+const registerStrategy = (name, description, score) => {
+  strategies.set(name, { name, description, score });
+};
+
+const getStrategy = (name) => strategies.get(name) || null;
+
+const listStrategies = () => Array.from(strategies.values()).map(({ name, description }) => ({ name, description }));
+
+Object.keys(SIGNALS).forEach(signal => {
+  registerStrategy(signal, `Rank by ${signal} alone`, (signals) => signals[signal]);
+});
+
+registerStrategy(
+  'combined',
+  'Weighted sum of entropy, margin, TTA disagreement and class rarity',
+  (signals, candidate, options) => {
+    const weights = options.weights || DEFAULT_WEIGHTS;
+    const totalWeight = Object.values(weights).reduce((sum, weight) => sum + weight, 0) || 1;
+    return Object.keys(weights).reduce((sum, signal) => sum + (signals[signal] || 0) * weights[signal], 0) / totalWeight;
+  }
+);
+
+// Parse "entropy:2,classRarity:1" into weights for the combined strategy.
+// Returns null when a signal name or value is invalid.
+const parseWeights = (value) => {
+  if (!value) return null;
+
+  const weights = {};
+  for (const part of String(value).split(',')) {
+    const [signal, raw] = part.split(':').map(item => item.trim());
+    const weight = parseFloat(raw);
+    if (!SIGNALS[signal] || isNaN(weight) || weight < 0) {
+      return null;
+    }
+    weights[signal] = weight;
+  }
+  return weights;
+};
+
+// Pool-wide statistics some signals need
+const buildContext = (candidates) => {
+  const classCounts = new Map();
+  candidates.forEach(candidate => {
+    classCounts.set(candidate.predictedClass, (classCounts.get(candidate.predictedClass) || 0) + 1);
+  });
+
+  return {
+    classCounts,
+    minClassCount: classCounts.size > 0 ? Math.min(...classCounts.values()) : 0
+  };
+};
+
+const round = (value) => Math.round(value * 10000) / 10000;
+
+// Score every candidate and return the top `size`. Ties are broken by id so the
+// same pool always yields the same batch.
+const rankCandidates = (candidates, strategyName, options = {}) => {
+  const strategy = getStrategy(strategyName);
+  if (!strategy) {
+    throw new Error(`Unknown active-learning strategy: ${strategyName}`);
+  }
+
+  const context = buildContext(candidates);
+  const size = options.size || ACTIVE_LEARNING_CONFIG.defaultBatchSize;
+
+  return candidates
+    .map(candidate => {
+      const signals = {};
+      Object.entries(SIGNALS).forEach(([signal, compute]) => {
+        signals[signal] = round(compute(candidate, context));
+      });
+      return { candidate, signals, score: round(strategy.score(signals, candidate, options)) };
+    })
+    .sort((a, b) => b.score - a.score || String(a.candidate.id).localeCompare(String(b.candidate.id)))
+    .slice(0, size)
+    .map((entry, index) => ({ rank: index + 1, ...entry }));
+};
+
+module.exports = {
+  ACTIVE_LEARNING_CONFIG,
+  DEFAULT_WEIGHTS,
+  registerStrategy,
+  getStrategy,
+  listStrategies,
+  parseWeights,
+  rankCandidates
+};
@@ -0,0 +1,161 @@
+// app/utils/annotations.js - Geometry checks and COCO export for lesion annotations
+const Annotation = require('../models/annotation.model');
+const { parseLabel } = require('./labels');
+
+const ANNOTATION_TYPES = ['bbox', 'polygon'];
+const MAX_POLYGON_POINTS = 500;
+const NOTE_MAX = 1000;
+
+// Width and height as displayed, i.e. after EXIF rotation. sharp is loaded here
+// rather than at the top: retention cleanup uses this module at server start
+// and must not need the native image library.
+const readImageSize = async (imagePath) => {
+  const sharp = require('sharp');
+  const metadata = await sharp(imagePath).metadata();
+  const rotated = (metadata.orientation || 1) >= 5;
+  return {
+    width: rotated ? metadata.height : metadata.width,
+    height: rotated ? metadata.width : metadata.height
+  };
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Shoelace area of a flat [x1, y1, x2, y2, ...] polygon
+const polygonArea = (points) => {
+  let sum = 0;
+  for (let i = 0; i < points.length; i += 2) {
+    const next = (i + 2) % points.length;
+    sum += points[i] * points[next + 1] - points[next] * points[i + 1];
+  }
+  return Math.abs(sum) / 2;
+};
+
+const isNumberList = (value) => Array.isArray(value) && value.every(item => typeof item === 'number' && isFinite(item));
+
+// Validate a bbox or polygon against the image size. Returns
+// { type, bbox, points, area } or { error } with a message.
+const normalizeGeometry = ({ type, bbox, points }, imageWidth, imageHeight) => {
+  if (!ANNOTATION_TYPES.includes(type)) {
+    return { error: `type must be one of: ${ANNOTATION_TYPES.join(', ')}` };
+  }
+
+  const inside = (x, y) => x >= 0 && y >= 0 && x <= imageWidth && y <= imageHeight;
+
+  if (type === 'bbox') {
+    if (!isNumberList(bbox) || bbox.length !== 4) {
+      return { error: 'bbox must be [x, y, width, height]' };
+    }
+    const [x, y, width, height] = bbox;
+    if (width <= 0 || height <= 0 || !inside(x, y) || !inside(x + width, y + height)) {
+      return { error: `bbox must have a positive size and lie inside the ${imageWidth}x${imageHeight} image` };
+    }
+    return { type, bbox: bbox.map(round), points: undefined, area: round(width * height) };
+  }
+
+  if (!isNumberList(points) || points.length % 2 !== 0 || points.length < 6) {
+    return { error: 'points must be a flat [x1, y1, x2, y2, ...] list with at least 3 vertices' };
+  }
+  if (points.length / 2 > MAX_POLYGON_POINTS) {
+    return { error: `A polygon can have at most ${MAX_POLYGON_POINTS} vertices` };
+  }
+  for (let i = 0; i < points.length; i += 2) {
+    if (!inside(points[i], points[i + 1])) {
+      return { error: `All points must lie inside the ${imageWidth}x${imageHeight} image` };
+    }
+  }
+
+  const area = polygonArea(points);
+  if (area <= 0) {
+    return { error: 'The polygon has no area' };
+  }
+
+  const xs = points.filter((value, index) => index % 2 === 0);
+  const ys = points.filter((value, index) => index % 2 === 1);
+  const minX = Math.min(...xs);
+  const minY = Math.min(...ys);
+
+  return {
+    type,
+    bbox: [minX, minY, Math.max(...xs) - minX, Math.max(...ys) - minY].map(round),
+    points: points.map(round),
+    area: round(area)
+  };
+};
+
+// Filenames retention cleanup must keep
+const getAnnotatedFilenames = async () => new Set(await Annotation.distinct('imageFilename'));
+
+// COCO object-detection JSON. Categories are the distinct labels (sorted),
+// images (one per file, cache hits share a file) and annotations get sequential
+// ids; bbox annotations get their rectangle as segmentation so every entry can
+// be used for masks too.
+const toCoco = (annotations, predictionsById) => {
+  const labels = Array.from(new Set(annotations.map(annotation => annotation.label))).sort();
+  const categoryIds = new Map(labels.map((label, index) => [label, index + 1]));
+  const imageIds = new Map();
+  const images = [];
+
+  const cocoAnnotations = annotations.map((annotation, index) => {
+    const predictionId = String(annotation.predictionId);
+
+    if (!imageIds.has(annotation.imageFilename)) {
+      const prediction = predictionsById.get(predictionId);
+      imageIds.set(annotation.imageFilename, images.length + 1);
+      images.push({
+        id: images.length + 1,
+        file_name: annotation.imageFilename,
+        width: annotation.imageWidth,
+        height: annotation.imageHeight,
+        date_captured: prediction ? prediction.createdAt : null,
+        prediction_id: predictionId,
+        predicted_class: prediction ? prediction.predictedClass : null
+      });
+    }
+
+    const [x, y, width, height] = annotation.bbox;
+    const segmentation = annotation.type === 'polygon'
+      ? [annotation.points]
+      : [[x, y, x + width, y, x + width, y + height, x, y + height]];
+
+    return {
+      id: index + 1,
+      image_id: imageIds.get(annotation.imageFilename),
+      category_id: categoryIds.get(annotation.label),
+      bbox: annotation.bbox,
+      segmentation,
+      area: annotation.area,
+      iscrowd: 0,
+      attributes: {
+        annotation_id: String(annotation._id),
+        type: annotation.type,
+        author: String(annotation.author),
+        note: annotation.note || ''
+      }
+    };
+  });
+
+  return {
+    info: {
+      description: 'Plant disease lesion annotations',
+      date_created: new Date().toISOString()
+    },
+    images,
+    annotations: cocoAnnotations,
+    categories: labels.map(label => ({
+      id: categoryIds.get(label),
+      name: label,
+      supercategory: parseLabel(label).crop || 'plant'
+    }))
+  };
+};
+
+module.exports = {
+  ANNOTATION_TYPES,
+  NOTE_MAX,
+  readImageSize,
+  polygonArea,
+  normalizeGeometry,
+  getAnnotatedFilenames,
+  toCoco
+};
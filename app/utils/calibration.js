@@ -0,0 +1,100 @@
+// app/utils/calibration.js - Temperature scaling for softmax outputs
+const EPSILON = 1e-12;
+
+// Rescale a probability vector with temperature T: softmax(log(p) / T).
+// T > 1 softens overconfident outputs, T = 1 leaves them unchanged.
+const applyTemperature = (probabilities, temperature = 1) => {
+  if (!temperature || temperature === 1) {
+    return probabilities.slice();
+  }
+
+  const logits = probabilities.map(p => Math.log(Math.max(p, EPSILON)) / temperature);
+  const maxLogit = Math.max(...logits);
+  const exps = logits.map(logit => Math.exp(logit - maxLogit));
+  const sum = exps.reduce((total, value) => total + value, 0);
+
+  return exps.map(value => value / sum);
+};
+
+// Mean negative log-likelihood of the true labels
+const negativeLogLikelihood = (samples, temperature) => {
+  const total = samples.reduce((sum, sample) => {
+    const calibrated = applyTemperature(sample.probabilities, temperature);
+    return sum - Math.log(Math.max(calibrated[sample.labelIndex], EPSILON));
+  }, 0);
+  return total / samples.length;
+};
+
+// Expected calibration error over equal-width confidence bins
+const expectedCalibrationError = (samples, temperature, bins = 10) => {
+  const buckets = Array.from({ length: bins }, () => ({ count: 0, confidence: 0, correct: 0 }));
+
+  samples.forEach(sample => {
+    const calibrated = applyTemperature(sample.probabilities, temperature);
+    const confidence = Math.max(...calibrated);
+    const predictedIndex = calibrated.indexOf(confidence);
+    const bucket = buckets[Math.min(bins - 1, Math.floor(confidence * bins))];
+
+    bucket.count++;
+    bucket.confidence += confidence;
+    bucket.correct += predictedIndex === sample.labelIndex ? 1 : 0;
+  });
+
+  return buckets.reduce((ece, bucket) => {
+    if (bucket.count === 0) return ece;
+    const gap = Math.abs(bucket.correct / bucket.count - bucket.confidence / bucket.count);
+    return ece + (bucket.count / samples.length) * gap;
+  }, 0);
+};
+
+// Fit T by minimizing NLL with a golden-section search over log(T).
+// `samples` is [{ probabilities: number[], labelIndex: number }].
+const fitTemperature = (samples, { minTemperature = 0.05, maxTemperature = 20, iterations = 60 } = {}) => {
+  if (!samples || samples.length === 0) {
+    throw new Error('No calibration samples');
+  }
+
+  const objective = logT => negativeLogLikelihood(samples, Math.exp(logT));
+  const ratio = (Math.sqrt(5) - 1) / 2;
+
+  let low = Math.log(minTemperature);
+  let high = Math.log(maxTemperature);
+  let x1 = high - ratio * (high - low);
+  let x2 = low + ratio * (high - low);
+  let f1 = objective(x1);
+  let f2 = objective(x2);
+
+  for (let i = 0; i < iterations; i++) {
+    if (f1 < f2) {
+      high = x2;
+      x2 = x1;
+      f2 = f1;
+      x1 = high - ratio * (high - low);
+      f1 = objective(x1);
+    } else {
+      low = x1;
+      x1 = x2;
+      f1 = f2;
+      x2 = low + ratio * (high - low);
+      f2 = objective(x2);
+    }
+  }
+
+  const temperature = Math.exp((low + high) / 2);
+
+  return {
+    temperature,
+    samples: samples.length,
+    nllBefore: negativeLogLikelihood(samples, 1),
+    nllAfter: negativeLogLikelihood(samples, temperature),
+    eceBefore: expectedCalibrationError(samples, 1),
+    eceAfter: expectedCalibrationError(samples, temperature)
+  };
+};
+
+module.exports = {
+  applyTemperature,
+  negativeLogLikelihood,
+  expectedCalibrationError,
+  fitTemperature
+};
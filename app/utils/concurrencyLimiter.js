@@ -0,0 +1,110 @@
+// app/utils/concurrencyLimiter.js - Cap on simultaneous work with a bounded wait queue
+class ConcurrencyLimiter {
+  constructor(options = {}) {
+    this.maxConcurrent = options.maxConcurrent || 2;
+    this.maxQueued = options.maxQueued !== undefined ? options.maxQueued : 20;
+    // Longest a request may wait in the queue (0 waits indefinitely)
+    this.maxWaitMs = options.maxWaitMs !== undefined ? options.maxWaitMs : 30000;
+
+    this.active = 0;
+    this.waiting = [];
+    this.completed = 0;
+    this.rejected = 0;
+    this.waitTimeouts = 0;
+    // Smoothed run time of one slot, used for Retry-After estimates
+    this.averageDurationMs = options.initialDurationMs || 2000;
+  }
+
+  // Resolves with a release function once a slot is free. When the wait queue is
+  // full it rejects right away with code LIMIT_QUEUE_FULL, the position the caller
+  // would have had in the queue and a retryAfter estimate in seconds. A queued
+  // caller still without a slot after maxWaitMs is rejected with LIMIT_WAIT_TIMEOUT
+  // and the same details.
+  acquire() {
+    if (this.active < this.maxConcurrent) {
+      return Promise.resolve(this.grant());
+    }
+
+    if (this.waiting.length >= this.maxQueued) {
+      this.rejected++;
+      return Promise.reject(this.queueError(
+        'LIMIT_QUEUE_FULL',
+        'Too many requests waiting for a free slot',
+        this.waiting.length + 1
+      ));
+    }
+
+    return new Promise((resolve, reject) => {
+      const waiter = { resolve, timer: null };
+
+      if (this.maxWaitMs) {
+        waiter.timer = setTimeout(() => {
+          const index = this.waiting.indexOf(waiter);
+          if (index === -1) return;
+
+          this.waiting.splice(index, 1);
+          this.waitTimeouts++;
+          reject(this.queueError(
+            'LIMIT_WAIT_TIMEOUT',
+            `No free slot within ${this.maxWaitMs}ms`,
+            index + 1
+          ));
+        }, this.maxWaitMs);
+      }
+
+      this.waiting.push(waiter);
+    });
+  }
+
+  queueError(code, message, queuePosition) {
+    const error = new Error(message);
+    error.code = code;
+    error.queuePosition = queuePosition;
+    error.queueLength = this.waiting.length;
+    error.retryAfter = this.estimateWaitSeconds(queuePosition);
+    return error;
+  }
+
+  grant() {
+    this.active++;
+    const startedAt = Date.now();
+    let released = false;
+
+    return () => {
+      if (released) return;
+      released = true;
+
+      this.active--;
+      this.completed++;
+      this.averageDurationMs = 0.8 * this.averageDurationMs + 0.2 * (Date.now() - startedAt);
+
+      const next = this.waiting.shift();
+      if (next) {
+        clearTimeout(next.timer);
+        next.resolve(this.grant());
+      }
+    };
+  }
+
+  // Seconds until a request at `position` in the queue would likely get a slot
+  estimateWaitSeconds(position) {
+    const rounds = Math.ceil(position / this.maxConcurrent);
+    return Math.max(1, Math.ceil((rounds * this.averageDurationMs) / 1000));
+  }
+
+  getStats() {
+    return {
+      maxConcurrent: this.maxConcurrent,
+      maxQueued: this.maxQueued,
+      maxWaitMs: this.maxWaitMs,
+      active: this.active,
+      queued: this.waiting.length,
+      completed: this.completed,
+      rejected: this.rejected,
+      waitTimeouts: this.waitTimeouts,
+      averageDurationMs: Math.round(this.averageDurationMs)
+    };
+  }
+}
+
+module.exports = { ConcurrencyLimiter };
@@ -0,0 +1,147 @@
+// app/utils/datasetExport.js - Verified labels, stratified splits and manifests for training exports
+const crypto = require('crypto');
+const path = require('path');
+const { parseLabel } = require('./labels');
+const { RESOLVED_STATUSES } = require('./reviewQueue');
+
+const SPLITS = ['train', 'val', 'test'];
+const DEFAULT_SPLIT_RATIOS = [0.8, 0.1, 0.1];
+
+const MANIFEST_COLUMNS = [
+  'path',
+  'label',
+  'split',
+  'labelSource',
+  'predictionId',
+  'predictedClass',
+  'confidence',
+  'modelVersion',
+  'modelHash',
+  'crop',
+  'sha256',
+  'verifiedAt',
+  'verifiedBy',
+  'createdAt'
+];
+
+// The label a human confirmed for a prediction: an expert verdict wins over the
+// owner's feedback. Returns { label, source, verifiedAt, verifiedBy } or null.
+const resolveVerifiedLabel = (prediction) => {
+  const { review, feedback } = prediction;
+
+  if (review && RESOLVED_STATUSES.includes(review.status) && review.verdictLabel) {
+    return {
+      label: review.verdictLabel,
+      source: 'expert',
+      verifiedAt: review.reviewedAt || null,
+      verifiedBy: review.reviewedBy ? String(review.reviewedBy) : null
+    };
+  }
+
+  if (feedback && feedback.isCorrect !== null && feedback.isCorrect !== undefined) {
+    const label = feedback.isCorrect ? prediction.predictedClass : feedback.trueLabel;
+    if (!label) return null;
+
+    return {
+      label,
+      source: 'feedback',
+      verifiedAt: feedback.submittedAt || null,
+      verifiedBy: prediction.userId ? String(prediction.userId) : null
+    };
+  }
+
+  return null;
+};
+
+// "0.7,0.2,0.1" -> [0.7, 0.2, 0.1] normalized to sum 1, or null when invalid
+const parseSplitRatios = (value) => {
+  if (!value) return DEFAULT_SPLIT_RATIOS;
+
+  const ratios = String(value).split(',').map(part => parseFloat(part));
+  if (ratios.length !== SPLITS.length || ratios.some(ratio => isNaN(ratio) || ratio < 0)) {
+    return null;
+  }
+  const total = ratios.reduce((sum, ratio) => sum + ratio, 0);
+  return total > 0 ? ratios.map(ratio => ratio / total) : null;
+};
+
+const splitKey = (seed, id) => crypto.createHash('sha256').update(`${seed}:${id}`).digest('hex');
+
+// Assign train/val/test per label so every class keeps the same proportions.
+// Order within a class comes from a seeded hash of the id, so the same seed and
+// items always give the same split. Items are { id, label, ... }; adds `split`.
+const assignSplits = (items, ratios = DEFAULT_SPLIT_RATIOS, seed = 'default') => {
+  const byLabel = new Map();
+  items.forEach(item => {
+    if (!byLabel.has(item.label)) byLabel.set(item.label, []);
+    byLabel.get(item.label).push(item);
+  });
+
+  byLabel.forEach(group => {
+    const ordered = group
+      .map(item => ({ item, key: splitKey(seed, item.id) }))
+      .sort((a, b) => a.key.localeCompare(b.key))
+      .map(entry => entry.item);
+
+    const trainCount = Math.round(ordered.length * ratios[0]);
+    const valCount = Math.min(Math.round(ordered.length * ratios[1]), ordered.length - trainCount);
+
+    ordered.forEach((item, index) => {
+      if (index < trainCount) item.split = 'train';
+      else if (index < trainCount + valCount) item.split = 'val';
+      else item.split = 'test';
+    });
+  });
+
+  return items;
+};
+
+// Count items per split and label
+const summarizeSplits = (items) => {
+  const summary = {};
+  SPLITS.forEach(split => { summary[split] = { total: 0, labels: {} }; });
+
+  items.forEach(item => {
+    summary[item.split].total++;
+    summary[item.split].labels[item.label] = (summary[item.split].labels[item.label] || 0) + 1;
+  });
+  return summary;
+};
+
+// Label -> safe directory name inside the archive
+const toDirectoryName = (label) => label.replace(/[\\/:*?"<>|]/g, '_').trim() || 'unlabeled';
+
+// Path of an image inside the archive: <label>/<file>, or <split>/<label>/<file>
+const getArchivePath = (item, layout) => {
+  const parts = [toDirectoryName(item.label), path.basename(item.filename)];
+  return (layout === 'split' ? [item.split, ...parts] : parts).join('/');
+};
+
+const labelCrop = (label) => parseLabel(label).crop;
+
+const escapeCsv = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsv = (rows, columns = MANIFEST_COLUMNS) => [
+  columns.join(','),
+  ...rows.map(row => columns.map(column => escapeCsv(row[column])).join(','))
+].join('\n') + '\n';
+
+const toJsonl = (rows) => rows.map(row => JSON.stringify(row)).join('\n') + '\n';
+
+module.exports = {
+  SPLITS,
+  DEFAULT_SPLIT_RATIOS,
+  MANIFEST_COLUMNS,
+  resolveVerifiedLabel,
+  parseSplitRatios,
+  assignSplits,
+  summarizeSplits,
+  getArchivePath,
+  labelCrop,
+  toCsv,
+  toJsonl
+};
@@ -0,0 +1,83 @@
+// app/utils/embeddings.js - Penultimate-layer embeddings and nearest-neighbour search
+const EMBEDDING_CONFIG = {
+  enabled: process.env.EMBEDDINGS_ENABLED !== 'false',
+  // Max stored predictions scanned by one similarity search
+  searchLimit: parseInt(process.env.SIMILAR_SEARCH_LIMIT) || 5000
+};
+
+// Ops between the embedding and the model output that aren't a layer of their own
+const PASSTHROUGH_OPS = ['Identity', 'Softmax', 'Sigmoid'];
+const DENSE_OPS = ['_FusedMatMul', 'MatMul', 'BiasAdd'];
+
+const stripOutputIndex = (name) => name.replace(/:\d+$/, '');
+
+// Find the input of the classifier's last dense layer by walking back from
+// the output node of a graph-model topology. Returns the node name or null.
+const findEmbeddingNode = (nodes, outputName) => {
+  const byName = new Map(nodes.map(node => [node.name, node]));
+  let node = byName.get(stripOutputIndex(outputName));
+
+  while (node && PASSTHROUGH_OPS.includes(node.op)) {
+    node = byName.get(stripOutputIndex((node.input || [])[0] || ''));
+  }
+
+  // A separate BiasAdd sits on top of its MatMul
+  if (node && node.op === 'BiasAdd') {
+    const matMul = byName.get(stripOutputIndex((node.input || [])[0] || ''));
+    if (matMul && matMul.op === 'MatMul') node = matMul;
+  }
+
+  if (!node || !DENSE_OPS.includes(node.op) || !node.input || !node.input[0]) {
+    return null;
+  }
+  return stripOutputIndex(node.input[0]);
+};
+
+// Output node and embedding node for a loaded model. metadata.embeddingNode
+// overrides the detected node for architectures the walk can't handle.
+const resolveEmbeddingNodes = (model, modelJson, metadata = {}) => {
+  const outputNode = model.outputNodes[0];
+  const nodes = modelJson && modelJson.modelTopology ? modelJson.modelTopology.node || [] : [];
+  // Models exported with a signature name their outputs by key (e.g. output_0)
+  const signatureOutput = modelJson && modelJson.signature && modelJson.signature.outputs
+    ? modelJson.signature.outputs[outputNode]
+    : null;
+  const embeddingNode = metadata.embeddingNode ||
+    findEmbeddingNode(nodes, signatureOutput ? signatureOutput.name : outputNode);
+
+  return { outputNode, embeddingNode };
+};
+
+const l2Normalize = (vector) => {
+  const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+  return norm > 0 ? vector.map(value => value / norm) : vector.slice();
+};
+
+const cosineSimilarity = (a, b) => {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA > 0 && normB > 0 ? dot / Math.sqrt(normA * normB) : 0;
+};
+
+// Brute-force k nearest neighbours by cosine distance (1 - cosine similarity).
+// Candidates are { vector, ... }; vectors of another length are skipped.
+const nearestNeighbours = (query, candidates, k) => candidates
+  .filter(candidate => candidate.vector && candidate.vector.length === query.length)
+  .map(candidate => ({ candidate, distance: 1 - cosineSimilarity(query, candidate.vector) }))
+  .sort((a, b) => a.distance - b.distance)
+  .slice(0, k);
+
+module.exports = {
+  EMBEDDING_CONFIG,
+  findEmbeddingNode,
+  resolveEmbeddingNodes,
+  l2Normalize,
+  cosineSimilarity,
+  nearestNeighbours
+};
@@ -0,0 +1,170 @@
+// app/utils/explanation.js - Occlusion-sensitivity heatmaps for predictions
+const path = require('path');
+const tf = require('@tensorflow/tfjs');
+const sharp = require('sharp');
+const { runModel } = require('./inference');
+const { preprocessImage, getFillValue } = require('./preprocessing');
+
+const EXPLANATION_CONFIG = {
+  // The image is split into gridSize x gridSize cells, each occluded once
+  gridSize: parseInt(process.env.EXPLANATION_GRID_SIZE) || 8,
+  // Occluded copies run through the model this many at a time
+  batchSize: parseInt(process.env.EXPLANATION_BATCH_SIZE) || 16,
+  // Maximum opacity of the overlay on the hottest cell
+  opacity: parseFloat(process.env.EXPLANATION_OPACITY) || 0.6
+};
+
+const EXPLANATION_METHOD = 'occlusion';
+
+// Copy of a [1, H, W, C] input with one grid cell filled with the per-channel `fill`
+const occludeCell = (input, row, col, gridSize, fill) => tf.tidy(() => {
+  const [, height, width] = input.shape;
+  const top = Math.floor((row * height) / gridSize);
+  const bottom = Math.floor(((row + 1) * height) / gridSize);
+  const left = Math.floor((col * width) / gridSize);
+  const right = Math.floor(((col + 1) * width) / gridSize);
+
+  const rows = tf.range(0, height);
+  const cols = tf.range(0, width);
+  const rowMask = rows.greaterEqual(top).logicalAnd(rows.less(bottom)).reshape([height, 1]);
+  const colMask = cols.greaterEqual(left).logicalAnd(cols.less(right)).reshape([1, width]);
+  const mask = rowMask.logicalAnd(colMask).cast('float32').reshape([1, height, width, 1]);
+
+  return input.mul(tf.scalar(1).sub(mask)).add(mask.mul(tf.tensor1d(fill)));
+});
+
+// Slide a gray patch over the image and record how much the target class
+// probability drops. Returns a gridSize x gridSize map scaled to 0..1.
+const computeOcclusionMap = async (modelEntry, imagePath, classIndex, options = {}) => {
+  const gridSize = options.gridSize || EXPLANATION_CONFIG.gridSize;
+  const batchSize = options.batchSize || EXPLANATION_CONFIG.batchSize;
+  // Blank cells out with mid-gray in the model's input range
+  const fill = getFillValue(modelEntry.preprocessing);
+
+  const input = await preprocessImage(imagePath, modelEntry.preprocessing);
+
+  try {
+    const [baseRow] = await runModel(modelEntry, input);
+    const baseProbability = baseRow[classIndex];
+
+    const cells = [];
+    for (let row = 0; row < gridSize; row++) {
+      for (let col = 0; col < gridSize; col++) {
+        cells.push({ row, col });
+      }
+    }
+
+    const drops = new Array(cells.length).fill(0);
+
+    for (let start = 0; start < cells.length; start += batchSize) {
+      const chunk = cells.slice(start, start + batchSize);
+      const batch = tf.tidy(() => tf.concat(
+        chunk.map(cell => occludeCell(input, cell.row, cell.col, gridSize, fill))
+      ));
+
+      let rows;
+      try {
+        rows = await runModel(modelEntry, batch);
+      } finally {
+        batch.dispose();
+      }
+
+      rows.forEach((row, index) => {
+        drops[start + index] = Math.max(0, baseProbability - row[classIndex]);
+      });
+    }
+
+    const maxDrop = Math.max(...drops);
+    const heatmap = [];
+    for (let row = 0; row < gridSize; row++) {
+      heatmap.push(drops
+        .slice(row * gridSize, (row + 1) * gridSize)
+        .map(drop => (maxDrop > 0 ? drop / maxDrop : 0)));
+    }
+
+    return { heatmap, gridSize, baseProbability, maxDrop };
+  } finally {
+    input.dispose();
+  }
+};
+
+// 0..1 -> blue, green, yellow, red
+const heatColor = (value) => {
+  const v = Math.min(1, Math.max(0, value));
+  const r = Math.round(255 * Math.min(1, Math.max(0, 2 * v - 0.5)));
+  const g = Math.round(255 * Math.min(1, Math.max(0, 1.5 - Math.abs(2 * v - 1) * 1.5)));
+  const b = Math.round(255 * Math.min(1, Math.max(0, 1 - 2 * v)));
+  return [r, g, b];
+};
+
+// Draw the heatmap over the original image and write it as a PNG.
+// Cool cells stay mostly transparent so the leaf remains visible.
+const renderHeatmapOverlay = async (imagePath, heatmap, outputPath, options = {}) => {
+  const opacity = options.opacity || EXPLANATION_CONFIG.opacity;
+  const gridSize = heatmap.length;
+  const { width, height } = await sharp(imagePath).metadata();
+
+  const cells = Buffer.alloc(gridSize * gridSize * 4);
+  heatmap.forEach((values, row) => {
+    values.forEach((value, col) => {
+      const offset = (row * gridSize + col) * 4;
+      const [r, g, b] = heatColor(value);
+      cells[offset] = r;
+      cells[offset + 1] = g;
+      cells[offset + 2] = b;
+      cells[offset + 3] = Math.round(255 * opacity * value);
+    });
+  });
+
+  const overlay = await sharp(cells, { raw: { width: gridSize, height: gridSize, channels: 4 } })
+    .resize(width, height, { fit: 'fill', kernel: 'cubic' })
+    .png()
+    .toBuffer();
+
+  await sharp(imagePath)
+    .removeAlpha()
+    .composite([{ input: overlay }])
+    .png()
+    .toFile(outputPath);
+};
+
+// The overlay lives next to the upload: leaf-123.jpg -> leaf-123-explanation.png
+const getExplanationFilename = (imageFilename) => (
+  `${path.basename(imageFilename, path.extname(imageFilename))}-explanation.png`
+);
+
+// Compute and render an explanation for `targetClass` on an uploaded image
+const explainPrediction = async (modelEntry, imagePath, targetClass) => {
+  const classIndex = modelEntry.classNames.indexOf(targetClass);
+  if (classIndex === -1) {
+    throw new Error(`Class ${targetClass} is not in model ${modelEntry.version}`);
+  }
+
+  const startTime = Date.now();
+  const occlusion = await computeOcclusionMap(modelEntry, imagePath, classIndex);
+  const filename = getExplanationFilename(path.basename(imagePath));
+
+  await renderHeatmapOverlay(imagePath, occlusion.heatmap, path.join(path.dirname(imagePath), filename));
+
+  return {
+    method: EXPLANATION_METHOD,
+    filename,
+    imageUrl: `/uploads/${filename}`,
+    targetClass,
+    gridSize: occlusion.gridSize,
+    heatmap: occlusion.heatmap,
+    baseProbability: occlusion.baseProbability,
+    maxDrop: occlusion.maxDrop,
+    modelVersion: modelEntry.version,
+    processingTime: Date.now() - startTime,
+    createdAt: new Date()
+  };
+};
+
+module.exports = {
+  EXPLANATION_CONFIG,
+  computeOcclusionMap,
+  renderHeatmapOverlay,
+  getExplanationFilename,
+  explainPrediction
+};
@@ -0,0 +1,175 @@
+// app/utils/imageQuality.js - Blur, exposure, contrast and leaf-coverage checks on an upload
+const { checkLeaf } = require('./oodGate');
+
+const parseNumber = (value, fallback) => {
+  const parsed = parseFloat(value);
+  return isNaN(parsed) ? fallback : parsed;
+};
+
+const QUALITY_CONFIG = {
+  enabled: process.env.QUALITY_CHECK_ENABLED !== 'false',
+  // When false, problems that would reject an image are only reported as warnings
+  rejectEnabled: process.env.QUALITY_REJECT !== 'false',
+  // Laplacian variance of the greyscale image (higher = sharper)
+  minSharpness: parseNumber(process.env.QUALITY_MIN_SHARPNESS, 100),
+  rejectSharpness: parseNumber(process.env.QUALITY_REJECT_SHARPNESS, 20),
+  // Mean luminance, 0-255
+  minBrightness: parseNumber(process.env.QUALITY_MIN_BRIGHTNESS, 50),
+  maxBrightness: parseNumber(process.env.QUALITY_MAX_BRIGHTNESS, 210),
+  rejectMinBrightness: parseNumber(process.env.QUALITY_REJECT_MIN_BRIGHTNESS, 25),
+  rejectMaxBrightness: parseNumber(process.env.QUALITY_REJECT_MAX_BRIGHTNESS, 235),
+  // Standard deviation of luminance
+  minContrast: parseNumber(process.env.QUALITY_MIN_CONTRAST, 25),
+  rejectContrast: parseNumber(process.env.QUALITY_REJECT_CONTRAST, 10),
+  // Share of clipped pixels
+  maxClippedRatio: parseNumber(process.env.QUALITY_MAX_CLIPPED_RATIO, 0.25),
+  // Share of plant-coloured pixels (see oodGate.checkLeaf)
+  minLeafCoverage: parseNumber(process.env.QUALITY_MIN_LEAF_COVERAGE, 0.2)
+};
+
+// Images are analysed at this size so the cost doesn't depend on the camera
+const ANALYSIS_SIZE = 512;
+
+const SEVERITY = {
+  WARNING: 'warning',
+  REJECT: 'reject'
+};
+
+const ISSUE_MESSAGES = {
+  BLURRY: 'The photo is blurry. Hold the camera steady and tap the leaf to focus.',
+  TOO_DARK: 'The photo is too dark. Take it in daylight or move out of the shade.',
+  TOO_BRIGHT: 'The photo is too bright. Avoid direct sunlight on the leaf or the lens.',
+  LOW_CONTRAST: 'The photo has very little contrast. Make sure the leaf fills the frame and is in focus.',
+  OVEREXPOSED: 'Parts of the photo are washed out. Shade the leaf or change the angle.',
+  UNDEREXPOSED: 'Parts of the photo are too dark to see. Add light or avoid strong shadows.',
+  LOW_LEAF_COVERAGE: 'The leaf covers only a small part of the photo. Move closer so the leaf fills the frame.'
+};
+
+// Luminance statistics and Laplacian variance from a greyscale copy of the image
+// (sharp is loaded here, not at the top, for the same reason as in oodGate.checkLeaf)
+const measureLuminance = async (imagePath) => {
+  const sharp = require('sharp');
+  const { data, info } = await sharp(imagePath)
+    .rotate()
+    .greyscale()
+    .resize(ANALYSIS_SIZE, ANALYSIS_SIZE, { fit: 'inside', withoutEnlargement: true })
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  const { width, height } = info;
+  const pixelCount = width * height;
+
+  let sum = 0;
+  let sumSquares = 0;
+  let brightPixels = 0;
+  let darkPixels = 0;
+  for (let i = 0; i < pixelCount; i++) {
+    const value = data[i];
+    sum += value;
+    sumSquares += value * value;
+    if (value >= 250) brightPixels++;
+    if (value <= 5) darkPixels++;
+  }
+  const brightness = sum / pixelCount;
+  const contrast = Math.sqrt(Math.max(sumSquares / pixelCount - brightness * brightness, 0));
+
+  // 4-neighbour Laplacian over the interior pixels
+  let lapSum = 0;
+  let lapSumSquares = 0;
+  let lapCount = 0;
+  for (let y = 1; y < height - 1; y++) {
+    for (let x = 1; x < width - 1; x++) {
+      const i = y * width + x;
+      const laplacian = data[i - width] + data[i + width] + data[i - 1] + data[i + 1] - 4 * data[i];
+      lapSum += laplacian;
+      lapSumSquares += laplacian * laplacian;
+      lapCount++;
+    }
+  }
+  const lapMean = lapCount > 0 ? lapSum / lapCount : 0;
+  const sharpness = lapCount > 0 ? lapSumSquares / lapCount - lapMean * lapMean : 0;
+
+  return {
+    sharpness,
+    brightness,
+    contrast,
+    overexposedRatio: brightPixels / pixelCount,
+    underexposedRatio: darkPixels / pixelCount
+  };
+};
+
+// Turn scores into issues; each issue is a warning or, past the hard limit, a rejection
+const findIssues = (scores, config = QUALITY_CONFIG) => {
+  const issues = [];
+  const add = (code, rejected) => issues.push({
+    code,
+    severity: rejected && config.rejectEnabled ? SEVERITY.REJECT : SEVERITY.WARNING,
+    message: ISSUE_MESSAGES[code]
+  });
+
+  if (scores.sharpness < config.minSharpness) {
+    add('BLURRY', scores.sharpness < config.rejectSharpness);
+  }
+  if (scores.brightness < config.minBrightness) {
+    add('TOO_DARK', scores.brightness < config.rejectMinBrightness);
+  }
+  if (scores.brightness > config.maxBrightness) {
+    add('TOO_BRIGHT', scores.brightness > config.rejectMaxBrightness);
+  }
+  if (scores.contrast < config.minContrast) {
+    add('LOW_CONTRAST', scores.contrast < config.rejectContrast);
+  }
+  if (scores.overexposedRatio > config.maxClippedRatio) {
+    add('OVEREXPOSED', false);
+  }
+  if (scores.underexposedRatio > config.maxClippedRatio) {
+    add('UNDEREXPOSED', false);
+  }
+  if (scores.leafCoverage !== null && scores.leafCoverage < config.minLeafCoverage) {
+    add('LOW_LEAF_COVERAGE', false);
+  }
+
+  return issues;
+};
+
+const round = (value, digits) => (value === null ? null : Math.round(value * 10 ** digits) / 10 ** digits);
+
+// Score an image file. decision is 'ok', 'warning' (predict but tell the user)
+// or 'rejected' (don't predict).
+const assessImageQuality = async (imagePath) => {
+  const luminance = await measureLuminance(imagePath);
+
+  let leafCoverage = null;
+  try {
+    leafCoverage = (await checkLeaf(imagePath)).leafRatio;
+  } catch (error) {
+    console.error('⚠️ Leaf coverage check failed, skipping:', error.message);
+  }
+
+  const scores = {
+    sharpness: round(luminance.sharpness, 1),
+    brightness: round(luminance.brightness, 1),
+    contrast: round(luminance.contrast, 1),
+    overexposedRatio: round(luminance.overexposedRatio, 4),
+    underexposedRatio: round(luminance.underexposedRatio, 4),
+    leafCoverage: round(leafCoverage, 4)
+  };
+  const issues = findIssues(scores);
+
+  let decision = 'ok';
+  if (issues.some(issue => issue.severity === SEVERITY.REJECT)) {
+    decision = 'rejected';
+  } else if (issues.length > 0) {
+    decision = 'warning';
+  }
+
+  return { decision, ...scores, issues };
+};
+
+module.exports = {
+  QUALITY_CONFIG,
+  SEVERITY,
+  measureLuminance,
+  findIssues,
+  assessImageQuality
+};
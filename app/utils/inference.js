@@ -0,0 +1,122 @@
+// app/utils/inference.js - Model execution helpers
+const tf = require('@tensorflow/tfjs');
+require('@tensorflow/tfjs-backend-cpu');
+const { preprocessImage } = require('./preprocessing');
+const { getAugmentations, buildTtaBatch, groupTtaRows, averageRows } = require('./tta');
+const { l2Normalize } = require('./embeddings');
+
+// Run a registry entry's model on a preprocessed [N, H, W, 3] tensor.
+// Returns one probability array per image in the batch.
+const runModel = async (modelEntry, inputTensor) => {
+  const predictions = modelEntry.model.execute(inputTensor);
+  const output = Array.isArray(predictions) ? predictions[0] : predictions;
+  
+  let rows;
+  try {
+    rows = await output.array();
+  } finally {
+    if (Array.isArray(predictions)) {
+      predictions.forEach(p => p.dispose());
+    } else {
+      predictions.dispose();
+    }
+  }
+  
+  return rows;
+};
+
+// Like runModel, but also fetches the penultimate-layer activations in the same pass.
+// Returns { rows, embeddings } with one entry per image in the batch.
+const runModelWithEmbeddings = async (modelEntry, inputTensor) => {
+  const [output, embeddingOutput] = modelEntry.model.execute(
+    inputTensor,
+    [modelEntry.outputNode, modelEntry.embeddingNode]
+  );
+  
+  try {
+    return {
+      rows: await output.array(),
+      embeddings: await embeddingOutput.reshape([embeddingOutput.shape[0], -1]).array()
+    };
+  } finally {
+    output.dispose();
+    embeddingOutput.dispose();
+  }
+};
+
+// Probabilities, plus embeddings when requested and the model has an embedding node
+const executeBatch = async (modelEntry, inputTensor, options) => {
+  if (options.embeddings && modelEntry.embeddingNode) {
+    return runModelWithEmbeddings(modelEntry, inputTensor);
+  }
+  return { rows: await runModel(modelEntry, inputTensor), embeddings: null };
+};
+
+// Preprocess image files and run them through the model as one batch.
+// Returns one output per path: { rows, augmentations, embedding } where `rows` holds a
+// single probability array, or one per augmented view when options.tta is set.
+// With options.embeddings, `embedding` is the L2-normalized penultimate-layer vector
+// (averaged over augmented views), otherwise null.
+// Images that fail preprocessing get { error } without failing the others.
+const runInference = async (modelEntry, imagePaths, options = {}) => {
+  const outputs = imagePaths.map(() => null);
+  const tensors = [];
+  const indices = [];
+
+  for (let i = 0; i < imagePaths.length; i++) {
+    try {
+      tensors.push(await preprocessImage(imagePaths[i], modelEntry.preprocessing));
+      indices.push(i);
+    } catch (error) {
+      outputs[i] = { error: error.message };
+    }
+  }
+
+  if (tensors.length === 0) {
+    return outputs;
+  }
+
+  const batch = tf.concat(tensors);
+  tensors.forEach(tensor => tensor.dispose());
+
+  try {
+    if (!options.tta) {
+      const { rows, embeddings } = await executeBatch(modelEntry, batch, options);
+      rows.forEach((row, k) => {
+        outputs[indices[k]] = {
+          rows: [row],
+          augmentations: null,
+          embedding: embeddings ? l2Normalize(embeddings[k]) : null
+        };
+      });
+      return outputs;
+    }
+
+    const augmentations = getAugmentations(batch.shape);
+    const ttaBatch = buildTtaBatch(batch, augmentations);
+
+    let result;
+    try {
+      result = await executeBatch(modelEntry, ttaBatch, options);
+    } finally {
+      ttaBatch.dispose();
+    }
+
+    const embeddingGroups = result.embeddings ? groupTtaRows(result.embeddings, indices.length) : null;
+    groupTtaRows(result.rows, indices.length).forEach((group, k) => {
+      outputs[indices[k]] = {
+        rows: group,
+        augmentations,
+        embedding: embeddingGroups ? l2Normalize(averageRows(embeddingGroups[k])) : null
+      };
+    });
+    return outputs;
+  } finally {
+    batch.dispose();
+  }
+};
+
+module.exports = {
+  runModel,
+  runInference
+};
@@ -0,0 +1,318 @@
+// app/utils/inferencePool.js - Pool of worker threads that run model inference
+// off the main thread, so a slow prediction doesn't stall other routes.
+const path = require('path');
+const { Worker } = require('worker_threads');
+const { runInference } = require('./inference');
+const { explainPrediction } = require('./explanation');
+
+const WORKER_SCRIPT = path.join(__dirname, 'inferenceWorker.js');
+
+const timeoutError = (timeoutMs) => {
+  const error = new Error(`Inference timed out after ${timeoutMs}ms`);
+  error.code = 'INFERENCE_TIMEOUT';
+  error.timeoutMs = timeoutMs;
+  return error;
+};
+
+// Main-thread work can't be interrupted; the caller just stops waiting for it.
+// `settled` on the returned promise tracks the work itself, so whoever holds a
+// concurrency slot for it can keep holding it until the work is really done.
+const withTimeout = (promise, timeoutMs) => {
+  if (!timeoutMs) return promise;
+
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(timeoutError(timeoutMs)), timeoutMs);
+  });
+  const raced = Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+  raced.settled = promise.then(() => {}, () => {});
+  return raced;
+};
+
+class InferencePool {
+  constructor(options = {}) {
+    this.size = options.size || 0;           // 0 runs inference on the main thread
+    this.maxQueued = options.maxQueued || 50;
+    // A crashed worker is restarted after restartDelayMs, doubling up to
+    // maxRestartDelayMs; after maxRestarts crashes in a row it stays down
+    this.restartDelayMs = options.restartDelayMs || 1000;
+    this.maxRestartDelayMs = options.maxRestartDelayMs || 30000;
+    this.maxRestarts = options.maxRestarts !== undefined ? options.maxRestarts : 5;
+
+    this.workers = [];
+    this.pending = [];
+    this.nextWorker = 0;
+    this.nextJobId = 1;
+    this.rejected = 0;
+    this.timedOut = 0;
+    this.restarts = 0;
+    this.lastCrash = null;
+  }
+
+  get enabled() {
+    return this.size > 0;
+  }
+
+  // Every worker has given up restarting; jobs fail with POOL_DEGRADED
+  get degraded() {
+    return this.enabled && this.workers.length > 0 && this.workers.every(slot => slot.failed);
+  }
+
+  // Workers start on first use, so requiring the controller stays cheap
+  start() {
+    while (this.workers.length < this.size) {
+      this.workers.push(this.spawn(this.workers.length));
+    }
+  }
+
+  spawn(index, crashCount = 0) {
+    const worker = new Worker(WORKER_SCRIPT);
+    const slot = {
+      index,
+      worker,
+      job: null,
+      crashed: false,
+      failed: false,
+      crashCount,           // crashes in a row, reset by a finished job
+      restartTimer: null,
+      modelVersion: null,
+      jobsCompleted: 0,
+      jobsFailed: 0,
+      memory: null,
+      memoryUpdatedAt: null,
+      startedAt: new Date()
+    };
+
+    worker.on('message', reply => this.handleReply(slot, reply));
+    worker.on('error', error => this.handleCrash(slot, error));
+    worker.on('exit', code => {
+      if (code !== 0) {
+        this.handleCrash(slot, new Error(`Inference worker exited with code ${code}`));
+      }
+    });
+
+    // Idle workers must not keep the process alive (after the listeners, which re-ref)
+    worker.unref();
+
+    return slot;
+  }
+
+  handleReply(slot, reply) {
+    const job = slot.job;
+    slot.job = null;
+    slot.worker.unref();
+    slot.modelVersion = reply.version;
+    slot.memory = reply.memory;
+    slot.memoryUpdatedAt = new Date();
+    slot.crashCount = 0;
+
+    if (job && job.id === reply.id) {
+      if (reply.error) {
+        slot.jobsFailed++;
+        job.reject(new Error(reply.error));
+      } else {
+        slot.jobsCompleted++;
+        job.resolve(reply.result);
+      }
+    }
+
+    this.dispatch();
+  }
+
+  // Fail the worker's current job and replace the worker after a backoff.
+  // A worker we stopped for a timeout is replaced at once and isn't counted.
+  handleCrash(slot, error) {
+    if (slot.crashed) return;
+    slot.crashed = true;
+
+    console.error(`❌ Inference worker ${slot.index} stopped:`, error.message);
+
+    if (slot.job) {
+      slot.job.reject(error);
+      slot.job = null;
+    }
+
+    if (this.workers[slot.index] !== slot) return;
+
+    if (error.code === 'INFERENCE_TIMEOUT') {
+      this.workers[slot.index] = this.spawn(slot.index, slot.crashCount);
+      this.dispatch();
+      return;
+    }
+
+    slot.crashCount++;
+    this.lastCrash = { worker: slot.index, error: error.message, at: new Date() };
+
+    if (slot.crashCount > this.maxRestarts) {
+      slot.failed = true;
+      console.error(`💀 Inference worker ${slot.index} crashed ${slot.crashCount} times in a row, not restarting`);
+      if (this.degraded) {
+        this.failPending();
+      }
+      return;
+    }
+
+    const delay = Math.min(this.restartDelayMs * 2 ** (slot.crashCount - 1), this.maxRestartDelayMs);
+    console.log(`🔁 Restarting inference worker ${slot.index} in ${delay}ms`);
+
+    slot.restartTimer = setTimeout(() => {
+      if (this.workers[slot.index] !== slot) return;
+      this.restarts++;
+      this.workers[slot.index] = this.spawn(slot.index, slot.crashCount);
+      this.dispatch();
+    }, delay);
+    slot.restartTimer.unref();
+  }
+
+  degradedError() {
+    const error = new Error(`Inference workers are down: ${this.lastCrash ? this.lastCrash.error : 'unknown error'}`);
+    error.code = 'POOL_DEGRADED';
+    return error;
+  }
+
+  // Reject everything still queued once no worker is left to run it
+  failPending() {
+    const jobs = this.pending.splice(0);
+    jobs.forEach(job => job.reject(this.degradedError()));
+  }
+
+  // Queue a job for the workers. Rejects with code POOL_QUEUE_FULL when the queue
+  // is full, POOL_DEGRADED when every worker has stopped restarting, and with
+  // INFERENCE_TIMEOUT when it doesn't finish within timeoutMs.
+  submit(message, timeoutMs) {
+    this.start();
+
+    if (this.degraded) {
+      return Promise.reject(this.degradedError());
+    }
+
+    if (this.pending.length >= this.maxQueued) {
+      this.rejected++;
+      const error = new Error('Inference queue is full');
+      error.code = 'POOL_QUEUE_FULL';
+      return Promise.reject(error);
+    }
+
+    return new Promise((resolve, reject) => {
+      const job = { id: this.nextJobId++, message, timer: null };
+      job.resolve = (result) => {
+        clearTimeout(job.timer);
+        resolve(result);
+      };
+      job.reject = (error) => {
+        clearTimeout(job.timer);
+        reject(error);
+      };
+
+      if (timeoutMs) {
+        job.timer = setTimeout(() => this.timeoutJob(job, timeoutMs), timeoutMs);
+      }
+
+      this.pending.push(job);
+      this.dispatch();
+    });
+  }
+
+  // Drop a queued job, or stop the worker running it so its slot is really freed
+  timeoutJob(job, timeoutMs) {
+    this.timedOut++;
+    const error = timeoutError(timeoutMs);
+
+    const index = this.pending.indexOf(job);
+    if (index !== -1) {
+      this.pending.splice(index, 1);
+      job.reject(error);
+      return;
+    }
+
+    const slot = this.workers.find(worker => worker.job === job);
+    if (slot) {
+      this.handleCrash(slot, error);
+      slot.worker.terminate();
+    }
+  }
+
+  // Hand queued jobs to idle workers in round-robin order
+  dispatch() {
+    while (this.pending.length > 0) {
+      const slot = this.findIdleWorker();
+      if (!slot) return;
+
+      const job = this.pending.shift();
+      slot.job = job;
+      slot.worker.ref();
+      slot.worker.postMessage({ ...job.message, id: job.id });
+    }
+  }
+
+  findIdleWorker() {
+    for (let i = 0; i < this.workers.length; i++) {
+      const slot = this.workers[(this.nextWorker + i) % this.workers.length];
+      if (!slot.job && !slot.crashed) {
+        this.nextWorker = (slot.index + 1) % this.workers.length;
+        return slot;
+      }
+    }
+    return null;
+  }
+
+  // Run image files through `modelEntry`'s version (see runInference for the output shape)
+  predict(modelEntry, imagePaths, options = {}) {
+    if (!this.enabled) {
+      return withTimeout(runInference(modelEntry, imagePaths, options), options.timeoutMs);
+    }
+
+    return this.submit({
+      type: 'predict',
+      version: modelEntry.version,
+      imagePaths,
+      options: { tta: !!options.tta, embeddings: !!options.embeddings }
+    }, options.timeoutMs);
+  }
+
+  // Compute and render an occlusion heatmap (see explainPrediction)
+  explain(modelEntry, imagePath, targetClass, options = {}) {
+    if (!this.enabled) {
+      return withTimeout(explainPrediction(modelEntry, imagePath, targetClass), options.timeoutMs);
+    }
+
+    return this.submit({
+      type: 'explain',
+      version: modelEntry.version,
+      imagePath,
+      targetClass
+    }, options.timeoutMs);
+  }
+
+  getStats() {
+    return {
+      enabled: this.enabled,
+      size: this.size,
+      maxQueued: this.maxQueued,
+      queued: this.pending.length,
+      busy: this.workers.filter(slot => slot.job).length,
+      rejected: this.rejected,
+      timedOut: this.timedOut,
+      degraded: this.degraded,
+      restarts: this.restarts,
+      maxRestarts: this.maxRestarts,
+      lastCrash: this.lastCrash,
+      // Memory is the worker's own heap as of its last finished job
+      workers: this.workers.map(slot => ({
+        index: slot.index,
+        threadId: slot.worker.threadId,
+        busy: !!slot.job,
+        status: slot.failed ? 'failed' : slot.crashed ? 'restarting' : 'running',
+        crashCount: slot.crashCount,
+        modelVersion: slot.modelVersion,
+        jobsCompleted: slot.jobsCompleted,
+        jobsFailed: slot.jobsFailed,
+        memory: slot.memory,
+        memoryUpdatedAt: slot.memoryUpdatedAt,
+        startedAt: slot.startedAt
+      }))
+    };
+  }
+}
+
+module.exports = { InferencePool };
@@ -0,0 +1,52 @@
+// app/utils/inferenceRuntime.js - The process-wide inference pool and concurrency cap,
+// shared by every controller that runs the model
+const modelRegistry = require('./modelRegistry');
+const { InferencePool } = require('./inferencePool');
+const { ConcurrencyLimiter } = require('./concurrencyLimiter');
+
+// Inference runs in worker threads, each with its own copy of the model.
+// INFERENCE_WORKERS=0 keeps it on the main thread.
+const inferencePool = new InferencePool({
+  size: process.env.INFERENCE_WORKERS !== undefined ? parseInt(process.env.INFERENCE_WORKERS) || 0 : 2,
+  maxQueued: parseInt(process.env.INFERENCE_QUEUE_MAX) || 50,
+  maxRestarts: process.env.INFERENCE_WORKER_MAX_RESTARTS !== undefined ? parseInt(process.env.INFERENCE_WORKER_MAX_RESTARTS) || 0 : 5
+});
+
+// With workers the main thread only validates a model at load and keeps its
+// shapes; the weights live in the workers alone
+modelRegistry.configure({ keepWeights: !inferencePool.enabled });
+
+// Cap on inferences running at once; further requests wait in a bounded queue
+// and get 429 once it is full. Each inference also gets a time limit.
+const inferenceLimiter = new ConcurrencyLimiter({
+  maxConcurrent: parseInt(process.env.INFERENCE_MAX_CONCURRENT) || Math.max(inferencePool.size, 1),
+  maxQueued: process.env.INFERENCE_MAX_WAITING !== undefined ? parseInt(process.env.INFERENCE_MAX_WAITING) || 0 : 20,
+  maxWaitMs: process.env.INFERENCE_MAX_WAIT_MS !== undefined ? parseInt(process.env.INFERENCE_MAX_WAIT_MS) || 0 : 30000
+});
+const INFERENCE_TIMEOUT_MS = parseInt(process.env.INFERENCE_TIMEOUT_MS) || 30000;
+// An occlusion heatmap runs gridSize² extra forward passes, so it gets its own, longer limit
+const EXPLANATION_TIMEOUT_MS = parseInt(process.env.EXPLANATION_TIMEOUT_MS) || INFERENCE_TIMEOUT_MS * 4;
+
+// Hold an inference slot while `task` runs. A timed-out main-thread inference
+// keeps burning CPU, so its slot stays taken until the work itself settles.
+const withInferenceSlot = async (task) => {
+  const release = await inferenceLimiter.acquire();
+  let running;
+  try {
+    running = task();
+  } catch (error) {
+    release();
+    throw error;
+  }
+
+  Promise.resolve(running.settled || running).then(release, release);
+  return running;
+};
+
+module.exports = {
+  inferencePool,
+  inferenceLimiter,
+  INFERENCE_TIMEOUT_MS,
+  EXPLANATION_TIMEOUT_MS,
+  withInferenceSlot
+};
@@ -0,0 +1,58 @@
+// app/utils/inferenceWorker.js - Worker thread holding its own copy of a model.
+// Jobs name the model version they need; the worker reloads when it changes.
+const { parentPort } = require('worker_threads');
+const v8 = require('v8');
+const tf = require('@tensorflow/tfjs');
+const modelRegistry = require('./modelRegistry');
+const { runInference } = require('./inference');
+const { explainPrediction } = require('./explanation');
+
+let modelEntry = null;
+
+const ensureModel = async (version) => {
+  if (modelEntry && modelEntry.version === version && modelEntry.model) {
+    return modelEntry;
+  }
+
+  if (modelEntry) {
+    modelRegistry.dispose(modelEntry);
+    modelEntry = null;
+  }
+
+  await tf.setBackend('cpu');
+  modelRegistry.discover();
+  modelEntry = await modelRegistry.load(version, { strict: true });
+  return modelEntry;
+};
+
+// Heap of this worker's isolate plus what tfjs holds in it
+const getMemory = () => {
+  const heap = v8.getHeapStatistics();
+  const tfMemory = tf.memory();
+  return {
+    heapUsed: heap.used_heap_size,
+    heapTotal: heap.total_heap_size,
+    tfBytes: tfMemory.numBytes,
+    tfTensors: tfMemory.numTensors
+  };
+};
+
+const handlers = {
+  predict: (entry, message) => runInference(entry, message.imagePaths, message.options),
+  explain: (entry, message) => explainPrediction(entry, message.imagePath, message.targetClass)
+};
+
+parentPort.on('message', async (message) => {
+  const reply = { id: message.id };
+
+  try {
+    const entry = await ensureModel(message.version);
+    reply.result = await handlers[message.type](entry, message);
+  } catch (error) {
+    reply.error = error.message;
+  }
+
+  reply.version = modelEntry ? modelEntry.version : null;
+  reply.memory = getMemory();
+  parentPort.postMessage(reply);
+});
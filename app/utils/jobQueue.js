@@ -0,0 +1,106 @@
+// app/utils/jobQueue.js - In-process queue for async prediction jobs
+const crypto = require('crypto');
+
+// Jobs run through a fixed number of worker slots; finished jobs are kept for a
+// while so clients can poll their status.
+class JobQueue {
+  constructor(options = {}) {
+    this.concurrency = options.concurrency || 2;
+    this.maxQueued = options.maxQueued || 100;
+    this.retentionMs = options.retentionMs || 60 * 60 * 1000; // Keep finished jobs for 1 hour
+
+    this.jobs = new Map();
+    this.pending = [];
+    this.running = 0;
+  }
+
+  // Add a job. `handler` is an async function whose return value becomes job.result.
+  // Returns null when the queue is full.
+  enqueue(handler, meta = {}) {
+    this.pruneFinished();
+
+    if (this.pending.length >= this.maxQueued) {
+      return null;
+    }
+
+    const job = {
+      id: crypto.randomUUID(),
+      status: 'queued',
+      meta,
+      result: null,
+      error: null,
+      createdAt: new Date(),
+      startedAt: null,
+      finishedAt: null,
+      handler
+    };
+
+    this.jobs.set(job.id, job);
+    this.pending.push(job);
+    this.drain();
+
+    return job;
+  }
+
+  get(id) {
+    return this.jobs.get(id) || null;
+  }
+
+  // 1-based position of a queued job, 0 once it has started
+  position(id) {
+    const index = this.pending.findIndex(job => job.id === id);
+    return index + 1;
+  }
+
+  drain() {
+    while (this.running < this.concurrency && this.pending.length > 0) {
+      const job = this.pending.shift();
+      this.run(job);
+    }
+  }
+
+  async run(job) {
+    this.running++;
+    job.status = 'running';
+    job.startedAt = new Date();
+
+    try {
+      job.result = await job.handler();
+      job.status = 'done';
+    } catch (error) {
+      job.status = 'failed';
+      job.error = error.message;
+      console.error(`❌ Job ${job.id} failed:`, error.message);
+    } finally {
+      job.finishedAt = new Date();
+      job.handler = null;
+      this.running--;
+      this.drain();
+    }
+  }
+
+  pruneFinished() {
+    const cutoff = Date.now() - this.retentionMs;
+
+    for (const [id, job] of this.jobs) {
+      if (job.finishedAt && job.finishedAt.getTime() < cutoff) {
+        this.jobs.delete(id);
+      }
+    }
+  }
+
+  getStats() {
+    const counts = { queued: 0, running: 0, done: 0, failed: 0 };
+    for (const job of this.jobs.values()) {
+      counts[job.status]++;
+    }
+
+    return {
+      concurrency: this.concurrency,
+      maxQueued: this.maxQueued,
+      ...counts
+    };
+  }
+}
+
+module.exports = { JobQueue };
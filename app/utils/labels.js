@@ -0,0 +1,98 @@
+// app/utils/labels.js - Helpers for `Crop__condition` class labels
+const HEALTHY_CONDITION = 'healthy';
+
+// 'Tomato__late_blight' -> { crop: 'Tomato', condition: 'late_blight', isHealthy: false }
+const parseLabel = (label) => {
+  const separatorIndex = label.indexOf('__');
+
+  if (separatorIndex === -1) {
+    return { crop: null, condition: label, isHealthy: label.toLowerCase() === HEALTHY_CONDITION };
+  }
+
+  const crop = label.substring(0, separatorIndex);
+  const condition = label.substring(separatorIndex + 2);
+
+  return {
+    crop,
+    condition,
+    isHealthy: condition.toLowerCase() === HEALTHY_CONDITION
+  };
+};
+
+// Unique crop names in label order
+const getCrops = (classNames) => {
+  const crops = [];
+  classNames.forEach(label => {
+    const { crop } = parseLabel(label);
+    if (crop && !crops.includes(crop)) crops.push(crop);
+  });
+  return crops;
+};
+
+// Crop-level and healthy/diseased probabilities from a list of { class, confidence }
+const buildHierarchy = (allPredictions, predictedClass) => {
+  const total = allPredictions.reduce((sum, p) => sum + p.confidence, 0) || 1;
+  const cropTotals = {};
+  let healthyProbability = 0;
+
+  allPredictions.forEach(p => {
+    const { crop, isHealthy } = parseLabel(p.class);
+    const probability = p.confidence / total;
+
+    if (crop) {
+      cropTotals[crop] = (cropTotals[crop] || 0) + probability;
+    }
+    if (isHealthy) {
+      healthyProbability += probability;
+    }
+  });
+
+  const predicted = parseLabel(predictedClass);
+
+  return {
+    crop: predicted.crop,
+    condition: predicted.condition,
+    isHealthy: predicted.isHealthy,
+    cropProbability: predicted.crop ? cropTotals[predicted.crop] || 0 : null,
+    healthyProbability,
+    diseasedProbability: 1 - healthyProbability,
+    crops: Object.keys(cropTotals)
+      .map(crop => ({ crop, probability: cropTotals[crop] }))
+      .sort((a, b) => b.probability - a.probability)
+  };
+};
+
+// Case-insensitive lookup of a crop name; returns the canonical name or null
+const resolveCrop = (name, classNames) => {
+  if (!name) return null;
+  const wanted = String(name).trim().toLowerCase();
+  return getCrops(classNames).find(crop => crop.toLowerCase() === wanted) || null;
+};
+
+// Zero out every class outside `crop` and renormalize the rest to sum to 1.
+// `massInCrop` is how much probability the model put on that crop before masking.
+const constrainToCrop = (probabilities, classNames, crop) => {
+  const mask = classNames.map(label => parseLabel(label).crop === crop);
+  const massInCrop = probabilities.reduce((sum, p, index) => sum + (mask[index] ? p : 0), 0);
+  const allowed = mask.filter(Boolean).length;
+
+  if (allowed === 0) {
+    throw new Error(`No classes found for crop: ${crop}`);
+  }
+
+  const constrained = probabilities.map((p, index) => {
+    if (!mask[index]) return 0;
+    // Fall back to a uniform distribution when the model gave the crop no mass at all
+    return massInCrop > 0 ? p / massInCrop : 1 / allowed;
+  });
+
+  return { probabilities: constrained, massInCrop };
+};
+
+module.exports = {
+  parseLabel,
+  getCrops,
+  resolveCrop,
+  buildHierarchy,
+  constrainToCrop
+};
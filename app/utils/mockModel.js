@@ -0,0 +1,56 @@
+// app/utils/mockModel.js - Deterministic stand-in for the real model (development and tests only)
+const fs = require('fs');
+const crypto = require('crypto');
+
+const MOCK_CONFIG = {
+  // Never on by default: mock results must not end up in real history
+  enabled: process.env.MOCK_MODEL === 'true',
+  version: 'mock'
+};
+
+// mulberry32: small seeded PRNG, same seed -> same sequence
+const createRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+const hashImageFile = (imagePath) => (
+  crypto.createHash('sha256').update(fs.readFileSync(imagePath)).digest('hex')
+);
+
+// Softmax over seeded logits: one clear winner per image, stable across runs
+const mockProbabilities = (classCount, imageHash) => {
+  const random = createRandom(parseInt(imageHash.substring(0, 8), 16));
+  const logits = Array.from({ length: classCount }, () => random() * 2);
+  logits[Math.floor(random() * classCount)] += 5;
+  const maxLogit = Math.max(...logits);
+  const exps = logits.map(logit => Math.exp(logit - maxLogit));
+  const sum = exps.reduce((total, value) => total + value, 0);
+  return exps.map(value => value / sum);
+};
+
+// Same output shape as runInference, one probability row per image
+const runMockInference = async (modelEntry, imagePaths) => imagePaths.map(imagePath => {
+  try {
+    return {
+      rows: [mockProbabilities(modelEntry.classNames.length, hashImageFile(imagePath))],
+      augmentations: null,
+      embedding: null
+    };
+  } catch (error) {
+    return { error: error.message };
+  }
+});
+
+module.exports = {
+  MOCK_CONFIG,
+  hashImageFile,
+  mockProbabilities,
+  runMockInference
+};
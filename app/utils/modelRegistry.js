@@ -0,0 +1,522 @@
+// app/utils/modelRegistry.js - Versioned model registry with hot-swap
+const tf = require('@tensorflow/tfjs');
+require('@tensorflow/tfjs-backend-cpu');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { DEFAULT_PREPROCESSING, resolvePreprocessingConfig } = require('./preprocessing');
+const { EMBEDDING_CONFIG, resolveEmbeddingNodes } = require('./embeddings');
+
+const MODELS_DIR = process.env.MODELS_DIR || (process.env.NODE_ENV === 'production'
+  ? path.join(process.cwd(), 'models')
+  : path.join(__dirname, '../../models'));
+
+// Activation state survives restarts
+const REGISTRY_STATE_PATH = path.join(MODELS_DIR, 'registry.json');
+
+// Shared labels file used by model directories that don't ship their own
+const SHARED_LABELS_PATH = path.join(MODELS_DIR, 'labels.txt');
+
+const DEFAULT_CLASS_NAMES = [
+  'Chili__healthy', 'Chili__leaf curl', 'Chili__leaf spot', 'Chili__whitefly',
+  'Corn__common_rust', 'Corn__gray_leaf_spot', 'Corn__healthy', 'Corn__northern_leaf_blight',
+  'Rice__brown_spot', 'Rice__healthy', 'Rice__leaf_blast', 'Rice__neck_blast',
+  'Tomato__early_blight', 'Tomato__healthy', 'Tomato__late_blight', 'Tomato__yellow_leaf_curl_virus'
+];
+
+// Load a graph model from disk, falling back to a custom IO handler that
+// concatenates the weight shards itself when the file:// URL loader fails.
+const loadGraphModel = async (modelPath) => {
+  try {
+    const modelUrl = `file://${modelPath.replace(/\\/g, '/')}`;
+    console.log('🔄 Attempting to load graph model from:', modelUrl);
+    const model = await tf.loadGraphModel(modelUrl);
+    console.log('✅ Graph model loaded successfully via URL');
+    return model;
+  } catch (urlError) {
+    console.log('⚠️  URL loading failed, trying custom IO handler...');
+  }
+
+  const modelData = JSON.parse(fs.readFileSync(modelPath, 'utf8'));
+  console.log('📄 Model JSON loaded successfully');
+
+  const ioHandler = {
+    load: async () => {
+      console.log('⬇️  Loading model weights...');
+
+      const weightsManifest = modelData.weightsManifest;
+      const weightData = [];
+      const modelDir = path.dirname(modelPath);
+
+      for (const manifest of weightsManifest) {
+        for (const weightPath of manifest.paths) {
+          const weightFilePath = path.join(modelDir, weightPath);
+          if (fs.existsSync(weightFilePath)) {
+            console.log(`📦 Reading weight file: ${weightPath}`);
+            weightData.push(fs.readFileSync(weightFilePath));
+          } else {
+            throw new Error(`Weight file not found: ${weightFilePath}`);
+          }
+        }
+      }
+
+      const totalLength = weightData.reduce((sum, buffer) => sum + buffer.length, 0);
+      const concatenated = new Uint8Array(totalLength);
+      let offset = 0;
+
+      for (const buffer of weightData) {
+        concatenated.set(new Uint8Array(buffer), offset);
+        offset += buffer.length;
+      }
+
+      console.log(`📊 Total weight data size: ${(totalLength / 1024 / 1024).toFixed(2)} MB`);
+
+      return {
+        modelTopology: modelData.modelTopology,
+        weightSpecs: weightsManifest[0].weights,
+        weightData: concatenated.buffer,
+        format: modelData.format,
+        generatedBy: modelData.generatedBy,
+        convertedBy: modelData.convertedBy,
+        signature: modelData.signature
+      };
+    }
+  };
+
+  const model = await tf.loadGraphModel(ioHandler);
+  console.log('✅ Graph model loaded successfully via custom IO handler');
+  return model;
+};
+
+// SHA-256 over model.json followed by every weight shard in manifest order.
+// Returns null when a shard is missing, since the hash would not identify the weights.
+const hashModelFiles = (modelPath) => {
+  try {
+    const hash = crypto.createHash('sha256');
+    const modelJson = fs.readFileSync(modelPath);
+    hash.update(modelJson);
+
+    const modelData = JSON.parse(modelJson.toString('utf8'));
+    const modelDir = path.dirname(modelPath);
+
+    for (const manifest of modelData.weightsManifest || []) {
+      for (const weightPath of manifest.paths) {
+        hash.update(fs.readFileSync(path.join(modelDir, weightPath)));
+      }
+    }
+
+    return hash.digest('hex');
+  } catch (error) {
+    console.error('⚠️  Failed to hash model files:', error.message);
+    return null;
+  }
+};
+
+const hashLabels = (classNames) => crypto
+  .createHash('sha256')
+  .update(classNames.join('\n'))
+  .digest('hex');
+
+const readLabels = (labelsPath) => {
+  if (labelsPath && fs.existsSync(labelsPath)) {
+    return fs.readFileSync(labelsPath, 'utf8')
+      .split('\n')
+      .map(line => line.trim())
+      .filter(line => line !== '');
+  }
+  return null;
+};
+
+class ModelRegistry {
+  constructor() {
+    this.entries = new Map();   // version -> descriptor (paths + metadata)
+    this.loaded = new Map();    // version -> loaded entry (model + labels + refCount)
+    this.active = null;         // currently active loaded entry
+    this.history = [];          // previously active versions, most recent last
+    this.initPromise = null;
+    this.activation = Promise.resolve();  // tail of the chain of pending activations
+    this.keepWeights = true;    // false: drop weights after the load check (workers hold them)
+  }
+
+  configure({ keepWeights } = {}) {
+    if (keepWeights !== undefined) {
+      this.keepWeights = keepWeights;
+    }
+  }
+
+  // Find every directory under MODELS_DIR that contains a model.json
+  discover() {
+    this.entries.clear();
+
+    if (!fs.existsSync(MODELS_DIR)) {
+      console.log('⚠️  Models directory not found at:', MODELS_DIR);
+      return [];
+    }
+
+    const dirs = fs.readdirSync(MODELS_DIR, { withFileTypes: true })
+      .filter(dirent => dirent.isDirectory())
+      .map(dirent => dirent.name)
+      .sort();
+
+    for (const dirName of dirs) {
+      const dir = path.join(MODELS_DIR, dirName);
+      const modelPath = path.join(dir, 'model.json');
+      if (!fs.existsSync(modelPath)) continue;
+
+      let metadata = {};
+      const metadataPath = path.join(dir, 'metadata.json');
+      if (fs.existsSync(metadataPath)) {
+        try {
+          metadata = JSON.parse(fs.readFileSync(metadataPath, 'utf8'));
+        } catch (error) {
+          console.error(`⚠️  Invalid metadata.json in ${dirName}:`, error.message);
+        }
+      }
+
+      const version = String(metadata.version || dirName);
+      if (this.entries.has(version)) {
+        console.error(`⚠️  Duplicate model version "${version}" in ${dirName}, skipping`);
+        continue;
+      }
+
+      const ownLabels = path.join(dir, metadata.labels || 'labels.txt');
+
+      this.entries.set(version, {
+        version,
+        directory: dir,
+        modelPath,
+        metadataPath,
+        labelsPath: fs.existsSync(ownLabels) ? ownLabels : SHARED_LABELS_PATH,
+        metadata: { ...metadata, version }
+      });
+    }
+
+    return Array.from(this.entries.keys());
+  }
+
+  readState() {
+    try {
+      if (fs.existsSync(REGISTRY_STATE_PATH)) {
+        return JSON.parse(fs.readFileSync(REGISTRY_STATE_PATH, 'utf8'));
+      }
+    } catch (error) {
+      console.error('⚠️  Failed to read model registry state:', error.message);
+    }
+    return {};
+  }
+
+  writeState() {
+    try {
+      fs.writeFileSync(REGISTRY_STATE_PATH, JSON.stringify({
+        active: this.active ? this.active.version : null,
+        history: this.history,
+        updatedAt: new Date().toISOString()
+      }, null, 2));
+    } catch (error) {
+      // Read-only filesystems (e.g. some deployments) keep the state in memory only
+      console.error('⚠️  Failed to persist model registry state:', error.message);
+    }
+  }
+
+  // Load labels and weights for one version and warm the model up.
+  // `strict` makes a weight loading failure throw instead of yielding an entry without model.
+  async load(version, { strict = false } = {}) {
+    const descriptor = this.entries.get(version);
+    if (!descriptor) {
+      throw new Error(`Unknown model version: ${version}`);
+    }
+
+    const entry = {
+      ...descriptor,
+      model: null,
+      ready: false,         // loaded and warmed up, even if the weights were dropped since
+      inputShape: null,
+      outputShape: null,
+      numOutputs: null,
+      classNames: readLabels(descriptor.labelsPath) || DEFAULT_CLASS_NAMES,
+      loadedAt: null,
+      loadError: null,
+      refCount: 0,
+      retired: false
+    };
+
+    if (!readLabels(descriptor.labelsPath)) {
+      console.log('⚠️  Labels file not found, using default labels');
+    }
+    console.log(`✅ Loaded ${entry.classNames.length} class labels for model ${version}`);
+
+    // Provenance recorded on every prediction made with this entry
+    entry.modelHash = hashModelFiles(descriptor.modelPath);
+    entry.labelsHash = hashLabels(entry.classNames);
+    entry.preprocessing = { ...DEFAULT_PREPROCESSING };
+    entry.outputNode = null;
+    entry.embeddingNode = null;
+
+    try {
+      console.log('📥 Loading model from:', descriptor.modelPath);
+      entry.model = await loadGraphModel(descriptor.modelPath);
+      console.log('📐 Model input shape:', entry.model.inputs[0].shape);
+
+      // Input size falls back to the model's own input shape when metadata has none
+      entry.preprocessing = resolvePreprocessingConfig(entry.metadata, entry.model.inputs[0].shape);
+      console.log('🖼️  Preprocessing:', JSON.stringify(entry.preprocessing));
+
+      if (EMBEDDING_CONFIG.enabled) {
+        const modelJson = JSON.parse(fs.readFileSync(descriptor.modelPath, 'utf8'));
+        Object.assign(entry, resolveEmbeddingNodes(entry.model, modelJson, entry.metadata));
+        console.log('🧬 Embedding node:', entry.embeddingNode || 'not found, embeddings disabled');
+      }
+
+      console.log('🔥 Warming up model...');
+      const [height, width] = entry.preprocessing.inputSize;
+      const dummyInput = tf.zeros([1, height, width, 3]);
+      const warmupPrediction = entry.model.execute(dummyInput);
+
+      entry.inputShape = entry.model.inputs[0].shape;
+      if (Array.isArray(warmupPrediction)) {
+        entry.outputShape = warmupPrediction[0].shape;
+        entry.numOutputs = warmupPrediction.length;
+        warmupPrediction.forEach(p => p.dispose());
+      } else {
+        entry.outputShape = warmupPrediction.shape;
+        entry.numOutputs = 1;
+        warmupPrediction.dispose();
+      }
+      console.log('📐 Output shape:', entry.outputShape);
+
+      dummyInput.dispose();
+      entry.loadedAt = new Date();
+      entry.ready = true;
+      console.log(`✅ Model ${version} warmed up successfully`);
+
+      if (!this.keepWeights) {
+        entry.model.dispose();
+        entry.model = null;
+        console.log(`📤 Model ${version} weights released on the main thread, inference workers load their own`);
+      }
+    } catch (modelError) {
+      console.error(`❌ Failed to load model ${version}:`, modelError.message);
+      if (entry.model) {
+        entry.model.dispose();
+        entry.model = null;
+      }
+      entry.loadError = modelError.message;
+
+      if (strict) {
+        throw modelError;
+      }
+    }
+
+    return entry;
+  }
+
+  // Load the persisted (or configured) active version at startup
+  async initialize() {
+    if (!this.initPromise) {
+      this.initPromise = (async () => {
+        await tf.setBackend('cpu');
+        console.log('🧠 TensorFlow.js backend set to CPU');
+
+        const versions = this.discover();
+        console.log(`📚 Model registry: ${versions.length} model(s) found in ${MODELS_DIR}`);
+
+        const state = this.readState();
+        this.history = (state.history || []).filter(version => this.entries.has(version));
+
+        const candidates = [state.active, process.env.MODEL_VERSION, 'tfjs_model', versions[0]];
+        const initialVersion = candidates.find(version => version && this.entries.has(version));
+
+        if (!initialVersion) {
+          console.log('⚠️  No model found, predictions are unavailable until one is added');
+          return;
+        }
+
+        const entry = await this.load(initialVersion);
+        this.setActive(entry);
+      })().catch(error => {
+        console.error('❌ Error initializing model registry:', error);
+      });
+    }
+    return this.initPromise;
+  }
+
+  setActive(entry) {
+    this.loaded.set(entry.version, entry);
+    this.active = entry;
+  }
+
+  // Swap in a new version. The new model is fully loaded before the swap;
+  // the old one is disposed once its in-flight requests have released it.
+  // Activations run one at a time, in call order, so two concurrent swaps can't
+  // both retire the same previous entry.
+  activate(version, options = {}) {
+    const run = this.activation.then(() => this.switchTo(version, options));
+    this.activation = run.catch(() => {});
+    return run;
+  }
+
+  async switchTo(version, { recordHistory = true } = {}) {
+    await this.initialize();
+    this.discover();
+
+    if (!this.entries.has(version)) {
+      throw new Error(`Unknown model version: ${version}`);
+    }
+
+    if (this.active && this.active.version === version && this.active.ready) {
+      return this.active;
+    }
+
+    const entry = await this.load(version, { strict: true });
+    const previous = this.active;
+
+    this.setActive(entry);
+
+    if (previous) {
+      if (recordHistory && previous.version !== version) {
+        this.history.push(previous.version);
+      }
+      this.retire(previous);
+    }
+
+    this.writeState();
+    console.log(`🔁 Active model switched to ${version}`);
+    return entry;
+  }
+
+  // Re-activate the previously active version
+  async rollback() {
+    await this.initialize();
+
+    const previousVersion = this.history.pop();
+    if (!previousVersion) {
+      throw new Error('No previous model version to roll back to');
+    }
+
+    try {
+      return await this.activate(previousVersion, { recordHistory: false });
+    } catch (error) {
+      this.history.push(previousVersion);
+      throw error;
+    }
+  }
+
+  retire(entry) {
+    entry.retired = true;
+    if (this.loaded.get(entry.version) === entry) {
+      this.loaded.delete(entry.version);
+    }
+    if (entry.refCount === 0) {
+      this.dispose(entry);
+    } else {
+      console.log(`⏳ Model ${entry.version} retired, waiting for ${entry.refCount} in-flight request(s)`);
+    }
+  }
+
+  dispose(entry) {
+    if (entry.model) {
+      entry.model.dispose();
+      entry.model = null;
+      console.log(`🗑️ Disposed model ${entry.version}`);
+    }
+  }
+
+  // Pin the active model for the duration of a request. Always pair with release().
+  async acquire() {
+    await this.initialize();
+
+    if (!this.active) {
+      return {
+        version: null,
+        model: null,
+        classNames: DEFAULT_CLASS_NAMES,
+        metadata: {},
+        modelHash: null,
+        labelsHash: hashLabels(DEFAULT_CLASS_NAMES),
+        preprocessing: { ...DEFAULT_PREPROCESSING },
+        refCount: 0,
+        retired: false
+      };
+    }
+
+    this.active.refCount++;
+    return this.active;
+  }
+
+  release(entry) {
+    if (!entry || !entry.version) return;
+
+    entry.refCount = Math.max(0, entry.refCount - 1);
+    if (entry.retired && entry.refCount === 0) {
+      this.dispose(entry);
+    }
+  }
+
+  getActive() {
+    return this.active;
+  }
+
+  // Labels of the active model, or the built-in defaults when none is loaded
+  getClassNames() {
+    return this.active ? this.active.classNames : DEFAULT_CLASS_NAMES;
+  }
+
+  // Labels of a given model version (its labels.txt), or the active model's if unknown
+  getClassNamesFor(version) {
+    if (this.active && this.active.version === version) {
+      return this.active.classNames;
+    }
+    const descriptor = this.entries.get(version);
+    return (descriptor && readLabels(descriptor.labelsPath)) || this.getClassNames();
+  }
+
+  // Store a fitted calibration with a model version: in memory for the loaded
+  // entry and in the model's metadata.json so it survives restarts.
+  setCalibration(version, calibration) {
+    const descriptor = this.entries.get(version);
+    if (!descriptor) {
+      throw new Error(`Unknown model version: ${version}`);
+    }
+
+    descriptor.metadata = { ...descriptor.metadata, calibration };
+    if (this.active && this.active.version === version) {
+      this.active.metadata = { ...this.active.metadata, calibration };
+    }
+
+    try {
+      let fileMetadata = {};
+      if (fs.existsSync(descriptor.metadataPath)) {
+        fileMetadata = JSON.parse(fs.readFileSync(descriptor.metadataPath, 'utf8'));
+      }
+      fileMetadata.calibration = calibration;
+      fs.writeFileSync(descriptor.metadataPath, JSON.stringify(fileMetadata, null, 2));
+      return true;
+    } catch (error) {
+      console.error('⚠️  Failed to persist calibration:', error.message);
+      return false;
+    }
+  }
+
+  list() {
+    return Array.from(this.entries.values()).map(descriptor => {
+      const isActive = !!this.active && this.active.version === descriptor.version;
+      return {
+        version: descriptor.version,
+        directory: path.basename(descriptor.directory),
+        labelsFile: path.relative(MODELS_DIR, descriptor.labelsPath),
+        metadata: descriptor.metadata,
+        active: isActive,
+        loaded: isActive && this.active.ready,
+        modelHash: isActive ? this.active.modelHash : null,
+        labelsHash: isActive ? this.active.labelsHash : null,
+        loadError: isActive ? this.active.loadError : null,
+        inFlight: isActive ? this.active.refCount : 0
+      };
+    });
+  }
+}
+
+// Create singleton instance
+const modelRegistry = new ModelRegistry();
+
+module.exports = modelRegistry;
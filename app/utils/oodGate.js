@@ -0,0 +1,164 @@
+// app/utils/oodGate.js - Out-of-distribution gate for prediction results
+
+const GATE_CONFIG = {
+  enabled: process.env.OOD_GATE_ENABLED !== 'false',
+  // Normalized entropy (0 = one-hot, 1 = uniform) above which a result is uncertain
+  maxEntropy: parseFloat(process.env.OOD_MAX_ENTROPY) || 0.6,
+  // Minimum gap between the top two class probabilities
+  minMargin: parseFloat(process.env.OOD_MIN_MARGIN) || 0.1,
+  // Leaf check: share of plant-coloured pixels required
+  leafCheck: process.env.OOD_LEAF_CHECK !== 'false',
+  minLeafRatio: parseFloat(process.env.OOD_MIN_LEAF_RATIO) || 0.15,
+  // Crop-constrained requests: share of the unconstrained probability the model
+  // must give the requested crop before its renormalized classes are trusted
+  minMassInCrop: parseFloat(process.env.OOD_MIN_MASS_IN_CROP) || 0.2
+};
+
+const DECISIONS = {
+  ACCEPTED: 'ACCEPTED',
+  NOT_A_LEAF: 'NOT_A_LEAF',
+  UNCERTAIN: 'UNCERTAIN'
+};
+
+// Entropy (normalized by log K), top-1/top-2 margin and max probability.
+// K counts only classes with non-zero probability, so a distribution masked
+// down to one crop's classes still spans the full 0..1 entropy range.
+const computeUncertainty = (probabilities) => {
+  const sorted = probabilities.slice().sort((a, b) => b - a);
+  const total = probabilities.reduce((sum, p) => sum + p, 0) || 1;
+
+  let entropy = 0;
+  probabilities.forEach(p => {
+    const q = p / total;
+    if (q > 0) entropy -= q * Math.log(q);
+  });
+
+  const support = probabilities.filter(p => p > 0).length;
+  const maxEntropy = Math.log(support) || 1;
+
+  return {
+    entropy: entropy / maxEntropy,
+    margin: (sorted[0] || 0) - (sorted[1] || 0),
+    maxProbability: sorted[0] || 0
+  };
+};
+
+// Lightweight "is this a leaf" heuristic: share of pixels whose hue falls in the
+// yellow-green range (healthy and diseased foliage) with enough saturation.
+// sharp is loaded on use: the middleware index loads the quality check, and with
+// it this module, for every route; auth and user routes must not need sharp.
+const checkLeaf = async (imagePath) => {
+  const sharp = require('sharp');
+  const { data, info } = await sharp(imagePath)
+    .resize(64, 64, { fit: 'fill' })
+    .removeAlpha()
+    .toColorspace('srgb')
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  let plantPixels = 0;
+  const totalPixels = info.width * info.height;
+
+  for (let i = 0; i < data.length; i += info.channels) {
+    const r = data[i] / 255;
+    const g = data[i + 1] / 255;
+    const b = data[i + 2] / 255;
+
+    const max = Math.max(r, g, b);
+    const min = Math.min(r, g, b);
+    const delta = max - min;
+    const saturation = max === 0 ? 0 : delta / max;
+
+    if (delta === 0 || saturation < 0.15 || max < 0.1) continue;
+
+    let hue;
+    if (max === r) hue = 60 * (((g - b) / delta) % 6);
+    else if (max === g) hue = 60 * ((b - r) / delta + 2);
+    else hue = 60 * ((r - g) / delta + 4);
+    if (hue < 0) hue += 360;
+
+    // Brown/yellow lesions through green foliage
+    if (hue >= 20 && hue <= 170) plantPixels++;
+  }
+
+  const leafRatio = plantPixels / totalPixels;
+
+  return {
+    leafRatio,
+    isLeaf: leafRatio >= GATE_CONFIG.minLeafRatio
+  };
+};
+
+// Combine uncertainty thresholds with the optional leaf check into one decision.
+// massInCrop is given for crop-constrained results (see constrainToCrop).
+const evaluateGate = async (probabilities, imagePath, { massInCrop = null } = {}) => {
+  const uncertainty = computeUncertainty(probabilities);
+  const gate = {
+    decision: DECISIONS.ACCEPTED,
+    reasons: [],
+    entropy: uncertainty.entropy,
+    margin: uncertainty.margin,
+    leafRatio: null,
+    massInCrop,
+    thresholds: {
+      maxEntropy: GATE_CONFIG.maxEntropy,
+      minMargin: GATE_CONFIG.minMargin,
+      minLeafRatio: GATE_CONFIG.leafCheck ? GATE_CONFIG.minLeafRatio : null,
+      minMassInCrop: massInCrop !== null ? GATE_CONFIG.minMassInCrop : null
+    }
+  };
+
+  if (!GATE_CONFIG.enabled) {
+    gate.reasons.push('GATE_DISABLED');
+    return gate;
+  }
+
+  if (GATE_CONFIG.leafCheck && imagePath) {
+    try {
+      const leaf = await checkLeaf(imagePath);
+      gate.leafRatio = leaf.leafRatio;
+
+      if (!leaf.isLeaf) {
+        gate.decision = DECISIONS.NOT_A_LEAF;
+        gate.reasons.push('LOW_LEAF_COVERAGE');
+      }
+    } catch (error) {
+      console.error('⚠️ Leaf check failed, skipping:', error.message);
+      gate.reasons.push('LEAF_CHECK_FAILED');
+    }
+  }
+
+  if (uncertainty.entropy > GATE_CONFIG.maxEntropy) {
+    gate.reasons.push('HIGH_ENTROPY');
+  }
+  if (uncertainty.margin < GATE_CONFIG.minMargin) {
+    gate.reasons.push('LOW_MARGIN');
+  }
+  // The model thinks the photo is mostly another crop
+  if (massInCrop !== null && massInCrop < GATE_CONFIG.minMassInCrop) {
+    gate.reasons.push('LOW_CROP_MASS');
+  }
+
+  const uncertainReasons = ['HIGH_ENTROPY', 'LOW_MARGIN', 'LOW_CROP_MASS'];
+  if (gate.decision === DECISIONS.ACCEPTED &&
+      gate.reasons.some(reason => uncertainReasons.includes(reason))) {
+    gate.decision = DECISIONS.UNCERTAIN;
+  }
+
+  return gate;
+};
+
+const GATE_MESSAGES = {
+  ACCEPTED: 'Prediction completed successfully',
+  NOT_A_LEAF: 'The image does not look like a plant leaf, no diagnosis was made',
+  UNCERTAIN: 'The model is not confident enough to give a diagnosis, please retake the photo'
+};
+
+module.exports = {
+  DECISIONS,
+  GATE_CONFIG,
+  GATE_MESSAGES,
+  computeUncertainty,
+  checkLeaf,
+  evaluateGate
+};
@@ -0,0 +1,104 @@
+// app/utils/perceptualHash.js - dHash fingerprints for spotting near-duplicate photos
+const sharp = require('sharp');
+
+const DUPLICATE_CONFIG = {
+  // Max differing bits (out of 64) for two images to count as near-duplicates
+  threshold: parseInt(process.env.NEAR_DUPLICATE_THRESHOLD) || 10,
+  // How many of a user's latest predictions a new upload is compared against
+  lookback: parseInt(process.env.NEAR_DUPLICATE_LOOKBACK) || 200
+};
+
+const HASH_BITS = 64;
+
+// Difference hash: shrink to 9x8 greyscale and record, per row, whether each
+// pixel is brighter than its right neighbour. Returns 16 hex characters.
+const computeDHash = async (imagePath) => {
+  const data = await sharp(imagePath)
+    .greyscale()
+    .resize(9, 8, { fit: 'fill' })
+    .raw()
+    .toBuffer();
+
+  let hex = '';
+  for (let row = 0; row < 8; row++) {
+    let byte = 0;
+    for (let col = 0; col < 8; col++) {
+      const left = data[row * 9 + col];
+      const right = data[row * 9 + col + 1];
+      byte = (byte << 1) | (left > right ? 1 : 0);
+    }
+    hex += byte.toString(16).padStart(2, '0');
+  }
+  return hex;
+};
+
+// Number of differing bits between two hashes of the same length
+const hammingDistance = (a, b) => {
+  let distance = 0;
+  for (let i = 0; i < a.length; i++) {
+    let diff = parseInt(a[i], 16) ^ parseInt(b[i], 16);
+    while (diff) {
+      distance += diff & 1;
+      diff >>= 1;
+    }
+  }
+  return distance;
+};
+
+const similarity = (distance) => 1 - distance / HASH_BITS;
+
+// Closest candidate within `threshold` bits, or null. Candidates are { hash, ... }.
+const findClosest = (hash, candidates, threshold = DUPLICATE_CONFIG.threshold) => {
+  let best = null;
+
+  candidates.forEach(candidate => {
+    if (!candidate.hash) return;
+    const distance = hammingDistance(hash, candidate.hash);
+    if (distance <= threshold && (!best || distance < best.distance)) {
+      best = { candidate, distance };
+    }
+  });
+
+  return best;
+};
+
+// Cluster items whose hashes are within `threshold` bits of each other (transitively).
+// Returns arrays of items; singletons and items without a hash are left out.
+const groupNearDuplicates = (items, threshold = DUPLICATE_CONFIG.threshold) => {
+  const parent = items.map((item, index) => index);
+  const find = (i) => {
+    while (parent[i] !== i) {
+      parent[i] = parent[parent[i]];
+      i = parent[i];
+    }
+    return i;
+  };
+
+  for (let i = 0; i < items.length; i++) {
+    if (!items[i].hash) continue;
+    for (let j = i + 1; j < items.length; j++) {
+      if (items[j].hash && hammingDistance(items[i].hash, items[j].hash) <= threshold) {
+        parent[find(j)] = find(i);
+      }
+    }
+  }
+
+  const groups = new Map();
+  items.forEach((item, index) => {
+    const root = find(index);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(item);
+  });
+
+  return Array.from(groups.values()).filter(group => group.length > 1);
+};
+
+module.exports = {
+  DUPLICATE_CONFIG,
+  HASH_BITS,
+  computeDHash,
+  hammingDistance,
+  similarity,
+  findClosest,
+  groupNearDuplicates
+};
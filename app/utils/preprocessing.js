@@ -0,0 +1,157 @@
+// app/utils/preprocessing.js - Model-driven image preprocessing
+const tf = require('@tensorflow/tfjs');
+require('@tensorflow/tfjs-backend-cpu');
+const sharp = require('sharp');
+
+const RESIZE_MODES = ['stretch', 'letterbox', 'center-crop'];
+const CHANNEL_ORDERS = ['rgb', 'bgr'];
+
+// Presets as mean/std on the 0-1 pixel scale, listed in RGB order
+const NORMALIZATION_PRESETS = {
+  '0-1': { mean: [0, 0, 0], std: [1, 1, 1] },
+  '-1-1': { mean: [0.5, 0.5, 0.5], std: [0.5, 0.5, 0.5] },
+  imagenet: { mean: [0.485, 0.456, 0.406], std: [0.229, 0.224, 0.225] }
+};
+
+const DEFAULT_PREPROCESSING = {
+  inputSize: [224, 224],
+  resizeMode: 'stretch',
+  normalization: '0-1',
+  mean: NORMALIZATION_PRESETS['0-1'].mean,
+  std: NORMALIZATION_PRESETS['0-1'].std,
+  channelOrder: 'rgb',
+  letterboxColor: [0, 0, 0]
+};
+
+// [height, width] from a model input shape like [-1, 224, 224, 3], if it is fully known
+const inputSizeFromShape = (inputShape) => {
+  if (!Array.isArray(inputShape) || inputShape.length !== 4) return null;
+  const [, height, width] = inputShape;
+  return height > 0 && width > 0 ? [height, width] : null;
+};
+
+// Build the preprocessing config for a model from its metadata.json.
+// Settings live under `preprocessing`; top-level `inputSize` and `normalization`
+// from older metadata files are still honoured. When no input size is given,
+// the model's own input shape is used. Throws on unsupported values.
+const resolvePreprocessingConfig = (metadata = {}, inputShape = null) => {
+  const settings = { ...metadata, ...(metadata.preprocessing || {}) };
+
+  const inputSize = settings.inputSize || inputSizeFromShape(inputShape) || DEFAULT_PREPROCESSING.inputSize;
+  if (!Array.isArray(inputSize) || inputSize.length !== 2 || !inputSize.every(n => Number.isInteger(n) && n > 0)) {
+    throw new Error(`Invalid inputSize: ${JSON.stringify(inputSize)}`);
+  }
+
+  const resizeMode = settings.resizeMode || DEFAULT_PREPROCESSING.resizeMode;
+  if (!RESIZE_MODES.includes(resizeMode)) {
+    throw new Error(`Unsupported resizeMode "${resizeMode}", expected one of: ${RESIZE_MODES.join(', ')}`);
+  }
+
+  const channelOrder = (settings.channelOrder || DEFAULT_PREPROCESSING.channelOrder).toLowerCase();
+  if (!CHANNEL_ORDERS.includes(channelOrder)) {
+    throw new Error(`Unsupported channelOrder "${channelOrder}", expected one of: ${CHANNEL_ORDERS.join(', ')}`);
+  }
+
+  // Either a preset name or { mean, std } given in the model's channel order
+  const normalizationSetting = settings.normalization || DEFAULT_PREPROCESSING.normalization;
+  let normalization;
+  let mean;
+  let std;
+
+  if (typeof normalizationSetting === 'string') {
+    const preset = NORMALIZATION_PRESETS[normalizationSetting];
+    if (!preset) {
+      throw new Error(`Unsupported normalization "${normalizationSetting}", expected one of: ${Object.keys(NORMALIZATION_PRESETS).join(', ')} or { mean, std }`);
+    }
+    normalization = normalizationSetting;
+    mean = channelOrder === 'bgr' ? preset.mean.slice().reverse() : preset.mean;
+    std = channelOrder === 'bgr' ? preset.std.slice().reverse() : preset.std;
+  } else {
+    ({ mean, std } = normalizationSetting);
+    if (!Array.isArray(mean) || !Array.isArray(std) || mean.length !== 3 || std.length !== 3 || std.some(s => !s)) {
+      throw new Error('Custom normalization needs 3-element mean and non-zero std arrays');
+    }
+    normalization = 'custom';
+  }
+
+  return {
+    inputSize,
+    resizeMode,
+    normalization,
+    mean,
+    std,
+    channelOrder,
+    letterboxColor: settings.letterboxColor || DEFAULT_PREPROCESSING.letterboxColor
+  };
+};
+
+// sharp resize options for each resize mode
+const getResizeOptions = (config) => {
+  if (config.resizeMode === 'letterbox') {
+    const [r, g, b] = config.letterboxColor;
+    return { fit: 'contain', background: { r, g, b, alpha: 1 } };
+  }
+  if (config.resizeMode === 'center-crop') {
+    return { fit: 'cover', position: 'centre' };
+  }
+  return { fit: 'fill' };
+};
+
+// Normalize a [..., 3] tensor of 0-255 values in the model's channel order
+const normalizeTensor = (pixels, config) => tf.tidy(() => (
+  pixels.div(255.0).sub(tf.tensor1d(config.mean)).div(tf.tensor1d(config.std))
+));
+
+// Normalized value of a mid-gray pixel, per channel (used to blank out image regions)
+const getFillValue = (config = DEFAULT_PREPROCESSING) => (
+  config.mean.map((m, channel) => (0.5 - m) / config.std[channel])
+);
+
+// Load an image file into a [1, H, W, 3] float tensor ready for the model
+const preprocessImage = async (imagePath, config = DEFAULT_PREPROCESSING) => {
+  try {
+    console.log('🖼️  Preprocessing image:', imagePath);
+
+    const [height, width] = config.inputSize;
+
+    const imageBuffer = await sharp(imagePath)
+      .resize(width, height, getResizeOptions(config))
+      .removeAlpha()
+      .toColorspace('rgb')
+      .raw()
+      .toBuffer();
+
+    const imageTensor = tf.tensor3d(
+      new Uint8Array(imageBuffer),
+      [height, width, 3],
+      'int32'
+    );
+
+    const normalizedImage = tf.tidy(() => {
+      let pixels = imageTensor.cast('float32');
+      if (config.channelOrder === 'bgr') {
+        pixels = pixels.reverse(-1);
+      }
+      return normalizeTensor(pixels, config).expandDims(0);
+    });
+    imageTensor.dispose();
+
+    console.log('✅ Image preprocessing complete');
+    return normalizedImage;
+  } catch (error) {
+    console.error('❌ Image preprocessing error:', error.message);
+    throw new Error(`Image preprocessing error: ${error.message}`);
+  }
+};
+
+module.exports = {
+  RESIZE_MODES,
+  CHANNEL_ORDERS,
+  NORMALIZATION_PRESETS,
+  DEFAULT_PREPROCESSING,
+  resolvePreprocessingConfig,
+  getResizeOptions,
+  normalizeTensor,
+  getFillValue,
+  preprocessImage
+};
@@ -0,0 +1,81 @@
+// app/utils/resultCache.js - In-memory LRU cache of prediction results with a TTL
+class ResultCache {
+  constructor(options = {}) {
+    this.maxEntries = options.maxEntries !== undefined ? options.maxEntries : 500;
+    this.ttlMs = options.ttlMs || 60 * 60 * 1000;
+
+    // Map keeps insertion order: the first key is the least recently used
+    this.entries = new Map();
+    this.hits = 0;
+    this.misses = 0;
+    this.evictions = 0;
+    this.expirations = 0;
+  }
+
+  get enabled() {
+    return this.maxEntries > 0;
+  }
+
+  // Returns the cached value or null. Expired entries count as misses.
+  get(key) {
+    if (!this.enabled) return null;
+
+    const entry = this.entries.get(key);
+    if (!entry) {
+      this.misses++;
+      return null;
+    }
+
+    this.entries.delete(key);
+    if (Date.now() - entry.storedAt > this.ttlMs) {
+      this.expirations++;
+      this.misses++;
+      return null;
+    }
+
+    this.entries.set(key, entry);
+    this.hits++;
+    return entry.value;
+  }
+
+  set(key, value) {
+    if (!this.enabled) return;
+
+    this.entries.delete(key);
+    this.entries.set(key, { value, storedAt: Date.now() });
+
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+      this.evictions++;
+    }
+  }
+
+  // Drop an entry whose value turned out to be unusable; its lookup counts as a miss
+  invalidate(key) {
+    if (this.entries.delete(key)) {
+      this.hits--;
+      this.misses++;
+    }
+  }
+
+  clear() {
+    this.entries.clear();
+  }
+
+  getStats() {
+    const lookups = this.hits + this.misses;
+    return {
+      enabled: this.enabled,
+      maxEntries: this.maxEntries,
+      ttlMs: this.ttlMs,
+      size: this.entries.size,
+      hits: this.hits,
+      misses: this.misses,
+      hitRate: lookups > 0 ? Math.round((this.hits / lookups) * 10000) / 100 : 0,
+      evictions: this.evictions,
+      expirations: this.expirations
+    };
+  }
+}
+
+module.exports = { ResultCache };
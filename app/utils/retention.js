@@ -0,0 +1,43 @@
+// app/utils/retention.js - Uploads the periodic retention cleanup must keep
+const path = require('path');
+const Prediction = require('../models/prediction.model');
+const { getAnnotatedFilenames } = require('./annotations');
+const { OPEN_STATUSES, RESOLVED_STATUSES } = require('./reviewQueue');
+
+// Images of predictions still waiting for (or under) expert review; the
+// review SLA runs longer than the upload retention
+const getQueuedFilenames = async () => {
+  const imageUrls = await Prediction.distinct('imageUrl', {
+    storageType: 'local',
+    'review.status': { $in: OPEN_STATUSES }
+  });
+  return imageUrls.filter(Boolean).map(imageUrl => path.basename(imageUrl));
+};
+
+// Images with a human-verified label (see resolveVerifiedLabel), which the
+// training dataset export needs long after upload
+const getVerifiedFilenames = async () => {
+  const imageUrls = await Prediction.distinct('imageUrl', {
+    storageType: 'local',
+    isMock: { $ne: true },
+    $or: [
+      { 'review.status': { $in: RESOLVED_STATUSES }, 'review.verdictLabel': { $nin: [null, ''] } },
+      { 'feedback.isCorrect': true },
+      { 'feedback.isCorrect': false, 'feedback.trueLabel': { $nin: [null, ''] } }
+    ]
+  });
+  return imageUrls.filter(Boolean).map(imageUrl => path.basename(imageUrl));
+};
+
+// Filenames in the uploads directory that runRetentionCleanup skips.
+// Throws when the database can't be read, which blocks that cleanup round.
+const getRetainedFilenames = async () => {
+  const [annotated, queued, verified] = await Promise.all([
+    getAnnotatedFilenames(),
+    getQueuedFilenames(),
+    getVerifiedFilenames()
+  ]);
+  return new Set([...annotated, ...queued, ...verified]);
+};
+
+module.exports = { getRetainedFilenames };
@@ -0,0 +1,108 @@
+// app/utils/reviewQueue.js - Which predictions need an expert look, and the queue's SLA rules
+const REVIEW_CONFIG = {
+  // Predictions below this calibrated confidence are queued automatically
+  confidenceThreshold: parseFloat(process.env.REVIEW_CONFIDENCE_THRESHOLD) || 0.6,
+  // Time from queueing until a verdict is due
+  slaHours: parseFloat(process.env.REVIEW_SLA_HOURS) || 48,
+  // A claim older than this without a verdict can be taken over by another moderator
+  claimTimeoutHours: parseFloat(process.env.REVIEW_CLAIM_TIMEOUT_HOURS) || 4
+};
+
+const REVIEW_STATUS = {
+  PENDING: 'pending',
+  CLAIMED: 'claimed',
+  CONFIRMED: 'confirmed',
+  RELABELED: 'relabeled'
+};
+
+const OPEN_STATUSES = [REVIEW_STATUS.PENDING, REVIEW_STATUS.CLAIMED];
+const RESOLVED_STATUSES = [REVIEW_STATUS.CONFIRMED, REVIEW_STATUS.RELABELED];
+
+const REVIEW_REASONS = {
+  LOW_CONFIDENCE: 'LOW_CONFIDENCE',
+  DISPUTED: 'DISPUTED',
+  FLAGGED: 'FLAGGED'
+};
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const newQueueEntry = (reason, now = new Date()) => ({
+  status: REVIEW_STATUS.PENDING,
+  reasons: [reason],
+  queuedAt: now,
+  dueAt: new Date(now.getTime() + REVIEW_CONFIG.slaHours * HOUR_MS)
+});
+
+// Queue entry for a fresh prediction the model wasn't sure about, or null
+const buildInitialReview = (predictionResult, isMock = false) => {
+  if (isMock) return null;
+
+  const uncertain = predictionResult.confidence < REVIEW_CONFIG.confidenceThreshold ||
+    (predictionResult.gate && predictionResult.gate.decision === 'UNCERTAIN');
+  return uncertain ? newQueueEntry(REVIEW_REASONS.LOW_CONFIDENCE) : null;
+};
+
+// Put a saved prediction in the queue (or add a reason to its open entry).
+// Already reviewed predictions stay closed. Returns whether the entry changed.
+const queueForReview = (prediction, reason, note = null) => {
+  const { review } = prediction;
+
+  if (RESOLVED_STATUSES.includes(review.status) || prediction.isMock) {
+    return false;
+  }
+
+  if (!review.status) {
+    Object.assign(review, newQueueEntry(reason));
+  } else if (!review.reasons.includes(reason)) {
+    review.reasons.push(reason);
+  }
+  if (note) {
+    review.flagNote = note;
+  }
+  return true;
+};
+
+// Claims older than this date may be taken over
+const staleClaimCutoff = (now = new Date()) => new Date(now.getTime() - REVIEW_CONFIG.claimTimeoutHours * HOUR_MS);
+
+const hoursBetween = (from, to) => (from && to ? Math.round(((to - from) / HOUR_MS) * 10) / 10 : null);
+
+// SLA figures for one queue entry
+const getSlaStatus = (review, now = new Date()) => {
+  const resolvedAt = review.reviewedAt || null;
+  return {
+    queuedAt: review.queuedAt,
+    dueAt: review.dueAt,
+    ageHours: hoursBetween(review.queuedAt, resolvedAt || now),
+    hoursToClaim: hoursBetween(review.queuedAt, review.claimedAt),
+    hoursToVerdict: hoursBetween(review.queuedAt, resolvedAt),
+    overdue: !!review.dueAt && (resolvedAt || now) > review.dueAt
+  };
+};
+
+// What the owner of a prediction sees of its review; reviewer identities stay internal
+const formatOwnerReview = (review) => {
+  if (!review || !review.status) return null;
+
+  return {
+    status: review.status,
+    reasons: review.reasons,
+    queuedAt: review.queuedAt,
+    verdictLabel: RESOLVED_STATUSES.includes(review.status) ? review.verdictLabel : null,
+    note: RESOLVED_STATUSES.includes(review.status) ? review.note : null,
+    reviewedAt: review.reviewedAt || null
+  };
+};
+
+module.exports = {
+  REVIEW_CONFIG,
+  REVIEW_STATUS,
+  REVIEW_REASONS,
+  OPEN_STATUSES,
+  RESOLVED_STATUSES,
+  buildInitialReview,
+  queueForReview,
+  staleClaimCutoff,
+  getSlaStatus,
+  formatOwnerReview
+};
@@ -0,0 +1,244 @@
+// app/utils/segmentation.js - Leaf isolation by excess-green thresholding
+const path = require('path');
+const sharp = require('sharp');
+
+const SEGMENTATION_CONFIG = {
+  // Per-request `segment` parameter overrides this
+  enabledByDefault: process.env.SEGMENTATION_DEFAULT === 'true',
+  // Margin added around the leaf, as a share of its bounding box
+  padding: parseFloat(process.env.SEGMENTATION_PADDING) || 0.08,
+  // Smallest leaf (share of the image) worth cropping to
+  minAreaRatio: parseFloat(process.env.SEGMENTATION_MIN_AREA) || 0.02,
+  // Crops covering more than this share of the image aren't worth saving
+  maxCropRatio: 0.9
+};
+
+// The mask is computed on a downscaled copy; the crop is cut from the original
+const ANALYSIS_SIZE = 256;
+// ExG below this is never foliage, whatever Otsu picks
+const MIN_EXG_THRESHOLD = 0.02;
+const HISTOGRAM_BINS = 256;
+
+// Excess-green index 2g - r - b on chromatic coordinates, in [-1, 2]
+const computeExcessGreen = (data, pixelCount, channels) => {
+  const exg = new Float32Array(pixelCount);
+  for (let i = 0; i < pixelCount; i++) {
+    const r = data[i * channels];
+    const g = data[i * channels + 1];
+    const b = data[i * channels + 2];
+    const total = r + g + b;
+    exg[i] = total > 0 ? (2 * g - r - b) / total : 0;
+  }
+  return exg;
+};
+
+// Otsu's threshold over values in [min, max]
+const otsuThreshold = (values, min = -1, max = 2) => {
+  const histogram = new Array(HISTOGRAM_BINS).fill(0);
+  const scale = (HISTOGRAM_BINS - 1) / (max - min);
+  values.forEach(value => {
+    histogram[Math.round((Math.min(Math.max(value, min), max) - min) * scale)]++;
+  });
+
+  const total = values.length;
+  let sumAll = 0;
+  histogram.forEach((count, bin) => { sumAll += bin * count; });
+
+  let sumBackground = 0;
+  let weightBackground = 0;
+  let bestBin = 0;
+  let bestVariance = -1;
+  for (let bin = 0; bin < HISTOGRAM_BINS; bin++) {
+    weightBackground += histogram[bin];
+    if (weightBackground === 0) continue;
+    const weightForeground = total - weightBackground;
+    if (weightForeground === 0) break;
+
+    sumBackground += bin * histogram[bin];
+    const meanBackground = sumBackground / weightBackground;
+    const meanForeground = (sumAll - sumBackground) / weightForeground;
+    const variance = weightBackground * weightForeground * (meanBackground - meanForeground) ** 2;
+    if (variance > bestVariance) {
+      bestVariance = variance;
+      bestBin = bin;
+    }
+  }
+
+  return min + bestBin / scale;
+};
+
+// Bounding box and area of every 4-connected region of a binary mask
+const findComponents = (mask, width, height) => {
+  const labels = new Int32Array(width * height);
+  const stack = new Int32Array(width * height);
+  const components = [];
+  let label = 0;
+
+  for (let start = 0; start < mask.length; start++) {
+    if (!mask[start] || labels[start]) continue;
+
+    label++;
+    const component = { area: 0, minX: width, minY: height, maxX: 0, maxY: 0 };
+    let top = 0;
+    stack[top++] = start;
+    labels[start] = label;
+
+    while (top > 0) {
+      const index = stack[--top];
+      const x = index % width;
+      const y = (index - x) / width;
+      component.area++;
+      if (x < component.minX) component.minX = x;
+      if (x > component.maxX) component.maxX = x;
+      if (y < component.minY) component.minY = y;
+      if (y > component.maxY) component.maxY = y;
+
+      const neighbours = [
+        x > 0 ? index - 1 : -1,
+        x < width - 1 ? index + 1 : -1,
+        y > 0 ? index - width : -1,
+        y < height - 1 ? index + width : -1
+      ];
+      neighbours.forEach(neighbour => {
+        if (neighbour !== -1 && mask[neighbour] && !labels[neighbour]) {
+          labels[neighbour] = label;
+          stack[top++] = neighbour;
+        }
+      });
+    }
+
+    components.push(component);
+  }
+
+  return components;
+};
+
+// The largest 4-connected region of a binary mask, or null
+const largestComponent = (mask, width, height) => findComponents(mask, width, height)
+  .reduce((best, component) => (!best || component.area > best.area ? component : best), null);
+
+// Scale a box from analysis coordinates to the full image and add padding
+const toImageRegion = (component, scaleX, scaleY, imageWidth, imageHeight, padding) => {
+  const boxWidth = (component.maxX - component.minX + 1) * scaleX;
+  const boxHeight = (component.maxY - component.minY + 1) * scaleY;
+  const left = Math.max(0, Math.floor(component.minX * scaleX - boxWidth * padding));
+  const top = Math.max(0, Math.floor(component.minY * scaleY - boxHeight * padding));
+  const right = Math.min(imageWidth, Math.ceil((component.maxX + 1) * scaleX + boxWidth * padding));
+  const bottom = Math.min(imageHeight, Math.ceil((component.maxY + 1) * scaleY + boxHeight * padding));
+
+  return { left, top, width: right - left, height: bottom - top };
+};
+
+// Binary foliage mask of a downscaled copy of the image, plus the size of the
+// original (EXIF-rotated) image so mask coordinates can be scaled back up
+const computeLeafMask = async (imagePath) => {
+  const metadata = await sharp(imagePath).metadata();
+  const rotated = (metadata.orientation || 1) >= 5;
+  const imageWidth = rotated ? metadata.height : metadata.width;
+  const imageHeight = rotated ? metadata.width : metadata.height;
+
+  const { data, info } = await sharp(imagePath)
+    .rotate()
+    .resize(ANALYSIS_SIZE, ANALYSIS_SIZE, { fit: 'inside', withoutEnlargement: true })
+    .removeAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  const pixelCount = info.width * info.height;
+  const exg = computeExcessGreen(data, pixelCount, info.channels);
+  const threshold = Math.max(otsuThreshold(exg), MIN_EXG_THRESHOLD);
+
+  const mask = new Uint8Array(pixelCount);
+  for (let i = 0; i < pixelCount; i++) {
+    mask[i] = exg[i] > threshold ? 1 : 0;
+  }
+
+  return { mask, width: info.width, height: info.height, imageWidth, imageHeight, threshold };
+};
+
+// Find the largest leaf-coloured region of an image. Returns { region, coverage,
+// threshold } in original (EXIF-rotated) pixel coordinates, or { region: null, reason }.
+const findLeafRegion = async (imagePath, config = SEGMENTATION_CONFIG) => {
+  const { mask, width, height, imageWidth, imageHeight, threshold } = await computeLeafMask(imagePath);
+  const pixelCount = width * height;
+
+  const component = largestComponent(mask, width, height);
+  const coverage = component ? component.area / pixelCount : 0;
+
+  if (!component || coverage < config.minAreaRatio) {
+    return { region: null, reason: 'NO_LEAF_FOUND', coverage, threshold };
+  }
+
+  const region = toImageRegion(
+    component,
+    imageWidth / width,
+    imageHeight / height,
+    imageWidth,
+    imageHeight,
+    config.padding
+  );
+
+  return { region, coverage, threshold, imageWidth, imageHeight };
+};
+
+const getSegmentationFilename = (imageFilename) => (
+  `${path.basename(imageFilename, path.extname(imageFilename))}-leaf.png`
+);
+
+// Crop an uploaded image to its leaf and save the crop next to it.
+// `applied` is false (and nothing is written) when no leaf was found or the
+// leaf already fills the frame; inference should then use the original image.
+const segmentLeaf = async (imagePath) => {
+  const startTime = Date.now();
+  const found = await findLeafRegion(imagePath);
+  const result = {
+    applied: false,
+    reason: found.reason || null,
+    region: found.region,
+    coverage: found.coverage,
+    threshold: found.threshold,
+    filename: null,
+    imageUrl: null,
+    path: null
+  };
+
+  if (found.region) {
+    const cropRatio = (found.region.width * found.region.height) / (found.imageWidth * found.imageHeight);
+
+    if (cropRatio > SEGMENTATION_CONFIG.maxCropRatio) {
+      result.reason = 'LEAF_FILLS_FRAME';
+    } else {
+      const filename = getSegmentationFilename(path.basename(imagePath));
+      const outputPath = path.join(path.dirname(imagePath), filename);
+
+      await sharp(imagePath)
+        .rotate()
+        .extract(found.region)
+        .png()
+        .toFile(outputPath);
+
+      Object.assign(result, {
+        applied: true,
+        filename,
+        imageUrl: `/uploads/${filename}`,
+        path: outputPath
+      });
+    }
+  }
+
+  result.processingTime = Date.now() - startTime;
+  return result;
+};
+
+module.exports = {
+  SEGMENTATION_CONFIG,
+  computeExcessGreen,
+  otsuThreshold,
+  findComponents,
+  largestComponent,
+  toImageRegion,
+  computeLeafMask,
+  findLeafRegion,
+  getSegmentationFilename,
+  segmentLeaf
+};
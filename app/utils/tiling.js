@@ -0,0 +1,175 @@
+// app/utils/tiling.js - Split large field photos into tiles or leaf regions for inference
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const sharp = require('sharp');
+const { SEGMENTATION_CONFIG, computeLeafMask, findComponents, toImageRegion } = require('./segmentation');
+
+const TILING_MODES = ['grid', 'regions'];
+
+const TILING_CONFIG = {
+  // Mode used when a request doesn't pass `tiles` ('off', 'grid' or 'regions')
+  defaultMode: TILING_MODES.includes(process.env.TILING_DEFAULT) ? process.env.TILING_DEFAULT : 'off',
+  // Tile edge in original pixels; grown when the image would need more than maxTiles
+  tileSize: parseInt(process.env.TILE_SIZE) || 512,
+  // Share of a tile shared with its neighbour
+  overlap: parseFloat(process.env.TILE_OVERLAP) || 0.25,
+  maxTiles: parseInt(process.env.TILE_MAX) || 16,
+  // Smaller images are predicted whole
+  minImageSize: parseInt(process.env.TILE_MIN_IMAGE_SIZE) || 800,
+  // Grid tiles with less foliage than this are skipped
+  minLeafCoverage: parseFloat(process.env.TILE_MIN_LEAF_COVERAGE) || 0.1
+};
+
+// Tile files only live for the duration of one inference
+const TILE_DIR = path.join(os.tmpdir(), 'plant-disease-tiles');
+
+// Evenly spaced start offsets along one axis so tiles of `size`, at most `stride`
+// apart, cover `length` with the last one flush with the end
+const axisOffsets = (length, size, stride) => {
+  if (length <= size) return [0];
+
+  const count = Math.ceil((length - size) / stride) + 1;
+  return Array.from({ length: count }, (value, index) => Math.round((index * (length - size)) / (count - 1)));
+};
+
+// Overlapping square tiles covering the whole image, at most maxTiles of them
+const computeTileGrid = (width, height, options = {}) => {
+  const overlap = options.overlap !== undefined ? options.overlap : TILING_CONFIG.overlap;
+  const maxTiles = options.maxTiles || TILING_CONFIG.maxTiles;
+  let size = Math.min(options.tileSize || TILING_CONFIG.tileSize, width, height);
+
+  for (;;) {
+    const stride = Math.max(1, Math.round(size * (1 - overlap)));
+    const xs = axisOffsets(width, size, stride);
+    const ys = axisOffsets(height, size, stride);
+
+    if (xs.length * ys.length <= maxTiles || size >= Math.min(width, height)) {
+      const tiles = [];
+      ys.forEach(top => xs.forEach(left => {
+        tiles.push({ left, top, width: Math.min(size, width), height: Math.min(size, height) });
+      }));
+      return tiles.slice(0, maxTiles);
+    }
+    size = Math.min(Math.ceil(size * 1.25), Math.min(width, height));
+  }
+};
+
+// Share of mask pixels set inside an image-space region
+const maskCoverage = (leafMask, region) => {
+  const scaleX = leafMask.width / leafMask.imageWidth;
+  const scaleY = leafMask.height / leafMask.imageHeight;
+  const x0 = Math.floor(region.left * scaleX);
+  const y0 = Math.floor(region.top * scaleY);
+  const x1 = Math.max(x0 + 1, Math.ceil((region.left + region.width) * scaleX));
+  const y1 = Math.max(y0 + 1, Math.ceil((region.top + region.height) * scaleY));
+
+  let set = 0;
+  let total = 0;
+  for (let y = y0; y < Math.min(y1, leafMask.height); y++) {
+    for (let x = x0; x < Math.min(x1, leafMask.width); x++) {
+      set += leafMask.mask[y * leafMask.width + x];
+      total++;
+    }
+  }
+  return total > 0 ? set / total : 0;
+};
+
+// Decide which regions of an image to predict. Returns { applied: true, mode,
+// regions: [{ left, top, width, height, leafCoverage }], imageWidth, imageHeight }
+// or { applied: false, reason } when the image should be predicted whole.
+const planTiles = async (imagePath, mode, config = TILING_CONFIG) => {
+  const leafMask = await computeLeafMask(imagePath);
+  const { imageWidth, imageHeight } = leafMask;
+  const plan = { applied: false, mode, reason: null, imageWidth, imageHeight, regions: [] };
+
+  if (Math.min(imageWidth, imageHeight) < config.minImageSize) {
+    plan.reason = 'IMAGE_TOO_SMALL';
+    return plan;
+  }
+
+  if (mode === 'regions') {
+    const pixelCount = leafMask.width * leafMask.height;
+    plan.regions = findComponents(leafMask.mask, leafMask.width, leafMask.height)
+      .filter(component => component.area / pixelCount >= SEGMENTATION_CONFIG.minAreaRatio)
+      .sort((a, b) => b.area - a.area)
+      .slice(0, config.maxTiles)
+      .map(component => {
+        const region = toImageRegion(
+          component,
+          imageWidth / leafMask.width,
+          imageHeight / leafMask.height,
+          imageWidth,
+          imageHeight,
+          SEGMENTATION_CONFIG.padding
+        );
+        return { ...region, leafCoverage: maskCoverage(leafMask, region) };
+      });
+  } else {
+    plan.regions = computeTileGrid(imageWidth, imageHeight, config)
+      .map(region => ({ ...region, leafCoverage: maskCoverage(leafMask, region) }))
+      .filter(region => region.leafCoverage >= config.minLeafCoverage);
+  }
+
+  if (plan.regions.length === 0) {
+    plan.reason = 'NO_LEAF_FOUND';
+    return plan;
+  }
+
+  plan.applied = true;
+  return plan;
+};
+
+// Cut each region out of the (EXIF-rotated) image into a temporary PNG
+const extractTiles = async (imagePath, regions) => {
+  fs.mkdirSync(TILE_DIR, { recursive: true });
+  const prefix = `tile-${crypto.randomBytes(6).toString('hex')}`;
+  const tilePaths = [];
+
+  try {
+    for (let i = 0; i < regions.length; i++) {
+      const { left, top, width, height } = regions[i];
+      const tilePath = path.join(TILE_DIR, `${prefix}-${i}.png`);
+      await sharp(imagePath).rotate().extract({ left, top, width, height }).png().toFile(tilePath);
+      tilePaths.push(tilePath);
+    }
+  } catch (error) {
+    removeTiles(tilePaths);
+    throw error;
+  }
+
+  return tilePaths;
+};
+
+const removeTiles = (tilePaths) => {
+  tilePaths.forEach(tilePath => {
+    try {
+      fs.unlinkSync(tilePath);
+    } catch (error) {
+      console.error('⚠️ Failed to remove tile:', tilePath, error.message);
+    }
+  });
+};
+
+// Leaf-coverage-weighted mean of per-tile probability rows
+const aggregateTileRows = (rows, weights) => {
+  const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+  const sums = new Array(rows[0].length).fill(0);
+
+  rows.forEach((row, index) => {
+    const weight = totalWeight > 0 ? weights[index] / totalWeight : 1 / rows.length;
+    row.forEach((p, classIndex) => { sums[classIndex] += p * weight; });
+  });
+  return sums;
+};
+
+module.exports = {
+  TILING_MODES,
+  TILING_CONFIG,
+  computeTileGrid,
+  planTiles,
+  extractTiles,
+  removeTiles,
+  aggregateTileRows
+};
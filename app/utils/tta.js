@@ -0,0 +1,67 @@
+// app/utils/tta.js - Test-time augmentation: run several views of an image and average them
+const tf = require('@tensorflow/tfjs');
+
+const AUGMENTATIONS = {
+  identity: (images) => images.clone(),
+  flip_horizontal: (images) => tf.image.flipLeftRight(images),
+  flip_vertical: (images) => images.reverse(1),
+  // 90 degree rotations only keep the shape of square inputs
+  rotate_90: (images) => images.transpose([0, 2, 1, 3]).reverse(2),
+  rotate_270: (images) => images.transpose([0, 2, 1, 3]).reverse(1),
+  // Zoom into the central 80% and scale back to the input size
+  center_crop: (images) => {
+    const [batch, height, width] = images.shape;
+    const boxes = tf.tensor2d(Array.from({ length: batch }, () => [0.1, 0.1, 0.9, 0.9]));
+    const boxIndices = tf.tensor1d(Array.from({ length: batch }, (_, i) => i), 'int32');
+    return tf.image.cropAndResize(images, boxes, boxIndices, [height, width]);
+  }
+};
+
+const ROTATIONS = ['rotate_90', 'rotate_270'];
+
+const TTA_CONFIG = {
+  // Used when a request does not pass `tta`
+  enabledByDefault: process.env.TTA_DEFAULT === 'true',
+  augmentations: (process.env.TTA_AUGMENTATIONS ||
+    'identity,flip_horizontal,flip_vertical,rotate_90,rotate_270,center_crop')
+    .split(',')
+    .map(name => name.trim())
+    .filter(name => AUGMENTATIONS[name])
+};
+
+// Augmentations that apply to an input of this shape
+const getAugmentations = (inputShape, names = TTA_CONFIG.augmentations) => {
+  const [, height, width] = inputShape;
+  return names.filter(name => height === width || !ROTATIONS.includes(name));
+};
+
+// Expand a [N, H, W, C] batch into [N * A, H, W, C], augmentation-major:
+// row a * N + i is augmentation a of image i.
+const buildTtaBatch = (images, names) => tf.tidy(() => (
+  tf.concat(names.map(name => AUGMENTATIONS[name](images)))
+));
+
+// Regroup model output rows from buildTtaBatch into one list of rows per image
+const groupTtaRows = (rows, imageCount) => {
+  const groups = Array.from({ length: imageCount }, () => []);
+  rows.forEach((row, index) => {
+    groups[index % imageCount].push(row);
+  });
+  return groups;
+};
+
+// Element-wise mean of probability rows
+const averageRows = (rows) => {
+  const sums = new Array(rows[0].length).fill(0);
+  rows.forEach(row => row.forEach((p, index) => { sums[index] += p; }));
+  return sums.map(sum => sum / rows.length);
+};
+
+module.exports = {
+  TTA_CONFIG,
+  AUGMENTATIONS,
+  getAugmentations,
+  buildTtaBatch,
+  groupTtaRows,
+  averageRows
+};
@@ -0,0 +1,30 @@
+// scripts/cleanup-uploads.js - One-off uploads cleanup (npm run cleanup [hours]).
+// Goes through the same retention guard as the periodic cleanup, so it needs the
+// database: without it the images to keep are unknown and nothing is deleted.
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { runRetentionCleanup, setRetentionGuard } = require('../app/middleware/upload');
+const { getRetainedFilenames } = require('../app/utils/retention');
+
+const maxAgeHours = parseFloat(process.argv[2]) || 1;
+
+(async () => {
+  if (!process.env.MONGODB_URI) {
+    console.error('❌ MONGODB_URI is required to know which uploads must be kept, no files deleted');
+    process.exit(1);
+  }
+
+  try {
+    await mongoose.connect(process.env.MONGODB_URI, { serverSelectionTimeoutMS: 8000 });
+  } catch (error) {
+    console.error('❌ Could not connect to MongoDB, no files deleted:', error.message);
+    process.exit(1);
+  }
+
+  setRetentionGuard(getRetainedFilenames);
+  const result = await runRetentionCleanup(maxAgeHours);
+  console.log(`Cleaned ${result.deleted} files older than ${maxAgeHours} hour(s), kept ${result.protected} retained`);
+
+  await mongoose.disconnect();
+  process.exit(result.skipped ? 1 : 0);
+})();
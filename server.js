@@ -12,7 +12,8 @@ const databaseConfig = require("./app/config/database.config");
 const corsConfig = require("./app/config/cors.config");
 const { limiter } = require("./app/utils/rateLimiter");
 const { errorHandler } = require("./app/middleware/errorHandler");
-const { startPeriodicCleanup, uploadsDir } = require("./app/middleware/upload");
+const { startPeriodicCleanup, setRetentionGuard, uploadsDir } = require("./app/middleware/upload");
+const { getRetainedFilenames } = require("./app/utils/retention");
 
 const app = express();
 
@@ -60,6 +61,8 @@ if (!uploadsReady) {
 }
 
 if (uploadsReady) {
+  // Images still needed (see app/utils/retention.js) survive retention cleanup
+  setRetentionGuard(getRetainedFilenames);
   startPeriodicCleanup();
   console.log('🧹 Started periodic file cleanup service');
 }
@@ -273,6 +276,34 @@ try {
   console.error('❌ Failed to load prediction routes:', error.message);
 }
 
+try {
+  require("./app/routes/model.routes")(app);
+  console.log('✅ Model routes loaded');
+} catch (error) {
+  console.error('❌ Failed to load model routes:', error.message);
+}
+
+try {
+  require("./app/routes/review.routes")(app);
+  console.log('✅ Review routes loaded');
+} catch (error) {
+  console.error('❌ Failed to load review routes:', error.message);
+}
+
+try {
+  require("./app/routes/dataset.routes")(app);
+  console.log('✅ Dataset routes loaded');
+} catch (error) {
+  console.error('❌ Failed to load dataset routes:', error.message);
+}
+
+try {
+  require("./app/routes/annotation.routes")(app);
+  console.log('✅ Annotation routes loaded');
+} catch (error) {
+  console.error('❌ Failed to load annotation routes:', error.message);
+}
+
 try {
   require("./app/routes/troubleshoot.routes")(app);
   console.log('✅ Troubleshoot routes loaded');
@@ -345,10 +376,14 @@ app.get("/status/routes", (req, res) => {
         { name: "auth", loaded: true, file: "auth.routes.js" },
         { name: "user", loaded: true, file: "user.routes.js" },
         { name: "prediction", loaded: true, file: "prediction.routes.js" },
+        { name: "model", loaded: true, file: "model.routes.js" },
+        { name: "review", loaded: true, file: "review.routes.js" },
+        { name: "dataset", loaded: true, file: "dataset.routes.js" },
+        { name: "annotation", loaded: true, file: "annotation.routes.js" },
         { name: "troubleshoot", loaded: true, file: "troubleshoot.routes.js" }
       ],
-      total: 6,
-      loaded: 6,
+      total: 10,
+      loaded: 10,
       failed: 0
     },
     timestamp: new Date().toISOString()